@@ -0,0 +1,94 @@
+/* ---------- Translations ---------- */
+
+// Message catalogs by locale, filled by the packs in locales/*.js. English
+// is complete and is the fallback for anything a pack leaves out.
+//
+// Messages use {name} placeholders. A message that depends on a number is
+// an object keyed by Intl.PluralRules category ({ one: "…", other: "…" });
+// t() picks the form from params.count.
+//
+// Static text in index.html is tagged instead of looked up:
+//   data-i18n="key"              sets textContent
+//   data-i18n-placeholder="key"  sets the placeholder
+//   data-i18n-title="key"        sets the title
+//   data-i18n-aria-label="key"   sets aria-label
+const I18N_DEFAULT_LOCALE = "en";
+const I18N_LOCALE_NAMES = { en: "English", es: "Español", de: "Deutsch" };
+const I18N_MESSAGES = {};
+const I18N_ATTRIBUTES = ["placeholder", "title", "aria-label"];
+
+let i18nLocale = I18N_DEFAULT_LOCALE;
+let i18nPluralRules = null;
+
+function registerLocale(locale, messages) {
+  I18N_MESSAGES[locale] = Object.assign(I18N_MESSAGES[locale] || {}, messages);
+}
+
+function getLocale() {
+  return i18nLocale;
+}
+
+// The first of the browser's languages we have a pack for
+function detectLocale() {
+  const preferred = (navigator.languages && navigator.languages.length
+    ? navigator.languages
+    : [navigator.language || ""]
+  ).map((tag) => String(tag).toLowerCase().split("-")[0]);
+  return preferred.find((code) => I18N_MESSAGES[code]) || I18N_DEFAULT_LOCALE;
+}
+
+// `locale` is a pack code or "auto" for the browser's language.
+function setLocale(locale) {
+  i18nLocale = I18N_MESSAGES[locale] ? locale : detectLocale();
+  try {
+    i18nPluralRules = new Intl.PluralRules(i18nLocale);
+  } catch (e) {
+    i18nPluralRules = null;
+  }
+  document.documentElement.setAttribute("lang", i18nLocale);
+  return i18nLocale;
+}
+
+function lookupMessage(key) {
+  const own = I18N_MESSAGES[i18nLocale] || {};
+  if (own[key] !== undefined) return own[key];
+  const fallback = I18N_MESSAGES[I18N_DEFAULT_LOCALE] || {};
+  if (fallback[key] !== undefined) return fallback[key];
+  console.error(`Missing message "${key}"`);
+  return key;
+}
+
+function t(key, params) {
+  let message = lookupMessage(key);
+
+  if (message && typeof message === "object") {
+    const count = params && typeof params.count === "number" ? params.count : 0;
+    const form = i18nPluralRules ? i18nPluralRules.select(count) : count === 1 ? "one" : "other";
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+
+  return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+    params && params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+function applyTranslations(root) {
+  const scope = root || document;
+  scope.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.getAttribute("data-i18n"));
+  });
+  I18N_ATTRIBUTES.forEach((attr) => {
+    scope.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    });
+  });
+}
+
+// Joins names the way the locale does: "Mia, Leo and Ann"
+function formatList(items) {
+  try {
+    return new Intl.ListFormat(i18nLocale, { style: "long", type: "conjunction" }).format(items);
+  } catch (e) {
+    return items.join(", ");
+  }
+}
@@ -0,0 +1,521 @@
+/* ---------- German (Deutsch) messages ---------- */
+
+registerLocale("de", {
+  "backup.error.newer": "Diese Sicherung stammt von einer neueren Version von Family Favorites.",
+  "backup.error.noUpgrade": "Für Sicherungsversion {version} gibt es keinen Aktualisierungsweg.",
+  "backup.error.notBackup": "Das sieht nicht nach einer Family-Favorites-Sicherung aus.",
+  "backup.error.notObject": "Eine Sicherung ist ein JSON-Objekt, aber das hier ist {type}.",
+  "backup.now": "Jetzt sichern",
+  "backup.reminder.last": "Letzte Sicherung: {when}",
+  "backup.reminder.none": "Noch keine Sicherung.",
+  "backup.reminder.overdue": "Deine letzte Sicherung ist mehr als einen Tag her ({when}).",
+
+  "backupModal.text": "Kopiere diese Sicherung und bewahre sie an einem sicheren Ort auf (Notion-Seite, Datei usw.).",
+  "backupModal.title": "Sicherung (JSON)",
+
+  "category.addToBegin": "Füge in den Einstellungen (⚙️) eine Favoritenart hinzu, um zu beginnen.",
+  "category.added": "Favoritenart hinzugefügt: {name}.",
+  "category.archived": "Favoritenart archiviert: {name}.",
+  "category.avoidOption": "{name} (meiden)",
+  "category.deleted": "Favoritenart gelöscht: {name}.",
+  "category.enterName": "Gib vor dem Hinzufügen eine Favoritenart ein.",
+  "category.hint.avoid": "Was man meiden sollte: {name}",
+  "category.hint.choose": "Wähle oben eine Favoritenart.",
+  "category.hint.showing": "Favoriten für: {name}",
+  "category.noneYet": "Noch keine Arten",
+  "category.noneYetLong": "Noch keine Favoritenarten.",
+  "category.restored": "Favoritenart wiederhergestellt: {name}.",
+
+  "common.add": "Hinzufügen",
+  "common.archive": "Archivieren",
+  "common.archivedTag": "(archiviert)",
+  "common.delete": "Löschen",
+  "common.dismiss": "Schließen",
+  "common.no": "Nein",
+  "common.redo": "Wiederholen",
+  "common.remove": "Entfernen",
+  "common.restore": "Wiederherstellen",
+  "common.undo": "Rückgängig",
+  "common.yes": "Ja",
+
+  "count.favoriteLists": { one: "{count} Favoritenliste", other: "{count} Favoritenlisten" },
+  "count.people": { one: "{count} Person", other: "{count} Personen" },
+  "count.rows": { one: "{count} Zeile", other: "{count} Zeilen" },
+  "count.types": { one: "{count} Art", other: "{count} Arten" },
+
+  "csv.column": "Spalte {number}",
+  "csv.copied": "CSV in die Zwischenablage kopiert.",
+  "csv.downloaded": "CSV heruntergeladen.",
+  "csv.error": "Fehler beim CSV-Import. Es wurde nichts importiert.",
+  "csv.error.unclosedQuote": "Die CSV-Datei hat ein Anführungszeichen, das nie geschlossen wird.",
+  "csv.header.favorite": "Favorit",
+  "csv.header.person": "Person",
+  "csv.header.type": "Favoritenart",
+  "csv.imported": "CSV importiert: {people} und {types} hinzugefügt, {lists} aktualisiert.",
+  "csv.modal.text": "Kopiere diese CSV in eine .csv-Datei oder füge sie in einen Notion-Import ein.",
+  "csv.modal.title": "Favoriten-CSV",
+  "csv.needRows": "Die CSV braucht eine Kopfzeile und mindestens eine Zeile mit Favoriten.",
+  "csv.noFavorites": "Mit diesen Spalten wurden keine Favoriten gefunden.",
+  "csv.pasteFirst": "Füge eine CSV ein oder wähle eine Datei, bevor du fortfährst.",
+  "csv.readError": "Diese Datei konnte nicht gelesen werden.",
+  "csv.ready": "CSV bereit – kopiere sie aus dem Fenster.",
+  "csv.report.heading": "Importiert: {lists}; übersprungen: {rows}",
+  "csv.report.invalid": { one: "{count} Wert passte nicht zu seinem Typ (Bewertung, Ja/Nein, Link, Datum)", other: "{count} Werte passten nicht zu ihrem Typ (Bewertung, Ja/Nein, Link, Datum)" },
+  "csv.report.row": "Zeile {row}: {reason}",
+  "csv.skip.noFavorite": "kein Favorit",
+  "csv.skip.noPerson": "keine Person",
+  "csv.skip.noType": "keine Favoritenart",
+  "csv.skip.tooManyCells": "mehr Zellen als Spalten in der Kopfzeile",
+  "csv.summary": "Favoriten für {people} in {types} gefunden.",
+  "csv.summarySkipped": { one: "{count} Zeile wird übersprungen.", other: "{count} Zeilen werden übersprungen." },
+
+  "data.noun.categories": "Favoritenart",
+  "data.noun.categoryGroups": "Gruppe",
+  "data.noun.people": "Person",
+  "data.section.categories": "Favoritenarten",
+  "data.section.categoryGroups": "Gruppen",
+  "data.section.favoriteHistory": "Favoritenverlauf",
+  "data.section.favorites": "Favoriten",
+  "data.section.people": "Personen",
+  "data.unnamed.categories": "Unbenannte Art",
+  "data.unnamed.categoryGroups": "Unbenannte Gruppe",
+  "data.unnamed.people": "Unbenannte Person",
+
+  "date.unknown": "Unbekannte Zeit",
+
+  "days.in": { one: "in {count} Tag", other: "in {count} Tagen" },
+  "days.today": "heute",
+  "days.tomorrow": "morgen",
+
+  "export.allCopied": "Alle Haushalte in die Zwischenablage kopiert.",
+  "export.allReady": "Sicherung aller Haushalte bereit – kopiere sie aus dem Fenster.",
+  "export.copied": "Family-Favorites-Daten in die Zwischenablage kopiert.",
+  "export.ready": "Sicherung bereit – kopiere sie aus dem Fenster.",
+
+  "favorite.addAnother": "Weiteren Favoriten hinzufügen",
+  "favorite.inputLabel": "{person} – {category}",
+  "favorite.inputLabelRanked": "{person} – {category}, Nr. {rank}",
+  "favorite.label": "Lieblings-{category}:",
+  "favorite.moveDown": "Nach unten",
+  "favorite.moveUp": "Nach oben",
+  "favorite.placeholder": "Lieblingssache...",
+  "favorite.placeholder.avoid": "Was man meiden sollte...",
+  "favorite.placeholder.avoidMore": "Noch etwas zum Meiden...",
+  "favorite.placeholder.more": "Noch ein Favorit...",
+
+  "favorites.noTypeSelected": "Noch keine Favoritenart ausgewählt.",
+
+  "field.avoidBadge": "meiden",
+  "field.invalid.date": "„{value}“ ist kein gültiges Datum.",
+  "field.invalid.link": "„{value}“ ist kein gültiger Link.",
+  "field.invalid.rating": "„{value}“ ist keine gültige Bewertung.",
+  "field.invalid.yesno": "„{value}“ ist weder ja noch nein.",
+  "field.openLink": "Link öffnen",
+
+  "fieldType.date": "Datum",
+  "fieldType.link": "Link",
+  "fieldType.rating": "Bewertung 1–5",
+  "fieldType.text": "Text",
+  "fieldType.yesno": "Ja / nein",
+
+  "gifts.countLabel": "Geschenkideen ({bought}/{total} gekauft)",
+  "gifts.label": "Geschenkideen",
+  "gifts.noneYet": "Noch keine Geschenkideen.",
+  "gifts.placeholder": "Geschenkidee hinzufügen",
+  "gifts.remove": "Geschenkidee entfernen",
+
+  "grid.corner": "Art",
+  "grid.empty": "Noch nichts anzuzeigen.",
+  "grid.empty.hint": "Füge Personen und Favoritenarten hinzu, um das Raster zu füllen.",
+  "grid.hint": "Alle auf einen Blick: {people} × {types}",
+  "grid.includeArchived": "Archivierte einbeziehen",
+  "grid.more": "+{count} weitere",
+
+  "group.added": "Gruppe hinzugefügt: {name}.",
+  "group.any": "Jede Gruppe",
+  "group.archived": "Gruppe {name} archiviert ({types}).",
+  "group.confirmDelete": "Gruppe {name} löschen? Ihre Favoritenarten bleiben erhalten.",
+  "group.deleted": "Gruppe gelöscht: {name}.",
+  "group.enterName": "Gib vor dem Hinzufügen einen Gruppennamen ein.",
+  "group.exists": "Es gibt schon eine Gruppe namens {name}.",
+  "group.none": "Keine Gruppe",
+  "group.noneYet": "Noch keine Gruppen. Gruppen halten lange Listen von Arten übersichtlich.",
+  "group.other": "Sonstige",
+  "group.restored": "Gruppe {name} wiederhergestellt ({types}).",
+  "group.selectLabel": "Gruppe für {name}",
+
+  "history.settingSaved": "Verlaufseinstellung gespeichert.",
+
+  "html.accent": "Akzent",
+  "html.accent.amber": "Bernstein",
+  "html.accent.mint": "Minze",
+  "html.accent.ocean": "Ozean",
+  "html.accent.rose": "Rosé",
+  "html.accent.violet": "Violett",
+  "html.addPerson.placeholder": "Familienmitglied hinzufügen (+ drücken)",
+  "html.appearance": "Darstellung",
+  "html.avoid": "Mag nicht / vermeiden",
+  "html.avoid.title": "Abneigungen kommen bei Zufallsauswahl nie vor",
+  "html.back": "Zurück",
+  "html.backup": "Sicherung & Übertragung",
+  "html.backup.text": "Diesen Haushalt als JSON, CSV oder Markdown exportieren, eine Sicherung importieren oder einen Nur-Lese-Link teilen.",
+  "html.cancel": "Abbrechen",
+  "html.categories": "Lieblingsarten",
+  "html.categories.placeholder": "Lieblingsart hinzufügen (Süßigkeit, Film…)",
+  "html.categories.sort": "Arten anzeigen",
+  "html.close": "Schließen",
+  "html.continue": "Weiter",
+  "html.copyNotion": "Für Notion kopieren",
+  "html.csv.file": "CSV-Datei",
+  "html.csv.import": "Importieren",
+  "html.csv.long": "Eine Zeile pro Favorit",
+  "html.csv.personColumn": "Spalte für die Person",
+  "html.csv.text": "Füge CSV aus einer Tabelle oder Notion ein oder wähle eine Datei. Eine Spalte pro Person oder eine Zeile pro Favorit. Fehlende Personen und Arten werden angelegt.",
+  "html.csv.typeColumn": "Spalte für die Art",
+  "html.csv.valueColumn": "Spalte für den Favoriten",
+  "html.csv.wide": "Eine Spalte pro Person",
+  "html.csvLayout": "CSV-Aufbau",
+  "html.csvLayout.long": "CSV: eine Zeile pro Favorit",
+  "html.csvLayout.wide": "CSV: eine Spalte pro Person",
+  "html.done": "Fertig",
+  "html.export": "Daten exportieren",
+  "html.exportAll": "Alle Haushalte exportieren",
+  "html.exportCsv": "CSV exportieren",
+  "html.favorTop": "Top-Favoriten bevorzugen",
+  "html.favorTop.title": "Top-Favoriten werden häufiger gezogen",
+  "html.favoriteType": "Lieblingsart:",
+  "html.fieldType": "Feldtyp",
+  "html.footer": "Kleine Favoriten, große Erinnerungen.",
+  "html.group": "Gruppe",
+  "html.groups": "Gruppen",
+  "html.groups.hint": "Beim Archivieren einer Gruppe werden alle ihre Arten archiviert.",
+  "html.groups.placeholder": "Gruppe hinzufügen (Essen, Medien, Aktivitäten…)",
+  "html.history": "Favoritenverlauf",
+  "html.history.1year": "1 Jahr",
+  "html.history.2years": "2 Jahre",
+  "html.history.5years": "5 Jahre",
+  "html.history.forever": "Immer",
+  "html.history.keep": "Verlauf aufbewahren für",
+  "html.history.text": "Auf einen Namen tippen, um zu sehen, wie sich die Favoriten verändert haben.",
+  "html.household": "Haushalt",
+  "html.households": "Haushalte",
+  "html.households.active": "Aktiver Haushalt",
+  "html.households.duplicate": "Duplizieren",
+  "html.households.new": "Neu",
+  "html.households.rename": "Umbenennen",
+  "html.households.text": "Getrennte Favoriten für deine Familie, die Großeltern, eine Schulklasse…",
+  "html.import": "Daten importieren",
+  "html.import.apply": "Zusammenführen",
+  "html.import.bundleNote": "Das ist eine Sicherung aller Haushalte. Enthaltene Haushalte ersetzen die mit derselben ID, die übrigen werden hinzugefügt; Zusammenführen ist dafür nicht möglich.",
+  "html.import.merge": "Mit meinen Daten zusammenführen (erst Vorschau)",
+  "html.import.replace": "Alle meine Daten ersetzen",
+  "html.import.text": "Füge unten eine JSON-Sicherung von Family Favorites ein.",
+  "html.import.title": "Sicherung importieren",
+  "html.importCsv": "CSV importieren",
+  "html.includeArchived": "Archivierte einbeziehen",
+  "html.keyboard": "Tastatur",
+  "html.keyboard.help": "R zufälliger Favorit · P zufällige Person · T zufällige Art · [ ] vorherige oder nächste Art (Person in der Ansicht Nach Person) · Esc schließt einen Dialog",
+  "html.keyboard.toggle": "Kurzbefehle mit einer Taste",
+  "html.language": "Sprache",
+  "html.language.auto": "Browsersprache",
+  "html.layout": "Aufbau",
+  "html.markdown.archived": "Archivierte Personen und Arten einbeziehen",
+  "html.markdown.copy": "Markdown kopieren",
+  "html.markdown.sections": "Ein Abschnitt pro Person",
+  "html.markdown.table": "Tabelle (eine Spalte pro Person)",
+  "html.markdown.text": "Erstellt Markdown, das du direkt in eine Notion-Seite einfügen kannst.",
+  "html.occasions.add": "Anlass hinzufügen",
+  "html.occasions.date": "Datum des Anlasses",
+  "html.occasions.placeholder": "Namenstag, Abschluss…",
+  "html.onlyEmpty": "Nur leere",
+  "html.people": "Familienmitglieder",
+  "html.people.legend": "Personen",
+  "html.people.orderHint": "Ziehen oder ↑ ↓ nutzen, um zu sortieren. Auf einen Namen tippen zum Umbenennen.",
+  "html.people.placeholder": "Familienmitglied hinzufügen",
+  "html.people.sort": "Personen anzeigen",
+  "html.person": "Person:",
+  "html.picks": "Ziehungen…",
+  "html.picks.clear": "Verlauf löschen",
+  "html.picks.fair": "Abwechseln (keine Wiederholung, bis alle dran waren)",
+  "html.picks.modalTitle": "Zufallsziehungen",
+  "html.picks.newRound": "Neue Runde",
+  "html.picks.past": "Bisherige Ziehungen",
+  "html.picks.people": "Personen im Topf",
+  "html.picks.title": "Wer im Topf ist, Reihenfolge und bisherige Ziehungen",
+  "html.picks.types": "Arten im Topf",
+  "html.randomFavorite": "Zufälliger Favorit",
+  "html.randomGroup": "Zufällige Art aus Gruppe",
+  "html.randomPerson": "Zufällige Person",
+  "html.randomType": "Zufällige Art",
+  "html.search.byPerson": "Nach Person gruppieren",
+  "html.search.byType": "Nach Art gruppieren",
+  "html.search.groupBy": "Ergebnisse gruppieren",
+  "html.search.label": "Favoriten suchen",
+  "html.search.placeholder": "Favoriten, Personen, Arten suchen…",
+  "html.selectAll": "Alles auswählen",
+  "html.settings": "Personen & Arten verwalten",
+  "html.share": "Link teilen",
+  "html.share.create": "Link erstellen",
+  "html.share.placeholder": "Hier erscheint dein Link.",
+  "html.share.text": "Wähle, wer und was dabei ist. Der Link zeigt diese Favoriten, ohne das eigene Widget des Empfängers zu verändern.",
+  "html.share.title": "Nur-Lese-Link teilen",
+  "html.snapshot.close": "Zurück zu meinen Favoriten",
+  "html.snapshot.import": "In mein Widget importieren",
+  "html.sort.age": "Nach Alter (Älteste zuerst)",
+  "html.sort.alpha": "A–Z",
+  "html.sort.filled": "Am meisten ausgefüllt",
+  "html.sort.manual": "In meiner Reihenfolge",
+  "html.subtitle": "Das „Ja“ aller auf einen Blick.",
+  "html.theme": "Design",
+  "html.theme.auto": "Wie das System",
+  "html.theme.dark": "Dunkel",
+  "html.theme.light": "Hell",
+  "html.title": "Family Favorites",
+  "html.view.category": "Nach Art",
+  "html.view.grid": "Raster",
+  "html.view.person": "Nach Person",
+  "html.viewFavorites": "Favoriten anzeigen",
+
+  "import.bundleEmpty": "Diese Haushaltssicherung enthält keine Haushalte.",
+  "import.bundleNoId": "Ein Haushalt in dieser Sicherung hat keine ID.",
+  "import.confirmBundle": "Diese Sicherung enthält mehrere Haushalte. Haushalte mit derselben ID werden ersetzt, die anderen hinzugefügt. Fortfahren?",
+  "import.confirmReplace": "Das ersetzt deine aktuellen Daten. Fortfahren?",
+  "import.done": "Family-Favorites-Daten importiert.",
+  "import.error": "Fehler beim Importieren. Prüfe das JSON und versuche es erneut.",
+  "import.invalidJson": "Das ist kein gültiges JSON ({error}). Prüfe, ob die ganze Sicherung eingefügt wurde.",
+  "import.pasteFirst": "Füge vor dem Fortfahren eine Sicherung ein.",
+  "import.restoredHouseholds": { one: "{count} Haushalt wiederhergestellt.", other: "{count} Haushalte wiederhergestellt." },
+
+  "integrity.badArchived": "{name} ({noun}) hatte eine unlesbare Archiviert-Markierung.",
+  "integrity.badHistory": { one: "{count} Eintrag im Favoritenverlauf war verwaist oder unlesbar.", other: "{count} Einträge im Favoritenverlauf waren verwaist oder unlesbar." },
+  "integrity.badOccasions": "Die Termine und Geschenkideen von {name} waren unlesbar und wurden entfernt.",
+  "integrity.badValues": { one: "{count} Favoritenwert war kein Text und wurde korrigiert oder entfernt.", other: "{count} Favoritenwerte waren kein Text und wurden korrigiert oder entfernt." },
+  "integrity.banner": { one: "In deinen gespeicherten Daten wurde {count} Problem gefunden.", other: "In deinen gespeicherten Daten wurden {count} Probleme gefunden." },
+  "integrity.duplicateId": "{first} und {name} haben dieselbe ID „{id}“; {name} hat eine neue bekommen.",
+  "integrity.import.repair": "Reparieren und importieren",
+  "integrity.import.text": "Sie lässt sich importieren, sobald diese repariert sind. Bis zum Import ändert sich nichts.",
+  "integrity.import.title": "Probleme in dieser Sicherung",
+  "integrity.missingGroup": "Die Favoritenart {name} war in einer Gruppe, die es nicht mehr gibt.",
+  "integrity.noId": "{name} ({noun}) hatte keine ID und hat eine neue bekommen.",
+  "integrity.noName": "Ein Eintrag ({noun}) hatte keinen Namen; er heißt jetzt „{name}“.",
+  "integrity.notRecord": "Eintrag Nr. {number} ({noun}) entfernt: Er ist {type}, kein Datensatz.",
+  "integrity.orphanFavorites": { one: "{count} Favoritenliste gehörte zu Personen oder Arten, die es nicht mehr gibt.", other: "{count} Favoritenlisten gehörten zu Personen oder Arten, die es nicht mehr gibt." },
+  "integrity.repair": "Reparieren",
+  "integrity.repaired": { one: "{count} Problem repariert.", other: "{count} Probleme repariert." },
+  "integrity.review": "Prüfen & reparieren",
+  "integrity.shape.missing": "In der Sicherung fehlen: {section}.",
+  "integrity.shape.notList": "In der Sicherung sollte „{section}“ eine Liste sein, ist aber {type}.",
+  "integrity.shape.notObject": "In der Sicherung sollte „{section}“ ein Objekt sein, ist aber {type}.",
+  "integrity.shape.unreadable": "Keiner der Einträge unter „{section}“ in der Sicherung ist lesbar.",
+  "integrity.stored.text": "Diese Probleme wurden gefunden und sind auf dem Bildschirm bereits umgangen. Reparieren speichert die korrigierten Daten.",
+  "integrity.stored.title": "Prüfung der gespeicherten Daten",
+  "integrity.unknownType": "Die Favoritenart {name} hatte einen unbekannten Feldtyp; sie ist jetzt Text.",
+
+  "json.boolean": "wahr oder falsch",
+  "json.list": "eine Liste",
+  "json.number": "eine Zahl",
+  "json.object": "ein Objekt",
+  "json.other": "ein Wert vom Typ {type}",
+  "json.text": "Text",
+
+  "language.saved": "Sprache geändert.",
+
+  "manage.active": "Aktiv",
+  "manage.archived": "Archiviert",
+  "manage.dates": "Termine",
+  "manage.moveDownLabel": "{name} nach unten",
+  "manage.moveUpLabel": "{name} nach oben",
+
+  "markdown.copied": "Markdown kopiert – füge es in Notion ein.",
+  "markdown.modal.text": "Kopiere das und füge es in eine Notion-Seite ein.",
+  "markdown.modal.title": "Markdown",
+  "markdown.noFavorites": "Noch keine Favoriten.",
+  "markdown.pickSome": "Wähle mindestens eine Person und eine Favoritenart zum Exportieren.",
+  "markdown.ready": "Markdown bereit – kopiere es aus dem Fenster.",
+
+  "merge.added.group": "Gruppe: {name}",
+  "merge.added.person": "Person: {name}",
+  "merge.added.type": "Art: {name}",
+  "merge.change.archive": "archivieren",
+  "merge.change.group": "in eine Gruppe stecken",
+  "merge.change.occasions": "Termine & Geschenkideen hinzufügen",
+  "merge.change.rename": "umbenennen in „{name}“",
+  "merge.change.restore": "wiederherstellen",
+  "merge.conflictsResolved": { one: "{count} Konflikt gelöst", other: "{count} Konflikte gelöst" },
+  "merge.done": "Zusammengeführt: {added} hinzugefügt, {updated} aktualisiert, {conflicts}.",
+  "merge.error": "Fehler beim Zusammenführen. Es wurde nichts importiert.",
+  "merge.heading.added": "Hinzugefügt ({count})",
+  "merge.heading.conflicts": "Konflikte ({count})",
+  "merge.heading.updated": "Aktualisiert ({count})",
+  "merge.keepBoth": "Beides behalten",
+  "merge.keepMine": "Meins behalten",
+  "merge.mine": "Meins: {value}",
+  "merge.noConflicts": "Keine Konflikte.",
+  "merge.nothing": "Nichts.",
+  "merge.takeTheirs": "Ihres übernehmen",
+  "merge.theirs": "Ihres: {value}",
+  "merge.unchanged": { one: "{count} passender Favorit ist schon aktuell.", other: "{count} passende Favoriten sind schon aktuell." },
+  "merge.updated.group": "Gruppe",
+  "merge.updated.person": "Person",
+  "merge.updated.type": "Art",
+
+  "occasion.birthday": "Geburtstag",
+  "occasion.birthdayLower": "Geburtstag",
+  "occasion.confirmRemoveBirthday": "Geburtstag und seine Geschenkideen entfernen?",
+  "occasion.empty": "Füge einen Geburtstag oder einen anderen Anlass hinzu, um Geschenkideen dafür zu sammeln.",
+  "occasion.modalTitle": "Termine & Geschenkideen von {name}",
+  "occasion.needNameAndDate": "Gib dem Anlass einen Namen und ein Datum.",
+  "occasion.noDate": "kein Datum",
+  "occasion.remove": "Anlass entfernen",
+
+  "people.added": "{name} hinzugefügt.",
+  "people.archived": "{name} archiviert.",
+  "people.deleted": "{name} gelöscht.",
+  "people.enterName": "Gib vor dem Hinzufügen einen Namen ein.",
+  "people.noneYet": "Noch keine Personen",
+  "people.noneYetAddBelow": "Noch keine Familienmitglieder. Füge unten eines hinzu.",
+  "people.noneYetLong": "Noch keine Familienmitglieder.",
+  "people.restored": "{name} wiederhergestellt.",
+
+  "picker.empty": "Noch nichts zum Auswählen.",
+
+  "picks.confirmClear": "Den Ziehungsverlauf dieses Haushalts löschen?",
+  "picks.fairOff": "Die Ziehungen sind wieder völlig zufällig.",
+  "picks.fairOn": "Abwechselnd: Niemand kommt doppelt dran, bevor alle dran waren.",
+  "picks.logType": "Art: {name}",
+  "picks.newRoundStarted": "Neue Runde gestartet.",
+  "picks.noneYet": "Noch keine Ziehungen.",
+  "picks.status.newRound": "Mit der nächsten Wahl beginnt eine neue Runde.",
+  "picks.status.off": "Abwechseln ist aus – jeder kann zweimal hintereinander gezogen werden.",
+  "picks.status.waiting": "Warten in dieser Runde noch auf ihren Zug: {names}.",
+
+  "profile.confirmDelete": "„{name}“ mit allen Personen, Arten und Favoriten löschen?\n\nDas lässt sich nicht rückgängig machen. Exportiere ihn vorher, falls du ihn noch brauchst.",
+  "profile.copyName": "{name} (Kopie)",
+  "profile.created": "{name} erstellt.",
+  "profile.defaultName": "Meine Familie",
+  "profile.deleted": "{name} gelöscht.",
+  "profile.deletedElsewhere": "Dieser Haushalt wurde in einem anderen Fenster gelöscht.",
+  "profile.duplicated": "{source} als {name} dupliziert.",
+  "profile.enterName": "Gib einen Namen für den Haushalt ein.",
+  "profile.fallbackName": "Haushalt",
+  "profile.needOne": "Du brauchst mindestens einen Haushalt.",
+  "profile.promptCopy": "Name für die Kopie:",
+  "profile.promptNew": "Name für den neuen Haushalt (z. B. Großeltern, Klasse):",
+  "profile.promptRename": "Diesen Haushalt umbenennen:",
+  "profile.renamed": "In {name} umbenannt.",
+  "profile.switched": "Zu {name} gewechselt.",
+
+  "profileView.addPerson": "Füge unten ein Familienmitglied hinzu, um sein Profil zu sehen.",
+  "profileView.hint.allFilled": "Alles, was {name} mag · alles ausgefüllt",
+  "profileView.hint.stillToAsk": { one: "Alles, was {name} mag · {count} noch offen", other: "Alles, was {name} mag · {count} noch offen" },
+  "profileView.history": "Verlauf",
+  "profileView.showing": "Das mag {name}",
+  "profileView.stillToAskTag": "noch offen",
+
+  "random.favoriteToast": "Zufälliger Favorit gewählt!",
+  "random.needBoth": "Es braucht mindestens eine Person und eine Art in der Auslosung.",
+  "random.noFavorites": "Noch keine Favoriten eingetragen.",
+  "random.noPeople": "Keine Familienmitglieder in der Auslosung.",
+  "random.noTypes": "Keine Favoritenarten in der Auslosung.",
+  "random.personLabel": "Zufällige Person:",
+  "random.personToast": "Star des Abends: {name}",
+  "random.pickLabel": "Die Wahl für heute Abend:",
+  "random.typeToast": "Zufällige Art: {name}",
+  "random.weightOff": "Jeder Favorit hat die gleiche Chance.",
+  "random.weightOn": "Favoriten weiter oben gewinnen öfter.",
+
+  "redo.nothing": "Nichts zum Wiederholen.",
+  "redo.redid": "Wiederholt: {label}",
+
+  "rename.done": "{oldName} in {newName} umbenannt.",
+  "rename.label": "{name} umbenennen",
+  "rename.title": "Umbenennen",
+
+  "search.hint.empty": { one: "{count} Favorit ohne Eintrag", other: "{count} Favoriten ohne Eintrag" },
+  "search.hint.query": { one: "{count} Favorit für „{query}“", other: "{count} Favoriten für „{query}“" },
+  "search.noMatches": "Keine Treffer.",
+  "search.stillEmpty": "noch leer",
+
+  "seed.category.candy": "Süßigkeiten",
+  "seed.category.fastfood": "Fast Food",
+  "seed.category.icecream": "Eis",
+  "seed.category.movie": "Film",
+  "seed.category.snack": "Snack",
+  "seed.category.tv": "Serie",
+  "seed.group.food": "Essen",
+  "seed.group.media": "Medien",
+
+  "share.copied": "Freigabelink in die Zwischenablage kopiert.",
+  "share.error.compressed": "Dieser Browser kann komprimierte Freigabelinks nicht öffnen.",
+  "share.error.create": "In diesem Browser konnte kein Freigabelink erstellt werden.",
+  "share.error.damaged": "Dieser Freigabelink ist beschädigt.",
+  "share.error.newer": "Dieser Freigabelink stammt von einer neueren Version von Family Favorites.",
+  "share.pickSome": "Wähle mindestens eine Person und eine Favoritenart zum Teilen.",
+  "share.ready": "Der Freigabelink steht unten bereit – kopiere ihn von dort.",
+  "share.tooLong": "Er ist lang; manche Apps schneiden ihn ab, teile also lieber weniger Arten.",
+
+  "snapshot.banner": "Schreibgeschützter Schnappschuss, geteilt von {from}.",
+  "snapshot.bannerOn": "Schreibgeschützter Schnappschuss, geteilt von {from} am {when}.",
+  "snapshot.fromNamed": "„{name}“",
+  "snapshot.fromSomeone": "dem Widget einer anderen Person",
+  "snapshot.opening": "Geteilte Favoriten werden geöffnet…",
+
+  "storage.error.blocked": "Dieser Browser blockiert den Speicher für diese Seite.",
+  "storage.error.quota": "Dieser Browser hat keinen Platz mehr für Family Favorites.",
+  "storage.error.refused": "Dieser Browser hat das Speichern von Family Favorites verweigert.",
+  "storage.error.unsaved": "Deine letzten Änderungen wurden eventuell nicht gespeichert.",
+  "storage.notSaving": "Speichern funktioniert in diesem Browser nicht.",
+  "storage.problem.backUp": "Erstelle jetzt eine Sicherung, damit nichts verloren geht.",
+  "storage.problem.memory": "Dieser Browser blockiert den Speicher, daher bleiben Änderungen nur bis zum Schließen dieser Seite erhalten.",
+  "storage.problem.none": "Dieser Browser lässt Family Favorites nichts speichern.",
+  "storage.problem.unreachable": "Deine gespeicherten Favoriten liegen in der Datenbank dieses Browsers, die sich diesmal nicht öffnen ließ. Lade die Seite neu, um es erneut zu versuchen – Änderungen von jetzt werden nicht gespeichert.",
+  "storage.savedIn.indexeddb": "In der Datenbank dieses Browsers gespeichert (IndexedDB).",
+  "storage.savedIn.local": "Im lokalen Speicher dieses Browsers gespeichert.",
+  "storage.savedIn.memory": "Nur auf dieser Seite gehalten – nach dem Schließen ist nichts gespeichert.",
+
+  "sync.conflict": "{what} wurde auch in einem anderen Fenster geändert – beides wurde behalten.",
+  "sync.conflictCell": "{category} von {person}",
+  "sync.conflictMore": { one: "{what} (+{count} weiterer) wurde auch in einem anderen Fenster geändert – beides wurde behalten.", other: "{what} (+{count} weitere) wurden auch in einem anderen Fenster geändert – beides wurde behalten." },
+  "sync.conflictUnknown": "Ein Favorit",
+  "sync.recordConflict": "„{name}“ wurde auch in einem anderen Fenster geändert – die Änderung hier wurde behalten.",
+  "sync.recordConflictMore": { one: "„{name}“ (+{count} weiterer) wurde auch in einem anderen Fenster geändert – die Änderungen hier wurden behalten.", other: "„{name}“ (+{count} weitere) wurden auch in einem anderen Fenster geändert – die Änderungen hier wurden behalten." },
+
+  "timeline.beforeHistory": "Bevor der Verlauf gespeichert wurde",
+  "timeline.earlier": "früher",
+  "timeline.empty": "Noch keine Favoriten erfasst.",
+  "timeline.open": "Sehen, wie sich die Favoriten von {name} verändert haben",
+  "timeline.title": "Favoriten von {name} im Lauf der Zeit",
+
+  "undo.addCategory": "Favoritenart {name} hinzufügen",
+  "undo.addGift": "Geschenkidee {text} hinzufügen",
+  "undo.addGroup": "Gruppe {name} hinzufügen",
+  "undo.addOccasion": "{occasion} für {name} hinzufügen",
+  "undo.addPerson": "{name} hinzufügen",
+  "undo.archiveCategory": "Favoritenart {name} archivieren",
+  "undo.archiveGroup": "Gruppe {name} archivieren",
+  "undo.archivePerson": "{name} archivieren",
+  "undo.deleteCategory": "Favoritenart {name} löschen",
+  "undo.deleteGroup": "Gruppe {name} löschen",
+  "undo.deletePerson": "{name} löschen",
+  "undo.editFavorite": "{category} von {person} bearbeiten",
+  "undo.favorite": "Favorit",
+  "undo.giftBought": "Geschenk als gekauft markieren",
+  "undo.giftNotBought": "Geschenk als nicht gekauft markieren",
+  "undo.importCsv": "CSV importieren",
+  "undo.mergeImport": "Import zusammenführen",
+  "undo.move": "{name} verschieben",
+  "undo.moveToGroup": "{name} nach {group} verschieben",
+  "undo.nothing": "Nichts zum Rückgängigmachen.",
+  "undo.occasionDate": "Datum des Anlasses ändern",
+  "undo.rename": "{oldName} in {newName} umbenennen",
+  "undo.restoreCategory": "Favoritenart {name} wiederherstellen",
+  "undo.restoreGroup": "Gruppe {name} wiederherstellen",
+  "undo.restorePerson": "{name} wiederherstellen",
+  "undo.setBirthday": "Geburtstag von {name} festlegen",
+  "undo.someone": "jemandem",
+  "undo.undid": "Rückgängig gemacht: {label}",
+  "undo.ungroup": "{name} aus der Gruppe nehmen",
+
+  "upcoming.favorites": "Favoriten: {favorites}",
+  "upcoming.title": "{occasion} von {name}"
+});
@@ -0,0 +1,524 @@
+/* ---------- English messages ---------- */
+
+// The complete catalog. Other packs fall back to these messages for any key
+// they leave out, so add new keys here first.
+
+registerLocale("en", {
+  "backup.error.newer": "This backup was made by a newer version of Family Favorites.",
+  "backup.error.noUpgrade": "No upgrade path for backup version {version}.",
+  "backup.error.notBackup": "This doesn’t look like a Family Favorites backup.",
+  "backup.error.notObject": "A backup is a JSON object, but this is {type}.",
+  "backup.now": "Back up now",
+  "backup.reminder.last": "Last backup: {when}",
+  "backup.reminder.none": "No backup yet.",
+  "backup.reminder.overdue": "It’s been more than a day since your last backup ({when}).",
+
+  "backupModal.text": "Copy this backup and store it somewhere safe (Notion page, file, etc.).",
+  "backupModal.title": "Backup JSON",
+
+  "category.addToBegin": "Add a favorite type in settings (⚙️) to begin.",
+  "category.added": "Added favorite type: {name}.",
+  "category.archived": "Archived favorite type: {name}.",
+  "category.avoidOption": "{name} (avoid)",
+  "category.deleted": "Deleted favorite type: {name}.",
+  "category.enterName": "Enter a favorite type before adding.",
+  "category.hint.avoid": "Things to avoid: {name}",
+  "category.hint.choose": "Choose a favorite type above.",
+  "category.hint.showing": "Showing favorites for: {name}",
+  "category.noneYet": "No types yet",
+  "category.noneYetLong": "No favorite types yet.",
+  "category.restored": "Restored favorite type: {name}.",
+
+  "common.add": "Add",
+  "common.archive": "Archive",
+  "common.archivedTag": "(archived)",
+  "common.delete": "Delete",
+  "common.dismiss": "Dismiss",
+  "common.no": "No",
+  "common.redo": "Redo",
+  "common.remove": "Remove",
+  "common.restore": "Restore",
+  "common.undo": "Undo",
+  "common.yes": "Yes",
+
+  "count.favoriteLists": { one: "{count} favorite list", other: "{count} favorite lists" },
+  "count.people": { one: "{count} person", other: "{count} people" },
+  "count.rows": { one: "{count} row", other: "{count} rows" },
+  "count.types": { one: "{count} type", other: "{count} types" },
+
+  "csv.column": "Column {number}",
+  "csv.copied": "CSV copied to clipboard.",
+  "csv.downloaded": "CSV downloaded.",
+  "csv.error": "Error importing CSV. Nothing was imported.",
+  "csv.error.unclosedQuote": "The CSV has a quote that is never closed.",
+  "csv.header.favorite": "Favorite",
+  "csv.header.person": "Person",
+  "csv.header.type": "Favorite type",
+  "csv.imported": "CSV imported: {people} and {types} added, {lists} updated.",
+  "csv.modal.text": "Copy this CSV into a .csv file or paste it into a Notion import.",
+  "csv.modal.title": "Favorites CSV",
+  "csv.needRows": "The CSV needs a header row and at least one row of favorites.",
+  "csv.noFavorites": "No favorites found with these columns.",
+  "csv.pasteFirst": "Paste CSV or choose a file before continuing.",
+  "csv.readError": "Couldn’t read that file.",
+  "csv.ready": "CSV ready – copy from the panel.",
+  "csv.report.heading": "Imported {lists}; skipped {rows}",
+  "csv.report.invalid": { one: "{count} value didn’t fit its type (rating, yes/no, link, date)", other: "{count} values didn’t fit their type (rating, yes/no, link, date)" },
+  "csv.report.row": "Row {row}: {reason}",
+  "csv.skip.noFavorite": "no favorite",
+  "csv.skip.noPerson": "no person",
+  "csv.skip.noType": "no favorite type",
+  "csv.skip.tooManyCells": "more cells than the header has columns",
+  "csv.summary": "Found favorites for {people} across {types}.",
+  "csv.summarySkipped": { one: "{count} row will be skipped.", other: "{count} rows will be skipped." },
+
+  "data.noun.categories": "favorite type",
+  "data.noun.categoryGroups": "group",
+  "data.noun.people": "person",
+  "data.section.categories": "favorite types",
+  "data.section.categoryGroups": "groups",
+  "data.section.favoriteHistory": "favorite history",
+  "data.section.favorites": "favorites",
+  "data.section.people": "people",
+  "data.unnamed.categories": "Unnamed type",
+  "data.unnamed.categoryGroups": "Unnamed group",
+  "data.unnamed.people": "Unnamed person",
+
+  "date.unknown": "Unknown time",
+
+  "days.in": { one: "in {count} day", other: "in {count} days" },
+  "days.today": "today",
+  "days.tomorrow": "tomorrow",
+
+  "export.allCopied": "All households copied to clipboard.",
+  "export.allReady": "Backup of all households ready – copy from the panel.",
+  "export.copied": "Family Favorites data copied to clipboard.",
+  "export.ready": "Backup ready – copy from the panel.",
+
+  "favorite.addAnother": "Add another favorite",
+  "favorite.inputLabel": "{person} – {category}",
+  "favorite.inputLabelRanked": "{person} – {category}, #{rank}",
+  "favorite.label": "Favorite {category}:",
+  "favorite.moveDown": "Move down",
+  "favorite.moveUp": "Move up",
+  "favorite.placeholder": "Their favorite...",
+  "favorite.placeholder.avoid": "What to avoid...",
+  "favorite.placeholder.avoidMore": "Something else to avoid...",
+  "favorite.placeholder.more": "Another favorite...",
+
+  "favorites.noTypeSelected": "No favorite type selected yet.",
+
+  "field.avoidBadge": "avoid",
+  "field.invalid.date": "“{value}” isn’t a valid date.",
+  "field.invalid.link": "“{value}” isn’t a valid link.",
+  "field.invalid.rating": "“{value}” isn’t a valid rating.",
+  "field.invalid.yesno": "“{value}” isn’t yes or no.",
+  "field.openLink": "Open link",
+
+  "fieldType.date": "Date",
+  "fieldType.link": "Link",
+  "fieldType.rating": "Rating 1–5",
+  "fieldType.text": "Text",
+  "fieldType.yesno": "Yes / no",
+
+  "gifts.countLabel": "Gift ideas ({bought}/{total} bought)",
+  "gifts.label": "Gift ideas",
+  "gifts.noneYet": "No gift ideas yet.",
+  "gifts.placeholder": "Add a gift idea",
+  "gifts.remove": "Remove gift idea",
+
+  "grid.corner": "Type",
+  "grid.empty": "Nothing to show yet.",
+  "grid.empty.hint": "Add people and favorite types to fill the grid.",
+  "grid.hint": "Everyone at a glance: {people} × {types}",
+  "grid.includeArchived": "Include archived",
+  "grid.more": "+{count} more",
+
+  "group.added": "Added group: {name}.",
+  "group.any": "Any group",
+  "group.archived": "Archived group {name} ({types}).",
+  "group.confirmDelete": "Delete the group {name}? Its favorite types are kept.",
+  "group.deleted": "Deleted group: {name}.",
+  "group.enterName": "Enter a group name before adding.",
+  "group.exists": "There’s already a group called {name}.",
+  "group.none": "No group",
+  "group.noneYet": "No groups yet. Groups keep long lists of types tidy.",
+  "group.other": "Other",
+  "group.restored": "Restored group {name} ({types}).",
+  "group.selectLabel": "Group for {name}",
+
+  "history.settingSaved": "History setting saved.",
+
+  "html.accent": "Accent",
+  "html.accent.amber": "Amber",
+  "html.accent.mint": "Mint",
+  "html.accent.ocean": "Ocean",
+  "html.accent.rose": "Rose",
+  "html.accent.violet": "Violet",
+  "html.addPerson.placeholder": "Add a family member (press +)",
+  "html.appearance": "Appearance",
+  "html.avoid": "Dislike / avoid",
+  "html.avoid.title": "Dislikes never come up in random picks",
+  "html.back": "Back",
+  "html.backup": "Backup & transfer",
+  "html.backup.text": "Export this household as JSON, CSV or Markdown, import a backup, or share a read-only link.",
+  "html.cancel": "Cancel",
+  "html.categories": "Favorite types",
+  "html.categories.placeholder": "Add a favorite type (Candy, Movie…)",
+  "html.categories.sort": "Show types",
+  "html.close": "Close",
+  "html.continue": "Continue",
+  "html.copyNotion": "Copy for Notion",
+  "html.csv.file": "CSV file",
+  "html.csv.import": "Import",
+  "html.csv.long": "A row per favorite",
+  "html.csv.personColumn": "Person column",
+  "html.csv.text": "Paste CSV from a spreadsheet or Notion, or choose a file. Use a column per person, or a row per favorite. Missing people and types are created.",
+  "html.csv.typeColumn": "Favorite type column",
+  "html.csv.valueColumn": "Favorite column",
+  "html.csv.wide": "A column per person",
+  "html.csvLayout": "CSV layout",
+  "html.csvLayout.long": "CSV: a row per favorite",
+  "html.csvLayout.wide": "CSV: a column per person",
+  "html.done": "Done",
+  "html.export": "Export data",
+  "html.exportAll": "Export all households",
+  "html.exportCsv": "Export CSV",
+  "html.favorTop": "Favor top picks",
+  "html.favorTop.title": "Top-ranked favorites are picked more often",
+  "html.favoriteType": "Favorite type:",
+  "html.fieldType": "Field type",
+  "html.footer": "Little favorites make big memories.",
+  "html.group": "Group",
+  "html.groups": "Groups",
+  "html.groups.hint": "Archiving a group archives every type in it.",
+  "html.groups.placeholder": "Add a group (Food, Media, Activities…)",
+  "html.history": "Favorite history",
+  "html.history.1year": "1 year",
+  "html.history.2years": "2 years",
+  "html.history.5years": "5 years",
+  "html.history.forever": "Forever",
+  "html.history.keep": "Keep history for",
+  "html.history.text": "Tap a name to see how their favorites changed over time.",
+  "html.household": "Household",
+  "html.households": "Households",
+  "html.households.active": "Active household",
+  "html.households.duplicate": "Duplicate",
+  "html.households.new": "New",
+  "html.households.rename": "Rename",
+  "html.households.text": "Keep separate favorites for your family, the grandparents’ side, a classroom…",
+  "html.import": "Import data",
+  "html.import.apply": "Apply merge",
+  "html.import.bundleNote": "This is a backup of all households. Households it contains replace the ones with the same id, and the rest are added; merging isn’t available for it.",
+  "html.import.merge": "Merge with my data (preview first)",
+  "html.import.replace": "Replace all my data",
+  "html.import.text": "Paste a Family Favorites backup JSON below.",
+  "html.import.title": "Import backup",
+  "html.importCsv": "Import CSV",
+  "html.includeArchived": "Include archived",
+  "html.keyboard": "Keyboard",
+  "html.keyboard.help": "R random favorite · P random person · T random type · [ ] previous or next type (person in the By person view) · Esc closes a dialog",
+  "html.keyboard.toggle": "Single-key shortcuts",
+  "html.language": "Language",
+  "html.language.auto": "Browser language",
+  "html.layout": "Layout",
+  "html.markdown.archived": "Include archived people and types",
+  "html.markdown.copy": "Copy Markdown",
+  "html.markdown.sections": "A section per person",
+  "html.markdown.table": "Table (a column per person)",
+  "html.markdown.text": "Builds Markdown you can paste straight into a Notion page.",
+  "html.occasions.add": "Add occasion",
+  "html.occasions.date": "Occasion date",
+  "html.occasions.placeholder": "Name day, graduation…",
+  "html.onlyEmpty": "Only empty",
+  "html.people": "Family members",
+  "html.people.legend": "People",
+  "html.people.orderHint": "Drag or use ↑ ↓ to set your order. Tap a name to rename.",
+  "html.people.placeholder": "Add a family member",
+  "html.people.sort": "Show people",
+  "html.person": "Person:",
+  "html.picks": "Picks…",
+  "html.picks.clear": "Clear history",
+  "html.picks.fair": "Take turns (no repeats until everyone’s been picked)",
+  "html.picks.modalTitle": "Random picks",
+  "html.picks.newRound": "New round",
+  "html.picks.past": "Past picks",
+  "html.picks.people": "People in the draw",
+  "html.picks.title": "Who’s in the draw, turns and past picks",
+  "html.picks.types": "Types in the draw",
+  "html.randomFavorite": "Random favorite",
+  "html.randomGroup": "Random type from group",
+  "html.randomPerson": "Random person",
+  "html.randomType": "Random type",
+  "html.search.byPerson": "Group by person",
+  "html.search.byType": "Group by type",
+  "html.search.groupBy": "Group results",
+  "html.search.label": "Search favorites",
+  "html.search.placeholder": "Search favorites, people, types…",
+  "html.selectAll": "Select all",
+  "html.settings": "Manage people & types",
+  "html.share": "Share link",
+  "html.share.create": "Create link",
+  "html.share.placeholder": "Your link will appear here.",
+  "html.share.text": "Pick who and what to include. Opening the link shows these favorites without touching the viewer’s own widget.",
+  "html.share.title": "Share a read-only link",
+  "html.snapshot.close": "Back to my favorites",
+  "html.snapshot.import": "Import into my widget",
+  "html.sort.age": "By age (oldest first)",
+  "html.sort.alpha": "A–Z",
+  "html.sort.filled": "Most filled in",
+  "html.sort.manual": "In my order",
+  "html.subtitle": "Know everyone’s “yes” in one glance.",
+  "html.theme": "Theme",
+  "html.theme.auto": "Match system",
+  "html.theme.dark": "Dark",
+  "html.theme.light": "Light",
+  "html.title": "Family Favorites",
+  "html.view.category": "By type",
+  "html.view.grid": "Grid",
+  "html.view.person": "By person",
+  "html.viewFavorites": "View favorites",
+
+  "import.bundleEmpty": "This households backup doesn’t contain any households.",
+  "import.bundleNoId": "A household in this backup has no id.",
+  "import.confirmBundle": "This backup contains several households. Households with the same id will be replaced; the others are added. Continue?",
+  "import.confirmReplace": "This will replace your current data. Continue?",
+  "import.done": "Family Favorites data imported.",
+  "import.error": "Error importing data. Check the JSON and try again.",
+  "import.invalidJson": "This isn’t valid JSON ({error}). Check that the whole backup was pasted.",
+  "import.pasteFirst": "Paste a backup before continuing.",
+  "import.restoredHouseholds": { one: "Restored {count} household.", other: "Restored {count} households." },
+
+  "integrity.badArchived": "The {noun} {name} had an unreadable archived flag.",
+  "integrity.badHistory": { one: "{count} favorite history record was orphaned or unreadable.", other: "{count} favorite history records were orphaned or unreadable." },
+  "integrity.badOccasions": "{name}’s dates and gift ideas couldn’t be read and were removed.",
+  "integrity.badValues": { one: "{count} favorite value wasn’t text and was fixed or removed.", other: "{count} favorite values weren’t text and were fixed or removed." },
+  "integrity.banner": { one: "Found {count} problem in your saved data.", other: "Found {count} problems in your saved data." },
+  "integrity.duplicateId": "{first} and {name} share the id “{id}”; {name} got a new one.",
+  "integrity.import.repair": "Repair and import",
+  "integrity.import.text": "It can be imported once these are repaired. Nothing changes until you import.",
+  "integrity.import.title": "Problems in this backup",
+  "integrity.missingGroup": "The favorite type {name} was in a group that no longer exists.",
+  "integrity.noId": "The {noun} {name} had no id; it got a new one.",
+  "integrity.noName": "A {noun} had no name; it’s now called “{name}”.",
+  "integrity.notRecord": "Removed {noun} #{number}: it’s {type}, not a record.",
+  "integrity.orphanFavorites": { one: "{count} favorite list belonged to people or types that no longer exist.", other: "{count} favorite lists belonged to people or types that no longer exist." },
+  "integrity.repair": "Repair",
+  "integrity.repaired": { one: "Repaired {count} problem.", other: "Repaired {count} problems." },
+  "integrity.review": "Review & repair",
+  "integrity.shape.missing": "The backup is missing its {section}.",
+  "integrity.shape.notList": "The backup’s {section} should be a list, but it’s {type}.",
+  "integrity.shape.notObject": "The backup’s {section} should be an object, but it’s {type}.",
+  "integrity.shape.unreadable": "None of the backup’s {section} are readable records.",
+  "integrity.stored.text": "These problems were found and are already worked around on screen. Repair saves the fixed data.",
+  "integrity.stored.title": "Saved data check",
+  "integrity.unknownType": "The favorite type {name} had an unknown field type; it’s text now.",
+
+  "json.boolean": "true or false",
+  "json.list": "a list",
+  "json.number": "a number",
+  "json.object": "an object",
+  "json.other": "a {type}",
+  "json.text": "text",
+
+  "language.saved": "Language changed.",
+
+  "manage.active": "Active",
+  "manage.archived": "Archived",
+  "manage.dates": "Dates",
+  "manage.moveDownLabel": "Move {name} down",
+  "manage.moveUpLabel": "Move {name} up",
+
+  "markdown.copied": "Markdown copied – paste it into Notion.",
+  "markdown.modal.text": "Copy this and paste it into a Notion page.",
+  "markdown.modal.title": "Markdown",
+  "markdown.noFavorites": "No favorites yet.",
+  "markdown.pickSome": "Pick at least one person and one favorite type to export.",
+  "markdown.ready": "Markdown ready – copy from the panel.",
+
+  "merge.added.group": "Group: {name}",
+  "merge.added.person": "Person: {name}",
+  "merge.added.type": "Type: {name}",
+  "merge.change.archive": "archive",
+  "merge.change.group": "put in a group",
+  "merge.change.occasions": "add dates & gift ideas",
+  "merge.change.rename": "rename to “{name}”",
+  "merge.change.restore": "restore",
+  "merge.conflictsResolved": { one: "{count} conflict resolved", other: "{count} conflicts resolved" },
+  "merge.done": "Merged: {added} added, {updated} updated, {conflicts}.",
+  "merge.error": "Error merging data. Nothing was imported.",
+  "merge.heading.added": "Added ({count})",
+  "merge.heading.conflicts": "Conflicts ({count})",
+  "merge.heading.updated": "Updated ({count})",
+  "merge.keepBoth": "Keep both",
+  "merge.keepMine": "Keep mine",
+  "merge.mine": "Mine: {value}",
+  "merge.noConflicts": "No conflicts.",
+  "merge.nothing": "Nothing.",
+  "merge.takeTheirs": "Take theirs",
+  "merge.theirs": "Theirs: {value}",
+  "merge.unchanged": { one: "{count} matching favorite already up to date.", other: "{count} matching favorites already up to date." },
+  "merge.updated.group": "Group",
+  "merge.updated.person": "Person",
+  "merge.updated.type": "Type",
+
+  "occasion.birthday": "Birthday",
+  "occasion.birthdayLower": "birthday",
+  "occasion.confirmRemoveBirthday": "Remove the birthday and its gift ideas?",
+  "occasion.empty": "Add a birthday or another occasion to keep gift ideas for it.",
+  "occasion.modalTitle": "{name}’s dates & gift ideas",
+  "occasion.needNameAndDate": "Give the occasion a name and a date.",
+  "occasion.noDate": "no date",
+  "occasion.remove": "Remove occasion",
+
+  "people.added": "Added {name}.",
+  "people.archived": "Archived {name}.",
+  "people.deleted": "Deleted {name}.",
+  "people.enterName": "Enter a name before adding.",
+  "people.noneYet": "No people yet",
+  "people.noneYetAddBelow": "No family members yet. Add one below.",
+  "people.noneYetLong": "No family members yet.",
+  "people.restored": "Restored {name}.",
+
+  "picker.empty": "Nothing to pick yet.",
+
+  "picks.confirmClear": "Clear the pick history for this household?",
+  "picks.fairOff": "Picks are fully random again.",
+  "picks.fairOn": "Taking turns: nobody repeats until everyone’s had a go.",
+  "picks.logType": "Type: {name}",
+  "picks.newRoundStarted": "New round started.",
+  "picks.noneYet": "No picks yet.",
+  "picks.status.newRound": "A new round starts with the next pick.",
+  "picks.status.off": "Take turns is off — anyone can be picked twice in a row.",
+  "picks.status.waiting": "Still waiting for a turn this round: {names}.",
+
+  "profile.confirmDelete": "Delete “{name}” and all of its people, types and favorites?\n\nThis can’t be undone. Export it first if you might need it again.",
+  "profile.copyName": "{name} (copy)",
+  "profile.created": "Created {name}.",
+  "profile.defaultName": "My family",
+  "profile.deleted": "Deleted {name}.",
+  "profile.deletedElsewhere": "This household was deleted in another window.",
+  "profile.duplicated": "Duplicated {source} as {name}.",
+  "profile.enterName": "Enter a name for the household.",
+  "profile.fallbackName": "Household",
+  "profile.needOne": "You need at least one household.",
+  "profile.promptCopy": "Name for the copy:",
+  "profile.promptNew": "Name for the new household (e.g. Grandparents, Classroom):",
+  "profile.promptRename": "Rename this household:",
+  "profile.renamed": "Renamed to {name}.",
+  "profile.switched": "Switched to {name}.",
+
+  "profileView.addPerson": "Add a family member below to see their profile.",
+  "profileView.hint.allFilled": "Everything {name} likes · all filled in",
+  "profileView.hint.stillToAsk": { one: "Everything {name} likes · {count} still to ask", other: "Everything {name} likes · {count} still to ask" },
+  "profileView.history": "History",
+  "profileView.showing": "Showing what {name} likes",
+  "profileView.stillToAskTag": "still to ask",
+
+  "random.favoriteToast": "Random favorite chosen!",
+  "random.needBoth": "Need at least one person and one type in the draw.",
+  "random.noFavorites": "No favorites filled in yet.",
+  "random.noPeople": "No family members in the draw.",
+  "random.noTypes": "No favorite types in the draw.",
+  "random.personLabel": "Random person:",
+  "random.personToast": "Tonight’s star: {name}",
+  "random.pickLabel": "Tonight’s pick:",
+  "random.typeToast": "Random type: {name}",
+  "random.weightOff": "Every favorite has an equal chance.",
+  "random.weightOn": "Top-ranked favorites win more often.",
+
+  "redo.nothing": "Nothing to redo.",
+  "redo.redid": "Redid: {label}",
+
+  "rename.done": "Renamed {oldName} to {newName}.",
+  "rename.label": "Rename {name}",
+  "rename.title": "Rename",
+
+  "search.hint.empty": { one: "{count} favorite with nothing filled in", other: "{count} favorites with nothing filled in" },
+  "search.hint.query": { one: "{count} favorite for “{query}”", other: "{count} favorites for “{query}”" },
+  "search.noMatches": "No matches.",
+  "search.stillEmpty": "still empty",
+
+  "seed.category.candy": "Candy",
+  "seed.category.fastfood": "Fast Food",
+  "seed.category.icecream": "Ice Cream",
+  "seed.category.movie": "Movie",
+  "seed.category.snack": "Snack",
+  "seed.category.tv": "TV Show",
+  "seed.group.food": "Food",
+  "seed.group.media": "Media",
+
+  "share.copied": "Share link copied to clipboard.",
+  "share.error.compressed": "This browser can’t open compressed share links.",
+  "share.error.create": "Couldn’t create a share link in this browser.",
+  "share.error.damaged": "This share link is damaged.",
+  "share.error.newer": "This share link was made by a newer version of Family Favorites.",
+  "share.pickSome": "Pick at least one person and one favorite type to share.",
+  "share.ready": "Share link ready below — copy it from there.",
+  "share.tooLong": "It’s long; some apps may cut it off, so try sharing fewer types.",
+
+  "snapshot.banner": "Read-only snapshot shared from {from}.",
+  "snapshot.bannerOn": "Read-only snapshot shared from {from} on {when}.",
+  "snapshot.fromNamed": "“{name}”",
+  "snapshot.fromSomeone": "someone’s widget",
+  "snapshot.opening": "Opening shared favorites…",
+
+  "storage.error.blocked": "This browser is blocking storage for this page.",
+  "storage.error.quota": "This browser has run out of space for Family Favorites.",
+  "storage.error.refused": "This browser refused to save Family Favorites.",
+  "storage.error.unsaved": "Your latest changes may not be saved.",
+  "storage.notSaving": "Saving isn’t working in this browser.",
+  "storage.problem.backUp": "Back up now so nothing is lost.",
+  "storage.problem.memory": "This browser is blocking storage, so changes last only until this page closes.",
+  "storage.problem.none": "This browser isn’t letting Family Favorites save anything.",
+  "storage.problem.unreachable": "Your saved favorites are in this browser’s database, which didn’t open this time. Reload the page to try again — changes made now won’t be saved.",
+  "storage.savedIn.indexeddb": "Saved in this browser’s database (IndexedDB).",
+  "storage.savedIn.local": "Saved in this browser’s local storage.",
+  "storage.savedIn.memory": "Kept on this page only — nothing is saved after it closes.",
+
+  "sync.conflict": "{what} was also changed in another window — kept both.",
+  "sync.conflictCell": "{person}’s {category}",
+  "sync.conflictMore": { one: "{what} (+{count} more) was also changed in another window — kept both.", other: "{what} (+{count} more) were also changed in another window — kept both." },
+  "sync.conflictUnknown": "A favorite",
+  "sync.recordConflict": "“{name}” was also changed in another window — kept the change made here.",
+  "sync.recordConflictMore": { one: "“{name}” (+{count} more) was also changed in another window — kept the changes made here.", other: "“{name}” (+{count} more) were also changed in another window — kept the changes made here." },
+
+  "timeline.beforeHistory": "Before history was kept",
+  "timeline.earlier": "earlier",
+  "timeline.empty": "No favorites recorded yet.",
+  "timeline.open": "See how {name}’s favorites changed",
+  "timeline.title": "{name}’s favorites over time",
+
+  "undo.addCategory": "Add favorite type {name}",
+  "undo.addGift": "Add gift idea {text}",
+  "undo.addGroup": "Add group {name}",
+  "undo.addOccasion": "Add {occasion} for {name}",
+  "undo.addPerson": "Add {name}",
+  "undo.archiveCategory": "Archive favorite type {name}",
+  "undo.archiveGroup": "Archive group {name}",
+  "undo.archivePerson": "Archive {name}",
+  "undo.deleteCategory": "Delete favorite type {name}",
+  "undo.deleteGroup": "Delete group {name}",
+  "undo.deletePerson": "Delete {name}",
+  "undo.editFavorite": "Edit {person}’s {category}",
+  "undo.favorite": "favorite",
+  "undo.giftBought": "Mark gift bought",
+  "undo.giftNotBought": "Mark gift not bought",
+  "undo.importCsv": "Import CSV",
+  "undo.mergeImport": "Merge import",
+  "undo.move": "Move {name}",
+  "undo.moveToGroup": "Move {name} to {group}",
+  "undo.nothing": "Nothing to undo.",
+  "undo.occasionDate": "Change occasion date",
+  "undo.rename": "Rename {oldName} to {newName}",
+  "undo.restoreCategory": "Restore favorite type {name}",
+  "undo.restoreGroup": "Restore group {name}",
+  "undo.restorePerson": "Restore {name}",
+  "undo.setBirthday": "Set {name}’s birthday",
+  "undo.someone": "someone",
+  "undo.undid": "Undid: {label}",
+  "undo.ungroup": "Take {name} out of its group",
+
+  "upcoming.favorites": "favorites: {favorites}",
+  "upcoming.title": "{name}’s {occasion}"
+});
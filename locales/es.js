@@ -0,0 +1,521 @@
+/* ---------- Spanish (Español) messages ---------- */
+
+registerLocale("es", {
+  "backup.error.newer": "Esta copia de seguridad se hizo con una versión más reciente de Family Favorites.",
+  "backup.error.noUpgrade": "No se puede actualizar una copia de seguridad de la versión {version}.",
+  "backup.error.notBackup": "Esto no parece una copia de seguridad de Family Favorites.",
+  "backup.error.notObject": "Una copia de seguridad es un objeto JSON, pero esto es {type}.",
+  "backup.now": "Hacer copia ahora",
+  "backup.reminder.last": "Última copia de seguridad: {when}",
+  "backup.reminder.none": "Todavía no hay copia de seguridad.",
+  "backup.reminder.overdue": "Ha pasado más de un día desde tu última copia de seguridad ({when}).",
+
+  "backupModal.text": "Copia esta copia de seguridad y guárdala en un lugar seguro (una página de Notion, un archivo, etc.).",
+  "backupModal.title": "Copia de seguridad (JSON)",
+
+  "category.addToBegin": "Añade un tipo de favorito en los ajustes (⚙️) para empezar.",
+  "category.added": "Tipo de favorito añadido: {name}.",
+  "category.archived": "Tipo de favorito archivado: {name}.",
+  "category.avoidOption": "{name} (evitar)",
+  "category.deleted": "Tipo de favorito eliminado: {name}.",
+  "category.enterName": "Escribe un tipo de favorito antes de añadir.",
+  "category.hint.avoid": "Cosas que evitar: {name}",
+  "category.hint.choose": "Elige un tipo de favorito arriba.",
+  "category.hint.showing": "Favoritos de: {name}",
+  "category.noneYet": "Aún no hay tipos",
+  "category.noneYetLong": "Aún no hay tipos de favoritos.",
+  "category.restored": "Tipo de favorito restaurado: {name}.",
+
+  "common.add": "Añadir",
+  "common.archive": "Archivar",
+  "common.archivedTag": "(archivado)",
+  "common.delete": "Eliminar",
+  "common.dismiss": "Descartar",
+  "common.no": "No",
+  "common.redo": "Rehacer",
+  "common.remove": "Quitar",
+  "common.restore": "Restaurar",
+  "common.undo": "Deshacer",
+  "common.yes": "Sí",
+
+  "count.favoriteLists": { one: "{count} lista de favoritos", other: "{count} listas de favoritos" },
+  "count.people": { one: "{count} persona", other: "{count} personas" },
+  "count.rows": { one: "{count} fila", other: "{count} filas" },
+  "count.types": { one: "{count} tipo", other: "{count} tipos" },
+
+  "csv.column": "Columna {number}",
+  "csv.copied": "CSV copiado al portapapeles.",
+  "csv.downloaded": "CSV descargado.",
+  "csv.error": "Error al importar el CSV. No se ha importado nada.",
+  "csv.error.unclosedQuote": "El CSV tiene unas comillas que no se cierran.",
+  "csv.header.favorite": "Favorito",
+  "csv.header.person": "Persona",
+  "csv.header.type": "Tipo de favorito",
+  "csv.imported": "CSV importado: {people} y {types} añadidos, {lists} actualizadas.",
+  "csv.modal.text": "Copia este CSV en un archivo .csv o pégalo en una importación de Notion.",
+  "csv.modal.title": "CSV de favoritos",
+  "csv.needRows": "El CSV necesita una fila de cabecera y al menos una fila de favoritos.",
+  "csv.noFavorites": "No se han encontrado favoritos con estas columnas.",
+  "csv.pasteFirst": "Pega un CSV o elige un archivo antes de continuar.",
+  "csv.readError": "No se ha podido leer ese archivo.",
+  "csv.ready": "CSV listo: cópialo desde el panel.",
+  "csv.report.heading": "Importado: {lists}; omitido: {rows}",
+  "csv.report.invalid": { one: "{count} valor no encajaba con su tipo (valoración, sí/no, enlace, fecha)", other: "{count} valores no encajaban con su tipo (valoración, sí/no, enlace, fecha)" },
+  "csv.report.row": "Fila {row}: {reason}",
+  "csv.skip.noFavorite": "sin favorito",
+  "csv.skip.noPerson": "sin persona",
+  "csv.skip.noType": "sin tipo de favorito",
+  "csv.skip.tooManyCells": "más celdas que columnas en la cabecera",
+  "csv.summary": "Se han encontrado favoritos de {people} en {types}.",
+  "csv.summarySkipped": { one: "Se omitirá {count} fila.", other: "Se omitirán {count} filas." },
+
+  "data.noun.categories": "tipo de favorito",
+  "data.noun.categoryGroups": "grupo",
+  "data.noun.people": "persona",
+  "data.section.categories": "tipos de favoritos",
+  "data.section.categoryGroups": "grupos",
+  "data.section.favoriteHistory": "historial de favoritos",
+  "data.section.favorites": "favoritos",
+  "data.section.people": "personas",
+  "data.unnamed.categories": "Tipo sin nombre",
+  "data.unnamed.categoryGroups": "Grupo sin nombre",
+  "data.unnamed.people": "Persona sin nombre",
+
+  "date.unknown": "Hora desconocida",
+
+  "days.in": { one: "dentro de {count} día", other: "dentro de {count} días" },
+  "days.today": "hoy",
+  "days.tomorrow": "mañana",
+
+  "export.allCopied": "Todos los hogares copiados al portapapeles.",
+  "export.allReady": "Copia de seguridad de todos los hogares lista: cópiala desde el panel.",
+  "export.copied": "Datos de Family Favorites copiados al portapapeles.",
+  "export.ready": "Copia de seguridad lista: cópiala desde el panel.",
+
+  "favorite.addAnother": "Añadir otro favorito",
+  "favorite.inputLabel": "{person} – {category}",
+  "favorite.inputLabelRanked": "{person} – {category}, n.º {rank}",
+  "favorite.label": "Favorito en {category}:",
+  "favorite.moveDown": "Bajar",
+  "favorite.moveUp": "Subir",
+  "favorite.placeholder": "Su favorito...",
+  "favorite.placeholder.avoid": "Qué evitar...",
+  "favorite.placeholder.avoidMore": "Otra cosa que evitar...",
+  "favorite.placeholder.more": "Otro favorito...",
+
+  "favorites.noTypeSelected": "Aún no has elegido un tipo de favorito.",
+
+  "field.avoidBadge": "evitar",
+  "field.invalid.date": "“{value}” no es una fecha válida.",
+  "field.invalid.link": "“{value}” no es un enlace válido.",
+  "field.invalid.rating": "“{value}” no es una valoración válida.",
+  "field.invalid.yesno": "“{value}” no es sí ni no.",
+  "field.openLink": "Abrir enlace",
+
+  "fieldType.date": "Fecha",
+  "fieldType.link": "Enlace",
+  "fieldType.rating": "Valoración 1–5",
+  "fieldType.text": "Texto",
+  "fieldType.yesno": "Sí / no",
+
+  "gifts.countLabel": "Ideas de regalo ({bought}/{total} compradas)",
+  "gifts.label": "Ideas de regalo",
+  "gifts.noneYet": "Aún no hay ideas de regalo.",
+  "gifts.placeholder": "Añade una idea de regalo",
+  "gifts.remove": "Quitar idea de regalo",
+
+  "grid.corner": "Tipo",
+  "grid.empty": "Todavía no hay nada que mostrar.",
+  "grid.empty.hint": "Añade personas y tipos de favoritos para llenar la cuadrícula.",
+  "grid.hint": "Todos de un vistazo: {people} × {types}",
+  "grid.includeArchived": "Incluir archivados",
+  "grid.more": "+{count} más",
+
+  "group.added": "Grupo añadido: {name}.",
+  "group.any": "Cualquier grupo",
+  "group.archived": "Grupo {name} archivado ({types}).",
+  "group.confirmDelete": "¿Eliminar el grupo {name}? Sus tipos de favoritos se conservan.",
+  "group.deleted": "Grupo eliminado: {name}.",
+  "group.enterName": "Escribe el nombre del grupo antes de añadir.",
+  "group.exists": "Ya hay un grupo llamado {name}.",
+  "group.none": "Sin grupo",
+  "group.noneYet": "Aún no hay grupos. Los grupos mantienen ordenadas las listas largas de tipos.",
+  "group.other": "Otros",
+  "group.restored": "Grupo {name} restaurado ({types}).",
+  "group.selectLabel": "Grupo de {name}",
+
+  "history.settingSaved": "Ajuste del historial guardado.",
+
+  "html.accent": "Color",
+  "html.accent.amber": "Ámbar",
+  "html.accent.mint": "Menta",
+  "html.accent.ocean": "Océano",
+  "html.accent.rose": "Rosa",
+  "html.accent.violet": "Violeta",
+  "html.addPerson.placeholder": "Añade a un familiar (pulsa +)",
+  "html.appearance": "Apariencia",
+  "html.avoid": "No le gusta / evitar",
+  "html.avoid.title": "Lo que no gusta nunca sale al azar",
+  "html.back": "Atrás",
+  "html.backup": "Copia y traspaso",
+  "html.backup.text": "Exporta este hogar como JSON, CSV o Markdown, importa una copia o comparte un enlace de solo lectura.",
+  "html.cancel": "Cancelar",
+  "html.categories": "Tipos de favoritos",
+  "html.categories.placeholder": "Añade un tipo (Golosina, Película…)",
+  "html.categories.sort": "Mostrar tipos",
+  "html.close": "Cerrar",
+  "html.continue": "Continuar",
+  "html.copyNotion": "Copiar para Notion",
+  "html.csv.file": "Archivo CSV",
+  "html.csv.import": "Importar",
+  "html.csv.long": "Una fila por favorito",
+  "html.csv.personColumn": "Columna de la persona",
+  "html.csv.text": "Pega CSV de una hoja de cálculo o de Notion, o elige un archivo. Usa una columna por persona o una fila por favorito. Se crean las personas y tipos que falten.",
+  "html.csv.typeColumn": "Columna del tipo",
+  "html.csv.valueColumn": "Columna del favorito",
+  "html.csv.wide": "Una columna por persona",
+  "html.csvLayout": "Formato CSV",
+  "html.csvLayout.long": "CSV: una fila por favorito",
+  "html.csvLayout.wide": "CSV: una columna por persona",
+  "html.done": "Listo",
+  "html.export": "Exportar datos",
+  "html.exportAll": "Exportar todos los hogares",
+  "html.exportCsv": "Exportar CSV",
+  "html.favorTop": "Preferir los primeros",
+  "html.favorTop.title": "Los favoritos mejor clasificados salen más a menudo",
+  "html.favoriteType": "Tipo de favorito:",
+  "html.fieldType": "Tipo de campo",
+  "html.footer": "Pequeños favoritos, grandes recuerdos.",
+  "html.group": "Grupo",
+  "html.groups": "Grupos",
+  "html.groups.hint": "Archivar un grupo archiva todos sus tipos.",
+  "html.groups.placeholder": "Añade un grupo (Comida, Series, Actividades…)",
+  "html.history": "Historial de favoritos",
+  "html.history.1year": "1 año",
+  "html.history.2years": "2 años",
+  "html.history.5years": "5 años",
+  "html.history.forever": "Siempre",
+  "html.history.keep": "Guardar historial durante",
+  "html.history.text": "Toca un nombre para ver cómo cambiaron sus favoritos.",
+  "html.household": "Hogar",
+  "html.households": "Hogares",
+  "html.households.active": "Hogar activo",
+  "html.households.duplicate": "Duplicar",
+  "html.households.new": "Nuevo",
+  "html.households.rename": "Renombrar",
+  "html.households.text": "Guarda favoritos aparte para tu familia, la de los abuelos, una clase…",
+  "html.import": "Importar datos",
+  "html.import.apply": "Aplicar combinación",
+  "html.import.bundleNote": "Es una copia de todos los hogares. Los hogares que contiene reemplazan a los que tienen el mismo id y el resto se añaden; no se puede combinar.",
+  "html.import.merge": "Combinar con mis datos (con vista previa)",
+  "html.import.replace": "Reemplazar todos mis datos",
+  "html.import.text": "Pega abajo una copia JSON de Family Favorites.",
+  "html.import.title": "Importar copia",
+  "html.importCsv": "Importar CSV",
+  "html.includeArchived": "Incluir archivados",
+  "html.keyboard": "Teclado",
+  "html.keyboard.help": "R favorito al azar · P persona al azar · T tipo al azar · [ ] tipo anterior o siguiente (persona en la vista Por persona) · Esc cierra un cuadro de diálogo",
+  "html.keyboard.toggle": "Atajos de una tecla",
+  "html.language": "Idioma",
+  "html.language.auto": "Idioma del navegador",
+  "html.layout": "Formato",
+  "html.markdown.archived": "Incluir personas y tipos archivados",
+  "html.markdown.copy": "Copiar Markdown",
+  "html.markdown.sections": "Una sección por persona",
+  "html.markdown.table": "Tabla (una columna por persona)",
+  "html.markdown.text": "Genera Markdown que puedes pegar directamente en una página de Notion.",
+  "html.occasions.add": "Añadir ocasión",
+  "html.occasions.date": "Fecha de la ocasión",
+  "html.occasions.placeholder": "Santo, graduación…",
+  "html.onlyEmpty": "Solo vacíos",
+  "html.people": "Familiares",
+  "html.people.legend": "Personas",
+  "html.people.orderHint": "Arrastra o usa ↑ ↓ para ordenar. Toca un nombre para renombrarlo.",
+  "html.people.placeholder": "Añade a un familiar",
+  "html.people.sort": "Mostrar personas",
+  "html.person": "Persona:",
+  "html.picks": "Sorteos…",
+  "html.picks.clear": "Borrar historial",
+  "html.picks.fair": "Por turnos (sin repetir hasta que hayan salido todos)",
+  "html.picks.modalTitle": "Sorteos",
+  "html.picks.newRound": "Nueva ronda",
+  "html.picks.past": "Elecciones pasadas",
+  "html.picks.people": "Personas en el sorteo",
+  "html.picks.title": "Quién entra en el sorteo, turnos y elecciones pasadas",
+  "html.picks.types": "Tipos en el sorteo",
+  "html.randomFavorite": "Favorito al azar",
+  "html.randomGroup": "Tipo al azar del grupo",
+  "html.randomPerson": "Persona al azar",
+  "html.randomType": "Tipo al azar",
+  "html.search.byPerson": "Agrupar por persona",
+  "html.search.byType": "Agrupar por tipo",
+  "html.search.groupBy": "Agrupar resultados",
+  "html.search.label": "Buscar favoritos",
+  "html.search.placeholder": "Buscar favoritos, personas, tipos…",
+  "html.selectAll": "Seleccionar todo",
+  "html.settings": "Gestionar personas y tipos",
+  "html.share": "Compartir enlace",
+  "html.share.create": "Crear enlace",
+  "html.share.placeholder": "Tu enlace aparecerá aquí.",
+  "html.share.text": "Elige a quién y qué incluir. Al abrir el enlace se ven estos favoritos sin tocar el widget de quien lo abre.",
+  "html.share.title": "Compartir un enlace de solo lectura",
+  "html.snapshot.close": "Volver a mis favoritos",
+  "html.snapshot.import": "Importar a mi widget",
+  "html.sort.age": "Por edad (mayor primero)",
+  "html.sort.alpha": "A–Z",
+  "html.sort.filled": "Más completos",
+  "html.sort.manual": "En mi orden",
+  "html.subtitle": "Los “sí” de todos, de un vistazo.",
+  "html.theme": "Tema",
+  "html.theme.auto": "Según el sistema",
+  "html.theme.dark": "Oscuro",
+  "html.theme.light": "Claro",
+  "html.title": "Family Favorites",
+  "html.view.category": "Por tipo",
+  "html.view.grid": "Cuadrícula",
+  "html.view.person": "Por persona",
+  "html.viewFavorites": "Ver favoritos",
+
+  "import.bundleEmpty": "Esta copia de seguridad de hogares no contiene ningún hogar.",
+  "import.bundleNoId": "Un hogar de esta copia de seguridad no tiene id.",
+  "import.confirmBundle": "Esta copia de seguridad contiene varios hogares. Los hogares con el mismo id se reemplazarán; los demás se añadirán. ¿Continuar?",
+  "import.confirmReplace": "Esto reemplazará tus datos actuales. ¿Continuar?",
+  "import.done": "Datos de Family Favorites importados.",
+  "import.error": "Error al importar los datos. Revisa el JSON e inténtalo de nuevo.",
+  "import.invalidJson": "Esto no es JSON válido ({error}). Comprueba que se haya pegado la copia de seguridad completa.",
+  "import.pasteFirst": "Pega una copia de seguridad antes de continuar.",
+  "import.restoredHouseholds": { one: "Se ha restaurado {count} hogar.", other: "Se han restaurado {count} hogares." },
+
+  "integrity.badArchived": "{name} ({noun}) tenía una marca de archivado ilegible.",
+  "integrity.badHistory": { one: "{count} registro del historial de favoritos estaba huérfano o era ilegible.", other: "{count} registros del historial de favoritos estaban huérfanos o eran ilegibles." },
+  "integrity.badOccasions": "No se pudieron leer las fechas e ideas de regalo de {name} y se han quitado.",
+  "integrity.badValues": { one: "{count} valor de favorito no era texto y se ha corregido o quitado.", other: "{count} valores de favoritos no eran texto y se han corregido o quitado." },
+  "integrity.banner": { one: "Se ha encontrado {count} problema en tus datos guardados.", other: "Se han encontrado {count} problemas en tus datos guardados." },
+  "integrity.duplicateId": "{first} y {name} comparten el id “{id}”; {name} ha recibido uno nuevo.",
+  "integrity.import.repair": "Reparar e importar",
+  "integrity.import.text": "Se podrá importar cuando se reparen. No cambia nada hasta que importes.",
+  "integrity.import.title": "Problemas en esta copia de seguridad",
+  "integrity.missingGroup": "El tipo de favorito {name} estaba en un grupo que ya no existe.",
+  "integrity.noId": "{name} ({noun}) no tenía id; se le ha asignado uno nuevo.",
+  "integrity.noName": "Un registro ({noun}) no tenía nombre; ahora se llama “{name}”.",
+  "integrity.notRecord": "Se ha quitado el registro n.º {number} ({noun}): es {type}, no un registro.",
+  "integrity.orphanFavorites": { one: "{count} lista de favoritos pertenecía a personas o tipos que ya no existen.", other: "{count} listas de favoritos pertenecían a personas o tipos que ya no existen." },
+  "integrity.repair": "Reparar",
+  "integrity.repaired": { one: "Se ha reparado {count} problema.", other: "Se han reparado {count} problemas." },
+  "integrity.review": "Revisar y reparar",
+  "integrity.shape.missing": "A la copia de seguridad le faltan: {section}.",
+  "integrity.shape.notList": "En la copia de seguridad, {section} debería ser una lista, pero es {type}.",
+  "integrity.shape.notObject": "En la copia de seguridad, {section} debería ser un objeto, pero es {type}.",
+  "integrity.shape.unreadable": "Ningún registro de {section} de la copia de seguridad se puede leer.",
+  "integrity.stored.text": "Se encontraron estos problemas y en pantalla ya están resueltos. Al reparar se guardan los datos corregidos.",
+  "integrity.stored.title": "Revisión de los datos guardados",
+  "integrity.unknownType": "El tipo de favorito {name} tenía un tipo de campo desconocido; ahora es texto.",
+
+  "json.boolean": "verdadero o falso",
+  "json.list": "una lista",
+  "json.number": "un número",
+  "json.object": "un objeto",
+  "json.other": "un valor de tipo {type}",
+  "json.text": "texto",
+
+  "language.saved": "Idioma cambiado.",
+
+  "manage.active": "Activo",
+  "manage.archived": "Archivado",
+  "manage.dates": "Fechas",
+  "manage.moveDownLabel": "Bajar {name}",
+  "manage.moveUpLabel": "Subir {name}",
+
+  "markdown.copied": "Markdown copiado: pégalo en Notion.",
+  "markdown.modal.text": "Copia esto y pégalo en una página de Notion.",
+  "markdown.modal.title": "Markdown",
+  "markdown.noFavorites": "Aún no hay favoritos.",
+  "markdown.pickSome": "Elige al menos una persona y un tipo de favorito para exportar.",
+  "markdown.ready": "Markdown listo: cópialo desde el panel.",
+
+  "merge.added.group": "Grupo: {name}",
+  "merge.added.person": "Persona: {name}",
+  "merge.added.type": "Tipo: {name}",
+  "merge.change.archive": "archivar",
+  "merge.change.group": "poner en un grupo",
+  "merge.change.occasions": "añadir fechas e ideas de regalo",
+  "merge.change.rename": "renombrar como “{name}”",
+  "merge.change.restore": "restaurar",
+  "merge.conflictsResolved": { one: "{count} conflicto resuelto", other: "{count} conflictos resueltos" },
+  "merge.done": "Combinado: {added} añadidos, {updated} actualizados, {conflicts}.",
+  "merge.error": "Error al combinar los datos. No se ha importado nada.",
+  "merge.heading.added": "Añadidos ({count})",
+  "merge.heading.conflicts": "Conflictos ({count})",
+  "merge.heading.updated": "Actualizados ({count})",
+  "merge.keepBoth": "Conservar ambos",
+  "merge.keepMine": "Quedarme con lo mío",
+  "merge.mine": "Lo mío: {value}",
+  "merge.noConflicts": "Sin conflictos.",
+  "merge.nothing": "Nada.",
+  "merge.takeTheirs": "Usar lo suyo",
+  "merge.theirs": "Lo suyo: {value}",
+  "merge.unchanged": { one: "{count} favorito coincidente ya está al día.", other: "{count} favoritos coincidentes ya están al día." },
+  "merge.updated.group": "Grupo",
+  "merge.updated.person": "Persona",
+  "merge.updated.type": "Tipo",
+
+  "occasion.birthday": "Cumpleaños",
+  "occasion.birthdayLower": "cumpleaños",
+  "occasion.confirmRemoveBirthday": "¿Quitar el cumpleaños y sus ideas de regalo?",
+  "occasion.empty": "Añade un cumpleaños u otra ocasión para guardar ideas de regalo.",
+  "occasion.modalTitle": "Fechas e ideas de regalo de {name}",
+  "occasion.needNameAndDate": "Ponle un nombre y una fecha a la ocasión.",
+  "occasion.noDate": "sin fecha",
+  "occasion.remove": "Quitar ocasión",
+
+  "people.added": "Se ha añadido a {name}.",
+  "people.archived": "Se ha archivado a {name}.",
+  "people.deleted": "Se ha eliminado a {name}.",
+  "people.enterName": "Escribe un nombre antes de añadir.",
+  "people.noneYet": "Aún no hay personas",
+  "people.noneYetAddBelow": "Aún no hay familiares. Añade uno abajo.",
+  "people.noneYetLong": "Aún no hay familiares.",
+  "people.restored": "Se ha restaurado a {name}.",
+
+  "picker.empty": "Todavía no hay nada que elegir.",
+
+  "picks.confirmClear": "¿Borrar el historial de elecciones de este hogar?",
+  "picks.fairOff": "Las elecciones vuelven a ser totalmente al azar.",
+  "picks.fairOn": "Por turnos: nadie repite hasta que todos hayan salido.",
+  "picks.logType": "Tipo: {name}",
+  "picks.newRoundStarted": "Nueva ronda iniciada.",
+  "picks.noneYet": "Aún no hay elecciones.",
+  "picks.status.newRound": "Con la próxima elección empieza una nueva ronda.",
+  "picks.status.off": "Los turnos están desactivados: cualquiera puede salir dos veces seguidas.",
+  "picks.status.waiting": "Aún esperan su turno en esta ronda: {names}.",
+
+  "profile.confirmDelete": "¿Eliminar “{name}” con todas sus personas, tipos y favoritos?\n\nNo se puede deshacer. Expórtalo antes si crees que lo vas a necesitar.",
+  "profile.copyName": "{name} (copia)",
+  "profile.created": "Se ha creado {name}.",
+  "profile.defaultName": "Mi familia",
+  "profile.deleted": "Se ha eliminado {name}.",
+  "profile.deletedElsewhere": "Este hogar se eliminó en otra ventana.",
+  "profile.duplicated": "Se ha duplicado {source} como {name}.",
+  "profile.enterName": "Escribe un nombre para el hogar.",
+  "profile.fallbackName": "Hogar",
+  "profile.needOne": "Necesitas al menos un hogar.",
+  "profile.promptCopy": "Nombre de la copia:",
+  "profile.promptNew": "Nombre del nuevo hogar (p. ej., Abuelos, Clase):",
+  "profile.promptRename": "Cambia el nombre de este hogar:",
+  "profile.renamed": "Ahora se llama {name}.",
+  "profile.switched": "Ahora estás en {name}.",
+
+  "profileView.addPerson": "Añade un familiar abajo para ver su perfil.",
+  "profileView.hint.allFilled": "Todo lo que le gusta a {name} · todo completado",
+  "profileView.hint.stillToAsk": { one: "Todo lo que le gusta a {name} · falta preguntar {count}", other: "Todo lo que le gusta a {name} · faltan {count} por preguntar" },
+  "profileView.history": "Historial",
+  "profileView.showing": "Mostrando lo que le gusta a {name}",
+  "profileView.stillToAskTag": "por preguntar",
+
+  "random.favoriteToast": "¡Favorito elegido al azar!",
+  "random.needBoth": "Hace falta al menos una persona y un tipo en el sorteo.",
+  "random.noFavorites": "Aún no hay favoritos rellenados.",
+  "random.noPeople": "No hay familiares en el sorteo.",
+  "random.noTypes": "No hay tipos de favoritos en el sorteo.",
+  "random.personLabel": "Persona al azar:",
+  "random.personToast": "La estrella de esta noche: {name}",
+  "random.pickLabel": "La elección de esta noche:",
+  "random.typeToast": "Tipo al azar: {name}",
+  "random.weightOff": "Todos los favoritos tienen las mismas posibilidades.",
+  "random.weightOn": "Los favoritos mejor clasificados salen más a menudo.",
+
+  "redo.nothing": "No hay nada que rehacer.",
+  "redo.redid": "Rehecho: {label}",
+
+  "rename.done": "{oldName} ahora se llama {newName}.",
+  "rename.label": "Renombrar {name}",
+  "rename.title": "Renombrar",
+
+  "search.hint.empty": { one: "{count} favorito sin rellenar", other: "{count} favoritos sin rellenar" },
+  "search.hint.query": { one: "{count} favorito para “{query}”", other: "{count} favoritos para “{query}”" },
+  "search.noMatches": "Sin resultados.",
+  "search.stillEmpty": "aún vacío",
+
+  "seed.category.candy": "Golosinas",
+  "seed.category.fastfood": "Comida rápida",
+  "seed.category.icecream": "Helado",
+  "seed.category.movie": "Película",
+  "seed.category.snack": "Aperitivo",
+  "seed.category.tv": "Serie",
+  "seed.group.food": "Comida",
+  "seed.group.media": "Medios",
+
+  "share.copied": "Enlace para compartir copiado al portapapeles.",
+  "share.error.compressed": "Este navegador no puede abrir enlaces comprimidos.",
+  "share.error.create": "No se ha podido crear un enlace para compartir en este navegador.",
+  "share.error.damaged": "Este enlace para compartir está dañado.",
+  "share.error.newer": "Este enlace se creó con una versión más reciente de Family Favorites.",
+  "share.pickSome": "Elige al menos una persona y un tipo de favorito para compartir.",
+  "share.ready": "El enlace está listo abajo: cópialo desde ahí.",
+  "share.tooLong": "Es largo y algunas aplicaciones podrían cortarlo; prueba a compartir menos tipos.",
+
+  "snapshot.banner": "Instantánea de solo lectura compartida desde {from}.",
+  "snapshot.bannerOn": "Instantánea de solo lectura compartida desde {from} el {when}.",
+  "snapshot.fromNamed": "“{name}”",
+  "snapshot.fromSomeone": "el widget de otra persona",
+  "snapshot.opening": "Abriendo favoritos compartidos…",
+
+  "storage.error.blocked": "Este navegador está bloqueando el almacenamiento de esta página.",
+  "storage.error.quota": "Este navegador se ha quedado sin espacio para Family Favorites.",
+  "storage.error.refused": "Este navegador no ha permitido guardar Family Favorites.",
+  "storage.error.unsaved": "Es posible que tus últimos cambios no se hayan guardado.",
+  "storage.notSaving": "El guardado no funciona en este navegador.",
+  "storage.problem.backUp": "Haz una copia de seguridad ahora para no perder nada.",
+  "storage.problem.memory": "Este navegador bloquea el almacenamiento, así que los cambios solo duran hasta cerrar esta página.",
+  "storage.problem.none": "Este navegador no deja que Family Favorites guarde nada.",
+  "storage.problem.unreachable": "Tus favoritos guardados están en la base de datos de este navegador, que esta vez no se abrió. Recarga la página para intentarlo de nuevo; los cambios que hagas ahora no se guardarán.",
+  "storage.savedIn.indexeddb": "Guardado en la base de datos de este navegador (IndexedDB).",
+  "storage.savedIn.local": "Guardado en el almacenamiento local de este navegador.",
+  "storage.savedIn.memory": "Solo se conserva en esta página: no se guarda nada al cerrarla.",
+
+  "sync.conflict": "{what} también se cambió en otra ventana; se han conservado ambos.",
+  "sync.conflictCell": "{category} de {person}",
+  "sync.conflictMore": { one: "{what} (y {count} más) también se cambió en otra ventana; se han conservado ambos.", other: "{what} (y {count} más) también se cambiaron en otra ventana; se han conservado ambos." },
+  "sync.conflictUnknown": "Un favorito",
+  "sync.recordConflict": "“{name}” también se cambió en otra ventana; se ha conservado el cambio hecho aquí.",
+  "sync.recordConflictMore": { one: "“{name}” (y {count} más) también se cambió en otra ventana; se han conservado los cambios hechos aquí.", other: "“{name}” (y {count} más) también se cambiaron en otra ventana; se han conservado los cambios hechos aquí." },
+
+  "timeline.beforeHistory": "Antes de que se guardara el historial",
+  "timeline.earlier": "antes",
+  "timeline.empty": "Todavía no hay favoritos guardados.",
+  "timeline.open": "Ver cómo han cambiado los favoritos de {name}",
+  "timeline.title": "Favoritos de {name} a lo largo del tiempo",
+
+  "undo.addCategory": "Añadir el tipo de favorito {name}",
+  "undo.addGift": "Añadir la idea de regalo {text}",
+  "undo.addGroup": "Añadir el grupo {name}",
+  "undo.addOccasion": "Añadir {occasion} para {name}",
+  "undo.addPerson": "Añadir a {name}",
+  "undo.archiveCategory": "Archivar el tipo de favorito {name}",
+  "undo.archiveGroup": "Archivar el grupo {name}",
+  "undo.archivePerson": "Archivar a {name}",
+  "undo.deleteCategory": "Eliminar el tipo de favorito {name}",
+  "undo.deleteGroup": "Eliminar el grupo {name}",
+  "undo.deletePerson": "Eliminar a {name}",
+  "undo.editFavorite": "Editar {category} de {person}",
+  "undo.favorite": "favorito",
+  "undo.giftBought": "Marcar regalo como comprado",
+  "undo.giftNotBought": "Marcar regalo como no comprado",
+  "undo.importCsv": "Importar CSV",
+  "undo.mergeImport": "Importación combinada",
+  "undo.move": "Mover {name}",
+  "undo.moveToGroup": "Mover {name} a {group}",
+  "undo.nothing": "No hay nada que deshacer.",
+  "undo.occasionDate": "Cambiar la fecha de la ocasión",
+  "undo.rename": "Renombrar {oldName} como {newName}",
+  "undo.restoreCategory": "Restaurar el tipo de favorito {name}",
+  "undo.restoreGroup": "Restaurar el grupo {name}",
+  "undo.restorePerson": "Restaurar a {name}",
+  "undo.setBirthday": "Poner el cumpleaños de {name}",
+  "undo.someone": "alguien",
+  "undo.undid": "Deshecho: {label}",
+  "undo.ungroup": "Sacar {name} de su grupo",
+
+  "upcoming.favorites": "favoritos: {favorites}",
+  "upcoming.title": "{occasion} de {name}"
+});
@@ -3,753 +3,6990 @@ const FF_PEOPLE_KEY = "familyFavorites_people";
 const FF_CATEGORIES_KEY = "familyFavorites_categories";
 const FF_FAVORITES_KEY = "familyFavorites_favorites";
 const FF_LAST_BACKUP_KEY = "familyFavorites_lastBackup";
+const FF_SETTINGS_KEY = "familyFavorites_settings";
+const FF_UNDO_HISTORY_KEY = "familyFavorites_undoHistory";
+const FF_FAVORITE_HISTORY_KEY = "familyFavorites_favoriteHistory";
+const FF_PROFILES_KEY = "familyFavorites_profiles";
+const FF_RANDOM_STATE_KEY = "familyFavorites_randomPicks";
+const FF_CATEGORY_GROUPS_KEY = "familyFavorites_categoryGroups";
+
+// Keys stored once per profile (household). The default profile keeps the
+// original un-suffixed keys so data from before profiles existed stays put.
+const FF_PROFILE_DATA_KEYS = [
+  FF_PEOPLE_KEY,
+  FF_CATEGORIES_KEY,
+  FF_CATEGORY_GROUPS_KEY,
+  FF_FAVORITES_KEY,
+  FF_FAVORITE_HISTORY_KEY,
+  FF_UNDO_HISTORY_KEY,
+  FF_LAST_BACKUP_KEY,
+  FF_RANDOM_STATE_KEY
+];
+const FF_DEFAULT_PROFILE_ID = "default";
+
+// Backup format
+const FF_APP_NAME = "Family Favorites";
+const FF_APP_VERSION = "2.1.0";
+const FF_BACKUP_FORMAT = "familyFavorites.backup";
+const FF_BACKUP_VERSION = 4;
+const FF_BUNDLE_FORMAT = "familyFavorites.bundle";
+const FF_BUNDLE_VERSION = 1;
+
+let profiles = [];    // {id, name}
+let activeProfileId = FF_DEFAULT_PROFILE_ID;
 
 let people = [];      // {id, name, archived: boolean}
-let categories = [];  // {id, name, archived: boolean}
-let favorites = {};   // { [categoryId]: { [personId]: string } }
+let categories = [];  // {id, name, archived: boolean, groupId?} — see Field Types for type/avoid
+let categoryGroups = []; // {id, name, archived: boolean, archivedWithGroup?} — in display order
+let favorites = {};   // { [categoryId]: { [personId]: string[] } } — ranked, best first
+let favoriteHistory = {}; // { [categoryId]: { [personId]: [{entries: string[], at: iso | null}] } }
+let settings = {};    // see DEFAULT_SETTINGS
 
 let currentCategoryId = null;
+let currentPersonId = null;
+let currentViewMode = "category"; // "category" | "person" | "grid"
+let searchState = { query: "", groupBy: "person", includeArchived: false, onlyEmpty: false };
+let embedOptions = {}; // see DEFAULT_EMBED_OPTIONS
 let toastTimeout = null;
+let undoHistory = { undo: [], redo: [] }; // see Undo / Redo History
+let viewingSnapshot = false; // true while a shared link is open — storage stays untouched
+
+/* ---------- Data Store ---------- */
+
+// The data lives in the store (store.js). The globals above always point at
+// its current sections so the widget can read them directly; edits made in
+// place are announced by the save* functions, and the views redraw from
+// those announcements.
+const dataStore = createFamilyFavoritesStore({
+  validate: validateStoreData,
+  isFieldType: (type) => !!FIELD_TYPES[type],
+  normalizeValue: (category, value) => normalizeFieldValue(getFieldType(category), String(value).trim()),
+  isReadOnly: () => isReadOnly()
+});
+window.familyFavoritesStore = dataStore;
+
+const STORE_STORAGE_KEYS = {
+  people: FF_PEOPLE_KEY,
+  categories: FF_CATEGORIES_KEY,
+  categoryGroups: FF_CATEGORY_GROUPS_KEY,
+  favorites: FF_FAVORITES_KEY,
+  favoriteHistory: FF_FAVORITE_HISTORY_KEY
+};
+
+// Accepts serialize() output or a backup; repairs what checkData can.
+function validateStoreData(data) {
+  const candidate = data && data.format !== undefined ? migrateBackup(data) : data;
+  const shapeError = findDataShapeError(candidate || {});
+  if (shapeError) throw new Error(shapeError);
+  return checkData(candidate).data;
+}
 
-/* ---------- Utility: localStorage safe wrappers ---------- */
-function safeGet(key) {
-  try {
-    return window.localStorage.getItem(key);
-  } catch (e) {
-    console.error("localStorage get error:", e);
-    return null;
+function bindStoreGlobals() {
+  people = dataStore.get("people");
+  categories = dataStore.get("categories");
+  categoryGroups = dataStore.get("categoryGroups");
+  favorites = dataStore.get("favorites");
+  favoriteHistory = dataStore.get("favoriteHistory");
+}
+
+// Live sync saves what it merges itself, a fresh load has nothing new and
+// a shared snapshot must never be saved.
+function persistStoreChange(change) {
+  if (["sync", "load", "snapshot"].includes(change.source)) return;
+  change.keys.forEach((key) => saveSyncedValue(STORE_STORAGE_KEYS[key]));
+}
+
+// Views drawn from the store, in drawing order, with the sections each one
+// shows. renderCategorySelect also redraws the favorites list in every view.
+const STORE_VIEWS = [
+  { keys: ["people"], render: renderPeopleManageList },
+  { keys: ["categoryGroups"], render: renderCategoryGroupControls },
+  { keys: ["categories", "categoryGroups"], render: renderCategoriesManageList },
+  { keys: ["people", "categories", "categoryGroups", "favorites"], render: renderCategorySelect },
+  { keys: ["people"], render: updateUpcomingBanner },
+  { keys: ["people"], render: renderOccasionsModal }
+];
+
+function renderStoreViews(keys) {
+  const views = STORE_VIEWS.filter((view) => view.keys.some((key) => keys.includes(key)));
+  views.forEach((view) => view.render());
+  if (views.length > 0 && isSearchActive()) renderSearchResults();
+}
+
+// The widget's own edits ("ui") redraw just the views they touch, at once
+// so focus can be put back; changes from scripts or other tabs redraw
+// everything once they settle. "cell" edits are already on screen, and
+// whoever loads or opens data draws it afterwards.
+function renderStoreChange(change) {
+  if (change.source === "ui") renderStoreViews(change.keys);
+  else if (change.source === "api" || change.source === "sync") scheduleSyncRender();
+}
+
+function setupDataStore() {
+  dataStore.subscribe(bindStoreGlobals);
+  dataStore.subscribe(persistStoreChange);
+  dataStore.subscribe(renderStoreChange);
+}
+
+const DEFAULT_SETTINGS = {
+  weightRandomByRank: false,
+  fairRandom: false, // no repeats until everyone in the pool has been picked
+  historyRetentionDays: 0, // 0 = keep forever
+  gridShowArchived: false,
+  peopleSort: "manual", // "manual" | "alpha" | "age" | "filled"
+  categorySort: "manual", // "manual" | "alpha" | "filled"
+  theme: "auto", // "auto" (follow the system) | "light" | "dark"
+  accent: "rose", // see THEME_ACCENTS
+  language: "auto", // "auto" (follow the browser) or a locale pack code, see i18n.js
+  keyboardShortcuts: true // single-key shortcuts, see Keyboard Shortcuts
+};
+
+/* ---------- Storage Adapters ---------- */
+
+// Reads come from an in-memory copy that initStorage() fills from one
+// backend; writes update the copy at once and persist in the background.
+// An adapter is a plain object:
+//   name, importsLocalStorage?
+//   open()          → Promise; rejects when the backend can't be used here
+//   loadAll()       → Promise<{key: value}> of this widget's keys
+//   set(key, value) → Promise; rejects when the write fails (e.g. quota)
+//   remove(key)     → Promise
+//   watch(onChange) → calls onChange({key, newValue}) for writes made in other tabs
+const FF_KEY_PREFIX = "familyFavorites_";
+const STORAGE_BACKEND_ORDER = ["indexeddb", "local", "memory"];
+const IDB_NAME = "familyFavorites";
+const IDB_STORE = "keyval";
+const IDB_OPEN_TIMEOUT_MS = 3000;
+const STORAGE_CHANNEL_NAME = "familyFavorites_storage";
+// Left in localStorage once its data has moved to IndexedDB. Outside
+// FF_KEY_PREFIX so it is never read as widget data.
+const FF_MIGRATED_KEY = "familyFavoritesMigratedTo";
+
+let storageAdapter = null;
+let storageCache = new Map();
+let storageListeners = [];
+let savedDataUnreachable = false; // the backend holding the data didn't open
+
+function readLocalStorageKeys() {
+  const data = {};
+  for (let i = 0; i < window.localStorage.length; i++) {
+    const key = window.localStorage.key(i);
+    if (key && key.startsWith(FF_KEY_PREFIX)) data[key] = window.localStorage.getItem(key);
   }
+  return data;
 }
 
-function safeSet(key, value) {
+function createLocalStorageAdapter() {
+  return {
+    name: "local",
+    // Reading is enough to tell whether storage is blocked; a full store
+    // must still open so its data can be read and backed up.
+    open: () => new Promise((resolve) => resolve(window.localStorage.getItem(FF_SETTINGS_KEY))),
+    loadAll: () => new Promise((resolve) => resolve(readLocalStorageKeys())),
+    set: (key, value) => new Promise((resolve) => resolve(window.localStorage.setItem(key, value))),
+    remove: (key) => new Promise((resolve) => resolve(window.localStorage.removeItem(key))),
+    watch(onChange) {
+      window.addEventListener("storage", (e) => {
+        if (e.storageArea && e.storageArea !== window.localStorage) return;
+        onChange({ key: e.key, newValue: e.newValue });
+      });
+    }
+  };
+}
+
+// Resolves when the transaction commits, so quota errors surface as rejections.
+function idbTransaction(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IDB_STORE, mode);
+    const result = work(tx.objectStore(IDB_STORE));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB write was aborted"));
+  });
+}
+
+function createIndexedDbAdapter() {
+  let db = null;
+  // Other tabs hear about writes here; IndexedDB has no storage event
+  const channel =
+    typeof BroadcastChannel === "function" ? new BroadcastChannel(STORAGE_CHANNEL_NAME) : null;
+  const announce = (key, newValue) => {
+    if (channel) channel.postMessage({ key, newValue });
+  };
+
+  return {
+    name: "indexeddb",
+    importsLocalStorage: true,
+    open: () =>
+      new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB is not available"));
+          return;
+        }
+        // Some embeds never answer the open request
+        const timer = setTimeout(
+          () => reject(new Error("IndexedDB took too long to open")),
+          IDB_OPEN_TIMEOUT_MS
+        );
+        const request = window.indexedDB.open(IDB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+        request.onsuccess = () => {
+          clearTimeout(timer);
+          db = request.result;
+          resolve();
+        };
+        request.onerror = () => {
+          clearTimeout(timer);
+          reject(request.error);
+        };
+      }),
+    loadAll: () => {
+      const data = {};
+      return idbTransaction(db, "readonly", (store) => {
+        store.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          if (String(cursor.key).startsWith(FF_KEY_PREFIX)) data[cursor.key] = cursor.value;
+          cursor.continue();
+        };
+      }).then(() => data);
+    },
+    set: (key, value) =>
+      idbTransaction(db, "readwrite", (store) => store.put(value, key)).then(() =>
+        announce(key, value)
+      ),
+    remove: (key) =>
+      idbTransaction(db, "readwrite", (store) => store.delete(key)).then(() =>
+        announce(key, null)
+      ),
+    watch(onChange) {
+      if (channel) channel.onmessage = (e) => onChange(e.data);
+    }
+  };
+}
+
+// Keeps nothing after the page closes; the last resort, or ?storage=memory
+// for trying the widget out.
+function createMemoryAdapter() {
+  return {
+    name: "memory",
+    open: () => Promise.resolve(),
+    loadAll: () => Promise.resolve({}),
+    set: () => Promise.resolve(),
+    remove: () => Promise.resolve(),
+    watch() {}
+  };
+}
+
+const STORAGE_ADAPTERS = {
+  indexeddb: createIndexedDbAdapter,
+  local: createLocalStorageAdapter,
+  memory: createMemoryAdapter
+};
+
+function readMigratedMarker() {
   try {
-    window.localStorage.setItem(key, value);
+    return window.localStorage.getItem(FF_MIGRATED_KEY);
   } catch (e) {
-    console.error("localStorage set error:", e);
+    return null;
   }
 }
 
-/* ---------- Initialization ---------- */
+// Moves data saved by earlier versions out of localStorage, once: only
+// while the new backend is still empty, and localStorage is cleared only
+// after every key has been written and the move has been marked.
+async function importLocalStorage(adapter, data) {
+  if (Object.keys(data).length > 0) return data;
 
-function loadData() {
-  // People
-  const rawPeople = safeGet(FF_PEOPLE_KEY);
-  if (rawPeople) {
-    try {
-      people = JSON.parse(rawPeople);
-      if (!Array.isArray(people)) people = [];
-    } catch (e) {
-      console.error("Error parsing people:", e);
-      people = [];
-    }
-  } else {
-    // default: no people (user can add)
-    people = [];
+  let legacy;
+  try {
+    legacy = readLocalStorageKeys();
+  } catch (e) {
+    return data;
   }
+  const keys = Object.keys(legacy);
+  if (keys.length === 0) return data;
 
-  // Categories
-  const rawCategories = safeGet(FF_CATEGORIES_KEY);
-  if (rawCategories) {
+  await Promise.all(keys.map((key) => adapter.set(key, legacy[key])));
+  try {
+    window.localStorage.setItem(FF_MIGRATED_KEY, adapter.name);
+  } catch (e) {
+    // Without the marker a later failed open can't be told apart from a
+    // fresh start, so keep the old copy to fall back on
+    console.error("localStorage write error:", e);
+    return legacy;
+  }
+  keys.forEach((key) => {
     try {
-      categories = JSON.parse(rawCategories);
-      if (!Array.isArray(categories)) categories = [];
+      window.localStorage.removeItem(key);
     } catch (e) {
-      console.error("Error parsing categories:", e);
-      categories = [];
+      console.error("localStorage remove error:", e);
     }
-  } else {
-    // Initialize with some examples
-    categories = [
-      { id: "cat_candy", name: "Candy", archived: false },
-      { id: "cat_icecream", name: "Ice Cream", archived: false },
-      { id: "cat_snack", name: "Snack", archived: false },
-      { id: "cat_fastfood", name: "Fast Food", archived: false },
-      { id: "cat_movie", name: "Movie", archived: false },
-      { id: "cat_tv", name: "TV Show", archived: false }
-    ];
-  }
+  });
+  return legacy;
+}
 
-  // Favorites
-  const rawFavorites = safeGet(FF_FAVORITES_KEY);
-  if (rawFavorites) {
+// Opens the preferred backend, falling back through STORAGE_BACKEND_ORDER.
+// Resolves with the adapter in use.
+async function initStorage(preferred) {
+  const order = STORAGE_ADAPTERS[preferred]
+    ? [preferred].concat(STORAGE_BACKEND_ORDER.filter((name) => name !== preferred))
+    : STORAGE_BACKEND_ORDER;
+
+  for (const name of order) {
+    // Data that moved on is no longer in localStorage; opening it anyway
+    // would show an empty widget and split new edits off from the rest
+    if (name === "local" && savedDataUnreachable) continue;
+    const adapter = STORAGE_ADAPTERS[name]();
     try {
-      favorites = JSON.parse(rawFavorites);
-      if (!favorites || typeof favorites !== "object") favorites = {};
+      await adapter.open();
+      let data = await adapter.loadAll();
+      if (adapter.importsLocalStorage) data = await importLocalStorage(adapter, data);
+
+      storageAdapter = adapter;
+      storageCache = new Map(Object.entries(data));
+      adapter.watch(handleStorageChange);
+      return adapter;
     } catch (e) {
-      console.error("Error parsing favorites:", e);
-      favorites = {};
+      console.error(`Storage backend "${name}" is unavailable:`, e);
+      if (readMigratedMarker() === name) savedDataUnreachable = true;
     }
-  } else {
-    favorites = {};
   }
+  return null;
+}
 
-  // Choose an initial category if possible
-  const activeCategories = getActiveCategories();
-  if (activeCategories.length > 0) {
-    currentCategoryId = activeCategories[0].id;
-  } else {
-    currentCategoryId = null;
+function handleStorageChange(change) {
+  if (!change) return;
+  if (change.key === null || change.key === undefined) {
+    storageListeners.forEach((listener) => listener({ key: null, newValue: null }));
+    return;
   }
+  if (change.newValue === null) storageCache.delete(change.key);
+  else storageCache.set(change.key, change.newValue);
+  storageListeners.forEach((listener) => listener(change));
 }
 
-function savePeople() {
-  safeSet(FF_PEOPLE_KEY, JSON.stringify(people));
+// `listener({key, newValue})` runs after another tab or copy saves a key.
+function watchStorage(listener) {
+  storageListeners.push(listener);
 }
 
-function saveCategories() {
-  safeSet(FF_CATEGORIES_KEY, JSON.stringify(categories));
+function safeGet(key) {
+  return storageCache.has(key) ? storageCache.get(key) : null;
 }
 
-function saveFavorites() {
-  safeSet(FF_FAVORITES_KEY, JSON.stringify(favorites));
+function safeSet(key, value) {
+  // Shared snapshots and read-only embeds are only views; picks, settings
+  // and household switches made there live in memory and never overwrite
+  // the stored data
+  if (isReadOnly()) return;
+  storageCache.set(key, value);
+  if (storageAdapter) storageAdapter.set(key, value).catch(reportSaveFailure);
 }
 
-/* ---------- Helpers ---------- */
-
-function getActiveCategories() {
-  return categories.filter((c) => !c.archived);
+function safeRemove(key) {
+  if (isReadOnly()) return;
+  storageCache.delete(key);
+  if (storageAdapter) storageAdapter.remove(key).catch(reportSaveFailure);
 }
 
-function getActivePeople() {
-  return people.filter((p) => !p.archived);
+/* ---------- Storage Problems ---------- */
+
+function isQuotaError(e) {
+  return (
+    !!e &&
+    (e.name === "QuotaExceededError" ||
+      e.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+      e.code === 22 ||
+      e.code === 1014)
+  );
 }
 
-function showToast(message) {
-  const toast = document.getElementById("toast");
-  if (!toast) return;
-  toast.textContent = message;
-  toast.classList.add("visible");
-  if (toastTimeout) clearTimeout(toastTimeout);
-  toastTimeout = setTimeout(() => {
-    toast.classList.remove("visible");
-  }, 2200);
+function describeStorageError(e) {
+  if (isQuotaError(e)) return t("storage.error.quota");
+  if (e && e.name === "SecurityError") return t("storage.error.blocked");
+  return t("storage.error.refused");
 }
 
-function escapeHtml(str) {
-  if (str == null) return "";
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
+function reportSaveFailure(e) {
+  console.error("Storage save error:", e);
+  showStorageProblem(`${describeStorageError(e)} ${t("storage.error.unsaved")}`);
 }
 
-function formatLocalDateTime(isoString) {
-  const d = new Date(isoString);
-  if (isNaN(d.getTime())) return "Unknown time";
-  return d.toLocaleString(undefined, {
-    month: "short",
-    day: "numeric",
-    hour: "2-digit",
-    minute: "2-digit"
+// Stays up until dismissed: a toast is too easy to miss when data is at risk.
+function showStorageProblem(message) {
+  const banner = document.getElementById("storageProblemBanner");
+  if (!banner) return;
+
+  banner.innerHTML =
+    `<span>${escapeHtml(message)} ${escapeHtml(t("storage.problem.backUp"))}</span>` +
+    '<span class="storage-problem-actions">' +
+    `<button type="button" id="storageProblemBackupBtn" class="small-btn">${escapeHtml(t("backup.now"))}</button>` +
+    `<button type="button" id="storageProblemDismissBtn" class="small-btn secondary-btn">${escapeHtml(t("common.dismiss"))}</button>` +
+    "</span>";
+  banner.hidden = false;
+
+  document.getElementById("storageProblemBackupBtn").addEventListener("click", exportFamilyFavoritesData);
+  document.getElementById("storageProblemDismissBtn").addEventListener("click", () => {
+    banner.hidden = true;
   });
 }
 
-/* ---------- Backup / Reminder ---------- */
-
-function recordBackupTime() {
-  const nowIso = new Date().toISOString();
-  safeSet(FF_LAST_BACKUP_KEY, nowIso);
+function renderStorageStatusText() {
+  const status = document.getElementById("storageStatus");
+  if (status) {
+    status.textContent = t(storageAdapter ? `storage.savedIn.${storageAdapter.name}` : "storage.notSaving");
+  }
 }
 
-function getLastBackupTime() {
-  const raw = safeGet(FF_LAST_BACKUP_KEY);
-  if (!raw) return null;
-  const d = new Date(raw);
-  if (isNaN(d.getTime())) return null;
-  return d;
+function renderStorageStatus(preferred) {
+  renderStorageStatusText();
+
+  // Landing on memory by choice is fine; by fallback it needs a warning
+  if (savedDataUnreachable) {
+    showStorageProblem(t("storage.problem.unreachable"));
+  } else if (!storageAdapter) {
+    showStorageProblem(t("storage.problem.none"));
+  } else if (storageAdapter.name === "memory" && preferred !== "memory") {
+    showStorageProblem(t("storage.problem.memory"));
+  }
 }
 
-function updateBackupReminder() {
-  const reminder = document.getElementById("backupReminder");
-  if (!reminder) return;
+/* ---------- Profiles (households): storage ---------- */
 
-  const lastBackup = getLastBackupTime();
-  const now = new Date();
+function profileKey(baseKey, profileId = activeProfileId) {
+  if (profileId === FF_DEFAULT_PROFILE_ID) return baseKey;
+  return `${baseKey}@${profileId}`;
+}
 
-  if (!lastBackup) {
-    reminder.innerHTML =
-      'No backup yet. <button id="backupNowBtn" class="small-btn secondary-btn">Backup now</button>';
-  } else {
-    const diffMs = now - lastBackup;
-    const oneDayMs = 24 * 60 * 60 * 1000;
+function loadProfiles() {
+  profiles = [];
+  activeProfileId = FF_DEFAULT_PROFILE_ID;
 
-    if (diffMs > oneDayMs) {
-      reminder.innerHTML =
-        'It’s been more than a day since your last backup (' +
-        formatLocalDateTime(lastBackup.toISOString()) +
-        '). <button id="backupNowBtn" class="small-btn secondary-btn">Backup now</button>';
-    } else {
-      reminder.textContent = "Last backup: " + formatLocalDateTime(lastBackup.toISOString());
+  const raw = safeGet(FF_PROFILES_KEY);
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && Array.isArray(parsed.profiles)) {
+        profiles = parsed.profiles.filter((p) => p && typeof p.id === "string" && p.id);
+        activeProfileId = parsed.activeId;
+      }
+    } catch (e) {
+      console.error("Error parsing profiles:", e);
     }
   }
 
-  // Wire the backupNow button if present
-  const backupNowBtn = document.getElementById("backupNowBtn");
-  if (backupNowBtn) {
-    backupNowBtn.addEventListener("click", exportFamilyFavoritesData);
+  if (profiles.length === 0) {
+    profiles = [{ id: FF_DEFAULT_PROFILE_ID, name: t("profile.defaultName") }];
+  }
+  if (!profiles.some((p) => p.id === activeProfileId)) {
+    activeProfileId = profiles[0].id;
   }
 }
 
-/* ---------- Magical Backup Modal ---------- */
-
-function openBackupModal(json) {
-  const backdrop = document.getElementById("backupModal");
-  const textarea = document.getElementById("backupModalTextarea");
-  if (!backdrop || !textarea) return;
+function saveProfiles() {
+  safeSet(FF_PROFILES_KEY, JSON.stringify({ activeId: activeProfileId, profiles }));
+}
 
-  textarea.value = json;
-  backdrop.classList.add("visible");
+function getActiveProfile() {
+  return profiles.find((p) => p.id === activeProfileId) || profiles[0];
+}
 
-  // Optional: auto-select content for easy copy
-  setTimeout(() => {
-    textarea.focus();
-    textarea.select();
-  }, 20);
+function writeProfileData(profileId, data) {
+  safeSet(profileKey(FF_PEOPLE_KEY, profileId), JSON.stringify(data.people));
+  safeSet(profileKey(FF_CATEGORIES_KEY, profileId), JSON.stringify(data.categories));
+  safeSet(profileKey(FF_CATEGORY_GROUPS_KEY, profileId), JSON.stringify(data.categoryGroups || []));
+  safeSet(profileKey(FF_FAVORITES_KEY, profileId), JSON.stringify(data.favorites));
+  safeSet(profileKey(FF_FAVORITE_HISTORY_KEY, profileId), JSON.stringify(data.favoriteHistory));
 }
 
-function closeBackupModal() {
-  const backdrop = document.getElementById("backupModal");
-  if (!backdrop) return;
-  backdrop.classList.remove("visible");
+function removeProfileData(profileId) {
+  FF_PROFILE_DATA_KEYS.forEach((key) => safeRemove(profileKey(key, profileId)));
 }
 
-/* ---------- Rendering: Category Select & Hint ---------- */
+function copyProfileData(fromId, toId) {
+  FF_PROFILE_DATA_KEYS.forEach((key) => {
+    const raw = safeGet(profileKey(key, fromId));
+    if (raw !== null) safeSet(profileKey(key, toId), raw);
+  });
+}
 
-function renderCategorySelect() {
-  const select = document.getElementById("categorySelect");
-  const hint = document.getElementById("categoryHint");
-  if (!select || !hint) return;
+/* ---------- Live Sync (other tabs & embeds) ---------- */
+
+// Every copy of the widget on the same origin shares one storage backend.
+// Each copy remembers the raw value it last read or wrote per key ("base");
+// when storage holds something else, another copy has written since, and the
+// two versions are merged three-way (base / mine / theirs) instead of
+// overwritten.
+let syncBase = {};
+let syncRenderTimeout = null;
+
+const SYNCED_VALUES = {
+  [FF_PEOPLE_KEY]: {
+    empty: () => [],
+    get: () => people,
+    set: (value) => dataStore.set("people", value, "sync"),
+    merge: (base, mine, theirs) => mergeRecordLists(base, mine, theirs)
+  },
+  [FF_CATEGORIES_KEY]: {
+    empty: () => [],
+    get: () => categories,
+    set: (value) => dataStore.set("categories", value, "sync"),
+    merge: (base, mine, theirs) => mergeRecordLists(base, mine, theirs)
+  },
+  [FF_CATEGORY_GROUPS_KEY]: {
+    empty: () => [],
+    get: () => categoryGroups,
+    set: (value) => dataStore.set("categoryGroups", value, "sync"),
+    merge: (base, mine, theirs) => mergeRecordLists(base, mine, theirs)
+  },
+  [FF_FAVORITES_KEY]: {
+    empty: () => ({}),
+    get: () => favorites,
+    set: (value) => dataStore.set("favorites", value, "sync"),
+    merge: (base, mine, theirs) =>
+      mergeCellMaps(base, mine, theirs, (a, b) =>
+        resolveConflictValue({ mine: toFavoriteEntries(a), theirs: toFavoriteEntries(b) }, "both")
+      )
+  },
+  [FF_FAVORITE_HISTORY_KEY]: {
+    empty: () => ({}),
+    get: () => favoriteHistory,
+    set: (value) => dataStore.set("favoriteHistory", value, "sync"),
+    merge: (base, mine, theirs) =>
+      mergeCellMaps(base, mine, theirs, (a, b) => mergeFavoriteHistoryLogs(a || [], b || []))
+  }
+};
 
-  const activeCats = getActiveCategories();
-  select.innerHTML = "";
+function sameData(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
 
-  if (activeCats.length === 0) {
-    const opt = document.createElement("option");
-    opt.value = "";
-    opt.textContent = "No types yet";
-    select.appendChild(opt);
-    select.disabled = true;
-    hint.textContent = "Add a favorite type in settings (⚙️) to begin.";
-    currentCategoryId = null;
-    renderFavoritesList();
-    return;
+function parseSynced(baseKey, raw) {
+  if (raw == null) return SYNCED_VALUES[baseKey].empty();
+  try {
+    const parsed = JSON.parse(raw);
+    const empty = SYNCED_VALUES[baseKey].empty();
+    if (Array.isArray(empty) ? Array.isArray(parsed) : parsed && typeof parsed === "object") {
+      return parsed;
+    }
+  } catch (e) {
+    console.error("Error parsing synced value:", e);
   }
+  return SYNCED_VALUES[baseKey].empty();
+}
 
-  select.disabled = false;
+function rememberSyncedValues() {
+  syncBase = {};
+  Object.keys(SYNCED_VALUES).forEach((baseKey) => {
+    const key = profileKey(baseKey);
+    syncBase[key] = safeGet(key);
+  });
+}
 
-  activeCats.forEach((cat) => {
-    const opt = document.createElement("option");
-    opt.value = cat.id;
-    opt.textContent = cat.name;
-    select.appendChild(opt);
+// People, categories or groups by id, merged field by field: a field changed
+// on one side only takes that change; a field both sides changed differently
+// keeps this copy's value and is reported as a conflict. Deletions only apply
+// to records the other side didn't touch. The order comes from whichever side
+// reordered relative to base (this copy's when both did).
+function mergeRecordLists(base, mine, theirs) {
+  const toMap = (list) => {
+    const map = {};
+    list.forEach((r) => r && r.id && (map[r.id] = r));
+    return map;
+  };
+  const baseMap = toMap(base);
+  const mineMap = toMap(mine);
+  const theirMap = toMap(theirs);
+  const conflicts = [];
+  const records = {};
+
+  const ids = {};
+  [mine, theirs].forEach((list) => list.forEach((r) => r && r.id && (ids[r.id] = true)));
+  Object.keys(ids).forEach((id) => {
+    const b = baseMap[id];
+    const m = mineMap[id];
+    const t = theirMap[id];
+
+    if (m && t) {
+      records[id] = b ? mergeRecordFields(b, m, t, conflicts) : m;
+    } else if (m || t) {
+      // Missing on one side: new there, or deleted there. A deletion wins
+      // unless the surviving side edited the record since.
+      const kept = m || t;
+      if (!b) records[id] = kept;
+      else if (!sameData(kept, b)) {
+        records[id] = kept;
+        if (m) conflicts.push({ recordId: id, name: m.name });
+      }
+    }
   });
 
-  if (!currentCategoryId || !activeCats.some((c) => c.id === currentCategoryId)) {
-    currentCategoryId = activeCats[0].id;
-  }
+  const order = hasReordered(base, theirs) && !hasReordered(base, mine) ? [theirs, mine] : [mine, theirs];
+  const merged = [];
+  const placed = {};
+  order[0].forEach((r) => {
+    if (r && records[r.id] && !placed[r.id]) {
+      merged.push(records[r.id]);
+      placed[r.id] = true;
+    }
+  });
+  // Records only the other side has go after their neighbour from that side
+  let after = -1;
+  order[1].forEach((r) => {
+    if (!r || !records[r.id]) return;
+    if (placed[r.id]) {
+      after = merged.findIndex((x) => x.id === r.id);
+      return;
+    }
+    merged.splice(after + 1, 0, records[r.id]);
+    placed[r.id] = true;
+    after += 1;
+  });
 
-  select.value = currentCategoryId;
+  return { value: merged, conflicts };
+}
 
-  const current = activeCats.find((c) => c.id === currentCategoryId);
-  if (current) {
-    hint.textContent = `Showing favorites for: ${current.name}`;
-  } else {
-    hint.textContent = "Choose a favorite type above.";
-  }
+function mergeRecordFields(base, mine, theirs, conflicts) {
+  const merged = {};
+  const fields = {};
+  let clashed = false;
+  [base, mine, theirs].forEach((r) => Object.keys(r).forEach((f) => (fields[f] = true)));
+  Object.keys(fields).forEach((field) => {
+    const b = base[field];
+    const m = mine[field];
+    const t = theirs[field];
+    let value;
+    if (sameData(m, b)) value = t;
+    else if (sameData(t, b) || sameData(m, t)) value = m;
+    else {
+      value = m;
+      clashed = true;
+    }
+    if (value !== undefined) merged[field] = value;
+  });
+  if (clashed) conflicts.push({ recordId: mine.id, name: mine.name });
+  return merged;
+}
 
-  renderFavoritesList();
+// True when the records `list` shares with `base` are in a different order
+function hasReordered(base, list) {
+  const inList = {};
+  list.forEach((r) => r && r.id && (inList[r.id] = true));
+  const inBase = {};
+  base.forEach((r) => r && r.id && (inBase[r.id] = true));
+  const a = base.filter((r) => r && inList[r.id]).map((r) => r.id);
+  const b = list.filter((r) => r && inBase[r.id]).map((r) => r.id);
+  return !sameData(a, b);
 }
 
-/* ---------- Rendering: Favorites List ---------- */
+// favorites-shaped maps: { [categoryId]: { [personId]: cell } }
+// resolve(mine, theirs) combines a cell both sides changed.
+function mergeCellMaps(base, mine, theirs, resolve) {
+  const merged = {};
+  const conflicts = [];
+  const cell = (map, categoryId, personId) =>
+    map[categoryId] && typeof map[categoryId] === "object" ? map[categoryId][personId] : undefined;
+
+  const categoryIds = {};
+  [base, mine, theirs].forEach((map) => Object.keys(map).forEach((id) => (categoryIds[id] = true)));
+
+  Object.keys(categoryIds).forEach((categoryId) => {
+    const personIds = {};
+    [base, mine, theirs].forEach((map) => {
+      Object.keys((map[categoryId] && typeof map[categoryId] === "object" && map[categoryId]) || {})
+        .forEach((id) => (personIds[id] = true));
+    });
 
-function renderFavoritesList() {
-  const list = document.getElementById("favoritesList");
-  if (!list) return;
-  list.innerHTML = "";
+    Object.keys(personIds).forEach((personId) => {
+      const b = cell(base, categoryId, personId);
+      const m = cell(mine, categoryId, personId);
+      const t = cell(theirs, categoryId, personId);
+
+      let value;
+      if (sameData(m, b)) value = t;
+      else if (sameData(t, b) || sameData(m, t)) value = m;
+      else {
+        value = resolve(m, t);
+        conflicts.push({ categoryId, personId });
+      }
 
-  const activePeople = getActivePeople();
+      if (value === undefined) return;
+      if (!merged[categoryId]) merged[categoryId] = {};
+      merged[categoryId][personId] = value;
+    });
+  });
 
-  if (!currentCategoryId) {
-    list.innerHTML = '<p class="widget-footer-text">No favorite type selected yet.</p>';
-    return;
+  return { value: merged, conflicts };
+}
+
+// Folds another copy's stored value into the in-memory data.
+// Returns the merge result, or null when there was nothing new.
+function absorbRemoteValue(baseKey, remoteRaw) {
+  const key = profileKey(baseKey);
+  if (remoteRaw === syncBase[key]) return null;
+
+  const spec = SYNCED_VALUES[baseKey];
+  const result = spec.merge(
+    parseSynced(baseKey, syncBase[key]),
+    spec.get(),
+    parseSynced(baseKey, remoteRaw)
+  );
+  spec.set(result.value);
+  syncBase[key] = remoteRaw;
+  return result;
+}
+
+function saveSyncedValue(baseKey) {
+  const key = profileKey(baseKey);
+  const stored = safeGet(key);
+
+  // Someone else wrote since we last looked: merge before overwriting
+  if (stored !== null && syncBase[key] !== undefined && stored !== syncBase[key]) {
+    const result = absorbRemoteValue(baseKey, stored);
+    if (result) reportSyncConflicts(result.conflicts);
   }
 
-  if (activePeople.length === 0) {
-    list.innerHTML = '<p class="widget-footer-text">No family members yet. Add one below.</p>';
+  const raw = JSON.stringify(SYNCED_VALUES[baseKey].get());
+  safeSet(key, raw);
+  syncBase[key] = raw;
+}
+
+function reportSyncConflicts(conflicts) {
+  if (!conflicts || conflicts.length === 0) return;
+  const first = conflicts[0];
+
+  // People, types and groups: this window's edit was kept
+  if (first.recordId) {
+    showToast(
+      conflicts.length > 1
+        ? t("sync.recordConflictMore", { name: first.name, count: conflicts.length - 1 })
+        : t("sync.recordConflict", { name: first.name })
+    );
     return;
   }
 
-  const categoryFavorites = favorites[currentCategoryId] || {};
-  activePeople.forEach((person) => {
-    const row = document.createElement("div");
-    row.className = "favorite-row";
+  const person = people.find((p) => p.id === first.personId);
+  const cat = categories.find((c) => c.id === first.categoryId);
+  const what = person && cat
+    ? t("sync.conflictCell", { person: person.name, category: cat.name })
+    : t("sync.conflictUnknown");
+  showToast(
+    conflicts.length > 1
+      ? t("sync.conflictMore", { what, count: conflicts.length - 1 })
+      : t("sync.conflict", { what })
+  );
+}
 
-    const label = document.createElement("div");
-    label.className = "favorite-row-label";
-    label.innerHTML = `<span>${escapeHtml(person.name)}</span>`;
+// Re-renders after remote changes without stealing the cursor from whoever
+// is typing in this copy
+function renderAllPreservingFocus() {
+  const active = document.activeElement;
+  let restore = null;
+
+  if (active && active.classList && active.classList.contains("favorite-row-input")) {
+    const row = active.closest(".favorite-row");
+    const inputs = row ? Array.from(row.querySelectorAll(".favorite-row-input")) : [];
+    restore = {
+      selector:
+        `.favorite-row[data-category-id="${row.getAttribute("data-category-id")}"]` +
+        `[data-person-id="${row.getAttribute("data-person-id")}"] .favorite-row-input`,
+      index: inputs.indexOf(active)
+    };
+  } else if (active && active.classList && active.classList.contains("grid-cell-input")) {
+    restore = {
+      selector:
+        `.grid-cell-input[data-category-id="${active.getAttribute("data-category-id")}"]` +
+        `[data-person-id="${active.getAttribute("data-person-id")}"]`,
+      index: 0
+    };
+  }
+  const selection = restore ? [active.selectionStart, active.selectionEnd] : null;
 
-    const input = document.createElement("input");
-    input.className = "favorite-row-input";
-    input.type = "text";
-    input.placeholder = "Their favorite...";
-    input.value = categoryFavorites[person.id] || "";
+  renderAll();
+  if (isSearchActive()) renderSearchResults();
 
-    input.addEventListener("input", function () {
-      updateFavorite(currentCategoryId, person.id, input.value);
-    });
+  if (!restore) return;
+  const target = document.querySelectorAll(restore.selector)[restore.index];
+  if (target) {
+    target.focus();
+    const end = target.value.length;
+    target.setSelectionRange(Math.min(selection[0], end), Math.min(selection[1], end));
+  }
+}
 
-    row.appendChild(label);
-    row.appendChild(input);
-    list.appendChild(row);
-  });
+function scheduleSyncRender() {
+  // Several keys usually change together (e.g. deleting a person)
+  if (syncRenderTimeout) clearTimeout(syncRenderTimeout);
+  syncRenderTimeout = setTimeout(() => {
+    syncRenderTimeout = null;
+    renderAllPreservingFocus();
+  }, 30);
 }
 
-function updateFavorite(categoryId, personId, value) {
-  if (!favorites[categoryId]) {
-    favorites[categoryId] = {};
+function handleProfilesChangedElsewhere() {
+  const previousId = activeProfileId;
+  loadProfiles();
+  // Another copy switching households doesn't switch this one
+  if (profiles.some((p) => p.id === previousId)) {
+    activeProfileId = previousId;
+    renderProfileControls();
+    return;
   }
-  favorites[categoryId][personId] = value;
-  saveFavorites();
+  loadData();
+  renderAll();
+  showToast(t("profile.deletedElsewhere"));
 }
 
-/* ---------- Add Person (main + settings) ---------- */
+function handleStorageEvent(e) {
+  if (e.key === null || viewingSnapshot) return;
 
-function handleAddPersonFromMain() {
-  const input = document.getElementById("newPersonInput");
-  if (!input) return;
+  if (e.key === FF_PROFILES_KEY) {
+    handleProfilesChangedElsewhere();
+    return;
+  }
 
-  const name = input.value.trim();
-  if (!name) {
-    showToast("Enter a name before adding.");
+  if (e.key === profileKey(FF_RANDOM_STATE_KEY)) {
+    loadRandomState();
+    renderPicksPanel();
+    renderGroupPickers();
     return;
   }
 
-  addPerson(name);
-  input.value = "";
-}
+  if (e.key === FF_SETTINGS_KEY) {
+    settings = readSettings();
+    syncSettingsControls();
+    scheduleSyncRender();
+    return;
+  }
 
-function handleAddPersonFromSettings() {
-  const input = document.getElementById("settingsNewPersonInput");
-  if (!input) return;
+  const baseKey = Object.keys(SYNCED_VALUES).find((k) => profileKey(k) === e.key);
+  if (!baseKey || e.newValue === null) return;
 
-  const name = input.value.trim();
-  if (!name) {
-    showToast("Enter a name before adding.");
-    return;
+  const result = absorbRemoteValue(baseKey, e.newValue);
+  if (!result) return;
+
+  // Keep storage in step when the merge kept something of ours
+  if (!sameData(result.value, parseSynced(baseKey, e.newValue))) {
+    saveSyncedValue(baseKey);
   }
 
-  addPerson(name);
-  input.value = "";
+  // The store redraws on "sync" changes (see Data Store)
+  reportSyncConflicts(result.conflicts);
 }
 
-function addPerson(name) {
-  const id = "person_" + Date.now() + "_" + Math.floor(Math.random() * 9999);
-  people.push({ id, name, archived: false });
+function setupLiveSync() {
+  watchStorage(handleStorageEvent);
+}
+
+/* ---------- Initialization ---------- */
+
+// Seeds are named in the current language; once saved they're ordinary
+// user data and keep their names when the language changes.
+function getSeedCategoryGroups() {
+  return [
+    { id: "grp_food", name: t("seed.group.food"), archived: false },
+    { id: "grp_media", name: t("seed.group.media"), archived: false }
+  ];
+}
+
+function getSeedCategories() {
+  return [
+    { id: "cat_candy", name: t("seed.category.candy"), archived: false, groupId: "grp_food" },
+    { id: "cat_icecream", name: t("seed.category.icecream"), archived: false, groupId: "grp_food" },
+    { id: "cat_snack", name: t("seed.category.snack"), archived: false, groupId: "grp_food" },
+    { id: "cat_fastfood", name: t("seed.category.fastfood"), archived: false, groupId: "grp_food" },
+    { id: "cat_movie", name: t("seed.category.movie"), archived: false, groupId: "grp_media" },
+    { id: "cat_tv", name: t("seed.category.tv"), archived: false, groupId: "grp_media" }
+  ];
+}
+
+// Reads one profile's data from storage without touching the globals.
+// `upgraded` is true when the stored favorites used an older cell format.
+function readProfileData(profileId) {
+  const data = {
+    people: [],
+    categories: [],
+    categoryGroups: [],
+    favorites: {},
+    favoriteHistory: {},
+    upgraded: false
+  };
+
+  // People
+  const rawPeople = safeGet(profileKey(FF_PEOPLE_KEY, profileId));
+  if (rawPeople) {
+    try {
+      data.people = JSON.parse(rawPeople);
+      if (!Array.isArray(data.people)) data.people = [];
+    } catch (e) {
+      console.error("Error parsing people:", e);
+      data.people = [];
+    }
+  }
+
+  // Categories
+  const rawCategories = safeGet(profileKey(FF_CATEGORIES_KEY, profileId));
+  if (rawCategories) {
+    try {
+      data.categories = JSON.parse(rawCategories);
+      if (!Array.isArray(data.categories)) data.categories = [];
+    } catch (e) {
+      console.error("Error parsing categories:", e);
+      data.categories = [];
+    }
+  } else if (!savedDataUnreachable) {
+    // Initialize with some examples
+    data.categories = getSeedCategories();
+    data.categoryGroups = getSeedCategoryGroups();
+  }
+
+  // Category groups (stored once groups exist)
+  const rawGroups = safeGet(profileKey(FF_CATEGORY_GROUPS_KEY, profileId));
+  if (rawGroups) {
+    try {
+      data.categoryGroups = JSON.parse(rawGroups);
+      if (!Array.isArray(data.categoryGroups)) data.categoryGroups = [];
+    } catch (e) {
+      console.error("Error parsing category groups:", e);
+      data.categoryGroups = [];
+    }
+  }
+
+  // Favorites
+  const rawFavorites = safeGet(profileKey(FF_FAVORITES_KEY, profileId));
+  if (rawFavorites) {
+    try {
+      data.favorites = JSON.parse(rawFavorites);
+      if (!data.favorites || typeof data.favorites !== "object") data.favorites = {};
+    } catch (e) {
+      console.error("Error parsing favorites:", e);
+      data.favorites = {};
+    }
+  }
+
+  // Older versions stored a single string per cell
+  data.upgraded = upgradeFavoritesModel(data.favorites);
+
+  // Favorite history
+  const rawFavoriteHistory = safeGet(profileKey(FF_FAVORITE_HISTORY_KEY, profileId));
+  if (rawFavoriteHistory) {
+    try {
+      data.favoriteHistory = JSON.parse(rawFavoriteHistory);
+      if (!data.favoriteHistory || typeof data.favoriteHistory !== "object") {
+        data.favoriteHistory = {};
+      }
+    } catch (e) {
+      console.error("Error parsing favorite history:", e);
+      data.favoriteHistory = {};
+    }
+  }
+
+  return data;
+}
+
+function readSettings() {
+  const result = Object.assign({}, DEFAULT_SETTINGS);
+  const rawSettings = safeGet(FF_SETTINGS_KEY);
+  if (rawSettings) {
+    try {
+      const parsedSettings = JSON.parse(rawSettings);
+      if (parsedSettings && typeof parsedSettings === "object") {
+        Object.assign(result, parsedSettings);
+      }
+    } catch (e) {
+      console.error("Error parsing settings:", e);
+    }
+  }
+  return result;
+}
+
+function loadData() {
+  const stored = readProfileData(activeProfileId);
+  const report = checkData(stored);
+  dataStore.replace(report.data, "load");
+  rememberSyncedValues();
+
+  // Housekeeping is saved without a redraw; callers draw the loaded data
+  if (stored.upgraded) {
+    saveFavorites("tidy");
+  }
+
+  // Shown on screen repaired; Repair saves every section, and until then a
+  // section's repairs are stored the next time an edit saves it
+  storedDataProblems = report.problems;
+  updateIntegrityBanner();
+
+  settings = readSettings();
+
+  if (pruneFavoriteHistory()) {
+    saveFavoriteHistory("tidy");
+  }
+
+  loadUndoHistory();
+  loadRandomState();
+
+  // Choose an initial category if possible
+  const activeCategories = getActiveCategories();
+  if (activeCategories.length > 0) {
+    currentCategoryId = activeCategories[0].id;
+  } else {
+    currentCategoryId = null;
+  }
+}
+
+function savePeople(source = "ui") {
+  dataStore.set("people", people, source);
+}
+
+function saveCategories(source = "ui") {
+  dataStore.set("categories", categories, source);
+}
+
+function saveCategoryGroups(source = "ui") {
+  dataStore.set("categoryGroups", categoryGroups, source);
+}
+
+function saveFavorites(source = "ui") {
+  dataStore.set("favorites", favorites, source);
+}
+
+function saveFavoriteHistory(source = "ui") {
+  dataStore.set("favoriteHistory", favoriteHistory, source);
+}
+
+function saveSettings() {
+  safeSet(FF_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/* ---------- Helpers ---------- */
+
+// Active records in the chosen sort mode (see Ordering, Sort Modes & Rename)
+function getActiveCategories() {
+  return sortCategories(categories.filter((c) => !c.archived));
+}
+
+function getActivePeople() {
+  return sortPeople(people.filter((p) => !p.archived));
+}
+
+function generateId(prefix) {
+  return prefix + Date.now() + "_" + Math.floor(Math.random() * 9999);
+}
+
+// action (optional): { label, onClick } rendered as a button inside the toast
+function showToast(message, action) {
+  const toast = document.getElementById("toast");
+  if (!toast) return;
+  toast.textContent = message;
+  toast.classList.toggle("has-action", !!action);
+
+  if (action) {
+    const btn = document.createElement("button");
+    btn.className = "toast-action";
+    btn.type = "button";
+    btn.textContent = action.label;
+    btn.addEventListener("click", () => {
+      toast.classList.remove("visible");
+      action.onClick();
+    });
+    toast.appendChild(btn);
+  }
+
+  toast.classList.add("visible");
+  if (toastTimeout) clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(() => {
+    toast.classList.remove("visible");
+  }, action ? 5000 : 2200);
+}
+
+function showUndoToast(message) {
+  showToast(message, { label: t("common.undo"), onClick: undo });
+}
+
+function escapeHtml(str) {
+  if (str == null) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function formatLocalDateTime(isoString) {
+  const d = new Date(isoString);
+  if (isNaN(d.getTime())) return t("date.unknown");
+  return d.toLocaleString(getLocale(), {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+/* ---------- Favorite entries (ranked lists) ---------- */
+
+// Accepts a legacy single string or a list and always returns a list of strings.
+function toFavoriteEntries(value) {
+  if (Array.isArray(value)) {
+    return value.filter((v) => typeof v === "string");
+  }
+  if (typeof value === "string") {
+    return value.trim() ? [value] : [];
+  }
+  return [];
+}
+
+// Converts every cell of a favorites map to a list in place.
+// Returns true when anything had to change.
+function upgradeFavoritesModel(favs) {
+  let changed = false;
+  Object.keys(favs).forEach((catId) => {
+    const catFavs = favs[catId];
+    if (!catFavs || typeof catFavs !== "object") {
+      delete favs[catId];
+      changed = true;
+      return;
+    }
+    Object.keys(catFavs).forEach((personId) => {
+      if (!Array.isArray(catFavs[personId])) {
+        catFavs[personId] = toFavoriteEntries(catFavs[personId]);
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+function getFavoriteEntries(categoryId, personId) {
+  const catFavs = favorites[categoryId] || {};
+  return toFavoriteEntries(catFavs[personId]).slice();
+}
+
+// Only the entries that have text, trimmed, in rank order
+function getFilledFavoriteEntries(categoryId, personId) {
+  return getFavoriteEntries(categoryId, personId)
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+function formatFavoriteEntries(entries) {
+  return entries.join(", ");
+}
+
+// Case- and whitespace-insensitive comparison of two ranked lists
+function sameFavoriteEntries(a, b) {
+  if (a.length !== b.length) return false;
+  return a.every((v, i) => normalizeName(v) === normalizeName(b[i]));
+}
+
+function cleanFavoriteEntries(entries) {
+  return toFavoriteEntries(entries)
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+/* ---------- Field Types ---------- */
+
+// Categories may carry `type` (a FIELD_TYPES key, text when missing) and
+// `avoid` (a dislike list). Values stay plain string entries; the type
+// picks the input widget, validates what is saved and formats display.
+// `drawable` types can come up as a random favorite. Names come from the
+// message catalog as fieldType.<key>.
+const FIELD_TYPES = {
+  text: { multiple: true, drawable: true },
+  rating: { multiple: false, drawable: false },
+  yesno: { multiple: false, drawable: false },
+  link: { multiple: true, drawable: true },
+  date: { multiple: false, drawable: false }
+};
+
+// Typed and imported answers are accepted in any of the widget's languages
+const YES_WORDS = ["yes", "y", "true", "1", "x", "✓", "sí", "si", "s", "ja", "j"];
+const NO_WORDS = ["no", "n", "false", "0", "nein"];
+
+function getFieldType(category) {
+  return category && FIELD_TYPES[category.type] ? category.type : "text";
+}
+
+function allowsMultipleEntries(category) {
+  return FIELD_TYPES[getFieldType(category)].multiple;
+}
+
+function isAvoidCategory(category) {
+  return !!(category && category.avoid);
+}
+
+// Returns the value to store, "" for blank, or null when it doesn't fit.
+function normalizeFieldValue(type, value) {
+  const text = String(value == null ? "" : value).trim();
+  if (!text) return "";
+
+  if (type === "rating") {
+    const n = Number(text);
+    return Number.isInteger(n) && n >= 1 && n <= 5 ? String(n) : null;
+  }
+  if (type === "yesno") {
+    const word = text.toLowerCase();
+    if (YES_WORDS.includes(word)) return "yes";
+    if (NO_WORDS.includes(word)) return "no";
+    return null;
+  }
+  if (type === "link") {
+    try {
+      const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : "https://" + text);
+      return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  if (type === "date") {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 ? text : null;
+  }
+  return String(value);
+}
+
+// Human-readable value for lists, search, banners and exports.
+function formatFieldValue(category, value) {
+  const type = getFieldType(category);
+  if (type === "rating" && /^[1-5]$/.test(value)) {
+    const n = Number(value);
+    return "★".repeat(n) + "☆".repeat(5 - n);
+  }
+  if (type === "yesno" && (value === "yes" || value === "no")) {
+    return value === "yes" ? t("common.yes") : t("common.no");
+  }
+  if (type === "date" && normalizeFieldValue("date", value)) {
+    const [y, m, d] = value.split("-").map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(getLocale(), {
+      year: "numeric",
+      month: "short",
+      day: "numeric"
+    });
+  }
+  return value;
+}
+
+function formatCategoryEntries(category, entries) {
+  return formatFavoriteEntries(entries.map((v) => formatFieldValue(category, v)));
+}
+
+function buildChoiceSelect(choices, value) {
+  const select = document.createElement("select");
+  choices.forEach(([optionValue, text]) => {
+    const opt = document.createElement("option");
+    opt.value = optionValue;
+    opt.textContent = text;
+    select.appendChild(opt);
+  });
+  // Keep odd stored values visible rather than silently showing blank
+  if (value && !choices.some(([optionValue]) => optionValue === value)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = value;
+    select.appendChild(opt);
+  }
+  select.value = value;
+  return select;
+}
+
+// The input widget for one value of `category`. `onChange(value, typing)`
+// gets validated values only; free text reports every keystroke.
+function buildFieldInput(category, value, onChange) {
+  const type = getFieldType(category);
+  const readOnly = isReadOnly();
+  let input;
+
+  if (type === "rating") {
+    const stars = [1, 2, 3, 4, 5].map((n) => [String(n), formatFieldValue(category, String(n))]);
+    input = buildChoiceSelect([["", "—"]].concat(stars), value);
+  } else if (type === "yesno") {
+    input = buildChoiceSelect([["", "—"], ["yes", t("common.yes")], ["no", t("common.no")]], value);
+  } else {
+    input = document.createElement("input");
+    input.type = type === "link" ? "url" : type === "date" ? "date" : "text";
+    input.value = value;
+    input.readOnly = readOnly;
+  }
+
+  if (input.tagName === "SELECT") {
+    input.disabled = readOnly;
+    input.addEventListener("change", () => onChange(input.value, false));
+  } else if (type === "text") {
+    input.addEventListener("input", () => onChange(input.value, true));
+  } else {
+    input.addEventListener("change", () => {
+      const normalized = normalizeFieldValue(type, input.value);
+      input.classList.toggle("invalid", normalized === null);
+      if (normalized === null) {
+        showToast(t(`field.invalid.${type}`, { value: input.value }));
+        return;
+      }
+      input.value = normalized;
+      onChange(normalized, false);
+    });
+  }
+
+  return input;
+}
+
+// Opens a link value in a new tab; null for anything that isn't a web link.
+function buildFieldLink(category, value) {
+  if (getFieldType(category) !== "link" || !normalizeFieldValue("link", value)) return null;
+  const link = document.createElement("a");
+  link.className = "entry-btn field-link";
+  link.href = value;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = "↗";
+  link.title = t("field.openLink");
+  return link;
+}
+
+function buildFieldTypeBadge(category) {
+  const parts = [];
+  if (getFieldType(category) !== "text") parts.push(t(`fieldType.${getFieldType(category)}`));
+  if (isAvoidCategory(category)) parts.push(t("field.avoidBadge"));
+  return parts.length > 0 ? `<span class="field-type-badge">${escapeHtml(parts.join(" · "))}</span>` : "";
+}
+
+/* ---------- Favorite History (timeline of past values) ---------- */
+
+// Edits closer together than this refine the latest value instead of
+// starting a new one, so typing and quick typo fixes stay one step.
+const FAVORITE_HISTORY_SETTLE_MS = 10 * 60 * 1000;
+
+function getFavoriteHistory(categoryId, personId) {
+  const catHistory = favoriteHistory[categoryId] || {};
+  return Array.isArray(catHistory[personId]) ? catHistory[personId] : [];
+}
+
+function setFavoriteHistory(categoryId, personId, log) {
+  if (!log || log.length === 0) {
+    if (favoriteHistory[categoryId]) {
+      delete favoriteHistory[categoryId][personId];
+      if (Object.keys(favoriteHistory[categoryId]).length === 0) {
+        delete favoriteHistory[categoryId];
+      }
+    }
+    return;
+  }
+  if (!favoriteHistory[categoryId]) favoriteHistory[categoryId] = {};
+  favoriteHistory[categoryId][personId] = log;
+}
+
+// previousEntries: the cell before this change (seeds the log for cells that
+// were filled before history existed)
+function recordFavoriteHistory(categoryId, personId, previousEntries, entries) {
+  const log = getFavoriteHistory(categoryId, personId).slice();
+  const value = cleanFavoriteEntries(entries);
+
+  if (log.length === 0) {
+    const previous = cleanFavoriteEntries(previousEntries);
+    if (previous.length > 0) log.push({ entries: previous, at: null });
+  }
+
+  const last = log[log.length - 1];
+  if (last && sameFavoriteEntries(last.entries, value)) return;
+  if (!last && value.length === 0) return;
+
+  const now = new Date();
+  const lastTime = last && last.at ? new Date(last.at).getTime() : NaN;
+
+  if (!isNaN(lastTime) && now.getTime() - lastTime < FAVORITE_HISTORY_SETTLE_MS) {
+    last.entries = value;
+    const prior = log[log.length - 2];
+    if (prior && sameFavoriteEntries(prior.entries, value)) log.pop();
+    if (log.length === 1 && log[0].entries.length === 0) log.pop();
+  } else {
+    log.push({ entries: value, at: now.toISOString() });
+  }
+
+  setFavoriteHistory(categoryId, personId, log);
+  pruneFavoriteHistory();
+  saveFavoriteHistory();
+}
+
+// Drops values older than the retention setting. The latest value of each
+// cell is always kept. Returns true when anything was removed.
+function pruneFavoriteHistory() {
+  const days = Number(settings.historyRetentionDays) || 0;
+  if (days <= 0) return false;
+
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  let changed = false;
+
+  Object.keys(favoriteHistory).forEach((categoryId) => {
+    Object.keys(favoriteHistory[categoryId] || {}).forEach((personId) => {
+      const log = getFavoriteHistory(categoryId, personId);
+      const kept = log.filter((item, idx) => {
+        if (idx === log.length - 1) return true;
+        const time = item.at ? new Date(item.at).getTime() : NaN;
+        return !isNaN(time) && time >= cutoff;
+      });
+      if (kept.length !== log.length) {
+        setFavoriteHistory(categoryId, personId, kept);
+        changed = true;
+      }
+    });
+  });
+
+  return changed;
+}
+
+// Combines two logs of the same cell, oldest first, without duplicates
+function mergeFavoriteHistoryLogs(a, b) {
+  const seen = {};
+  const merged = [];
+  a.concat(b).forEach((item) => {
+    if (!item || !Array.isArray(item.entries)) return;
+    const key = (item.at || "") + "|" + item.entries.map(normalizeName).join("\u0000");
+    if (seen[key]) return;
+    seen[key] = true;
+    merged.push({ entries: item.entries.slice(), at: item.at || null });
+  });
+  merged.sort((x, y) => {
+    if (!x.at) return y.at ? -1 : 0;
+    if (!y.at) return 1;
+    return x.at < y.at ? -1 : x.at > y.at ? 1 : 0;
+  });
+  return merged;
+}
+
+function formatHistoryDate(isoString) {
+  if (!isoString) return t("timeline.earlier");
+  const d = new Date(isoString);
+  if (isNaN(d.getTime())) return t("timeline.earlier");
+  return String(d.getFullYear());
+}
+
+// One timeline per category (archived ones included) for a person.
+// Cells filled before history existed show their current value.
+function buildPersonTimeline(personId) {
+  const rows = [];
+  categories.forEach((cat) => {
+    let log = getFavoriteHistory(cat.id, personId);
+    if (log.length === 0) {
+      const current = getFilledFavoriteEntries(cat.id, personId);
+      if (current.length === 0) return;
+      log = [{ entries: current, at: null }];
+    }
+    rows.push({ category: cat, log });
+  });
+  return rows;
+}
+
+function renderTimeline(personId) {
+  const title = document.getElementById("timelineModalTitle");
+  const body = document.getElementById("timelineModalBody");
+  const person = people.find((p) => p.id === personId);
+  if (!title || !body || !person) return;
+
+  title.textContent = t("timeline.title", { name: person.name });
+
+  const rows = buildPersonTimeline(personId);
+  if (rows.length === 0) {
+    body.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("timeline.empty"))}</p>`;
+    return;
+  }
+
+  body.innerHTML = rows
+    .map((row) => {
+      const steps = row.log
+        .map((item) => {
+          const value =
+            item.entries.length > 0 ? formatCategoryEntries(row.category, item.entries) : "—";
+          const when = item.at ? formatLocalDateTime(item.at) : t("timeline.beforeHistory");
+          return (
+            `<span class="timeline-step" title="${escapeHtml(when)}">` +
+            `${escapeHtml(value)} <span class="timeline-date">(${formatHistoryDate(item.at)})</span>` +
+            `</span>`
+          );
+        })
+        .join('<span class="timeline-arrow">→</span>');
+
+      return `
+        <div class="timeline-row${row.category.archived ? " archived" : ""}">
+          <div class="timeline-category">${escapeHtml(t("favorite.label", { category: row.category.name }))}</div>
+          <div class="timeline-steps">${steps}</div>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+function openTimelineModal(personId) {
+  const backdrop = document.getElementById("timelineModal");
+  if (!backdrop) return;
+  renderTimeline(personId);
+  showDialog(backdrop, closeTimelineModal);
+}
+
+function closeTimelineModal() {
+  const backdrop = document.getElementById("timelineModal");
+  if (!backdrop) return;
+  hideDialog(backdrop);
+}
+
+function setupTimelineModal() {
+  const backdrop = document.getElementById("timelineModal");
+  const closeBtn = document.getElementById("timelineModalCloseBtn");
+
+  if (closeBtn) closeBtn.addEventListener("click", closeTimelineModal);
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) {
+        closeTimelineModal();
+      }
+    });
+  }
+}
+
+function setupHistoryRetentionSelect() {
+  const select = document.getElementById("historyRetentionSelect");
+  if (!select) return;
+
+  select.value = String(settings.historyRetentionDays || 0);
+  select.addEventListener("change", () => {
+    settings.historyRetentionDays = Number(select.value) || 0;
+    saveSettings();
+    if (pruneFavoriteHistory()) {
+      saveFavoriteHistory();
+    }
+    showToast(t("history.settingSaved"));
+  });
+}
+
+/* ---------- Undo / Redo History ---------- */
+
+// Each history entry is plain data so the stacks can be persisted:
+// { label, at, coalesceKey?, changes: [change] }
+// A change swaps one record or favorite cell between `before` and `after`:
+//   { target: "person" | "category", id, before: {record, index} | null, after: … }
+//   { target: "favorite", categoryId, personId, before: string[] | null, after: … }
+//   { target: "favoriteHistory", categoryId, personId, before: log | null, after: … }
+const UNDO_LIMIT = 50;
+const UNDO_COALESCE_MS = 2000;
+
+function cloneData(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function loadUndoHistory() {
+  undoHistory = { undo: [], redo: [] };
+  const raw = safeGet(profileKey(FF_UNDO_HISTORY_KEY));
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed && Array.isArray(parsed.undo) && Array.isArray(parsed.redo)) {
+      undoHistory = { undo: parsed.undo, redo: parsed.redo };
+    }
+  } catch (e) {
+    console.error("Error parsing undo history:", e);
+  }
+}
+
+function saveUndoHistory() {
+  safeSet(profileKey(FF_UNDO_HISTORY_KEY), JSON.stringify(undoHistory));
+}
+
+function clearUndoHistory() {
+  undoHistory = { undo: [], redo: [] };
+  saveUndoHistory();
+}
+
+function snapshotRecord(list, id) {
+  const index = list.findIndex((r) => r.id === id);
+  if (index < 0) return null;
+  return { record: cloneData(list[index]), index };
+}
+
+function snapshotPerson(id) {
+  return snapshotRecord(people, id);
+}
+
+function snapshotCategory(id) {
+  return snapshotRecord(categories, id);
+}
+
+function snapshotFavorite(categoryId, personId) {
+  const catFavs = favorites[categoryId];
+  if (!catFavs || catFavs[personId] === undefined) return null;
+  return cloneData(catFavs[personId]);
+}
+
+// Favorite cells (and their history) that would disappear along with a
+// person or category
+function collectFavoriteRemovals(match) {
+  const changes = [];
+  [
+    ["favorite", favorites],
+    ["favoriteHistory", favoriteHistory]
+  ].forEach(([target, map]) => {
+    Object.keys(map).forEach((categoryId) => {
+      const cells = map[categoryId] || {};
+      Object.keys(cells).forEach((personId) => {
+        if (!match(categoryId, personId)) return;
+        changes.push({
+          target,
+          categoryId,
+          personId,
+          before: cloneData(cells[personId]),
+          after: null
+        });
+      });
+    });
+  });
+  return changes;
+}
+
+// For bulk edits (merge imports): snapshot the data first, then turn
+// everything that differs afterwards into undo changes.
+function snapshotUndoState() {
+  return cloneData({ people, categories, categoryGroups, favorites, favoriteHistory });
+}
+
+function diffUndoState(before, after) {
+  const changes = [];
+  [
+    ["person", "people"],
+    ["category", "categories"],
+    ["group", "categoryGroups"]
+  ].forEach(([target, key]) => {
+    const ids = new Set(before[key].concat(after[key]).map((r) => r.id));
+    ids.forEach((id) => {
+      const was = snapshotRecord(before[key], id);
+      const now = snapshotRecord(after[key], id);
+      if (JSON.stringify(was) !== JSON.stringify(now)) changes.push({ target, id, before: was, after: now });
+    });
+  });
+  [
+    ["favorite", "favorites"],
+    ["favoriteHistory", "favoriteHistory"]
+  ].forEach(([target, key]) => {
+    const categoryIds = new Set(Object.keys(before[key]).concat(Object.keys(after[key])));
+    categoryIds.forEach((categoryId) => {
+      const wasCells = before[key][categoryId] || {};
+      const nowCells = after[key][categoryId] || {};
+      new Set(Object.keys(wasCells).concat(Object.keys(nowCells))).forEach((personId) => {
+        const was = wasCells[personId] === undefined ? null : wasCells[personId];
+        const now = nowCells[personId] === undefined ? null : nowCells[personId];
+        if (JSON.stringify(was) !== JSON.stringify(now)) {
+          changes.push({ target, categoryId, personId, before: was, after: now });
+        }
+      });
+    });
+  });
+  return changes;
+}
+
+function removeFavoriteHistoryWhere(match) {
+  Object.keys(favoriteHistory).forEach((categoryId) => {
+    Object.keys(favoriteHistory[categoryId] || {}).forEach((personId) => {
+      if (match(categoryId, personId)) setFavoriteHistory(categoryId, personId, null);
+    });
+  });
+}
+
+// options.coalesceKey: consecutive entries with the same key (e.g. typing in
+// one favorite cell) merge into a single undo step
+function recordUndoStep(label, changes, options) {
+  if (!changes || changes.length === 0) return;
+  const coalesceKey = options && options.coalesceKey;
+  const now = Date.now();
+  const top = undoHistory.undo[undoHistory.undo.length - 1];
+
+  if (coalesceKey && top && top.coalesceKey === coalesceKey && now - top.at < UNDO_COALESCE_MS) {
+    top.changes.forEach((change, idx) => {
+      if (changes[idx]) change.after = changes[idx].after;
+    });
+    top.at = now;
+    if (top.changes.every((c) => JSON.stringify(c.before) === JSON.stringify(c.after))) {
+      undoHistory.undo.pop();
+    }
+  } else {
+    const entry = { label, at: now, changes };
+    if (coalesceKey) entry.coalesceKey = coalesceKey;
+    undoHistory.undo.push(entry);
+    if (undoHistory.undo.length > UNDO_LIMIT) {
+      undoHistory.undo.splice(0, undoHistory.undo.length - UNDO_LIMIT);
+    }
+  }
+
+  undoHistory.redo = [];
+  saveUndoHistory();
+}
+
+function applyRecordChange(list, state, id) {
+  const existing = list.findIndex((r) => r.id === id);
+  if (existing >= 0) list.splice(existing, 1);
+  if (state) {
+    list.splice(Math.min(state.index, list.length), 0, cloneData(state.record));
+  }
+}
+
+// direction: "undo" restores `before`, "redo" re-applies `after`
+function applyUndoChanges(changes, direction) {
+  const ordered = direction === "undo" ? changes.slice().reverse() : changes;
+  ordered.forEach((change) => {
+    const state = direction === "undo" ? change.before : change.after;
+    if (change.target === "person") {
+      applyRecordChange(people, state, change.id);
+    } else if (change.target === "category") {
+      applyRecordChange(categories, state, change.id);
+    } else if (change.target === "group") {
+      applyRecordChange(categoryGroups, state, change.id);
+    } else if (change.target === "favorite") {
+      if (state === null) {
+        if (favorites[change.categoryId]) {
+          delete favorites[change.categoryId][change.personId];
+        }
+      } else {
+        if (!favorites[change.categoryId]) favorites[change.categoryId] = {};
+        favorites[change.categoryId][change.personId] = cloneData(state);
+      }
+    } else if (change.target === "favoriteHistory") {
+      setFavoriteHistory(change.categoryId, change.personId, cloneData(state));
+    }
+  });
+
+  // Undoing an edit is itself a change worth remembering in the timeline,
+  // unless the step restores that cell's history wholesale
+  const historyRestored = {};
+  changes.forEach((change) => {
+    if (change.target === "favoriteHistory") {
+      historyRestored[change.categoryId + "|" + change.personId] = true;
+    }
+  });
+  ordered.forEach((change) => {
+    if (change.target !== "favorite") return;
+    if (historyRestored[change.categoryId + "|" + change.personId]) return;
+    const other = direction === "undo" ? change.after : change.before;
+    const state = direction === "undo" ? change.before : change.after;
+    recordFavoriteHistory(change.categoryId, change.personId, other, state);
+  });
+
+  dataStore.batch(() => {
+    savePeople();
+    saveCategories();
+    saveCategoryGroups();
+    saveFavorites();
+    saveFavoriteHistory();
+  }, "ui");
+}
+
+function undo() {
+  const entry = undoHistory.undo.pop();
+  if (!entry) {
+    showToast(t("undo.nothing"));
+    return;
+  }
+  applyUndoChanges(entry.changes, "undo");
+  delete entry.coalesceKey;
+  undoHistory.redo.push(entry);
+  saveUndoHistory();
+  showToast(t("undo.undid", { label: entry.label }), { label: t("common.redo"), onClick: redo });
+}
+
+function redo() {
+  const entry = undoHistory.redo.pop();
+  if (!entry) {
+    showToast(t("redo.nothing"));
+    return;
+  }
+  applyUndoChanges(entry.changes, "redo");
+  undoHistory.undo.push(entry);
+  saveUndoHistory();
+  showUndoToast(t("redo.redid", { label: entry.label }));
+}
+
+function isTextEditingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA") return true;
+  if (el.tagName !== "INPUT") return false;
+  return !["checkbox", "radio", "button", "submit"].includes(el.type);
+}
+
+function setupUndoShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || isReadOnly()) return;
+    // Inside text fields the browser's own undo applies
+    if (isTextEditingTarget(e.target)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redo();
+    }
+  });
+}
+
+/* ---------- Backup / Reminder ---------- */
+
+function recordBackupTime(profileId) {
+  const nowIso = new Date().toISOString();
+  safeSet(profileKey(FF_LAST_BACKUP_KEY, profileId), nowIso);
+}
+
+function getLastBackupTime() {
+  const raw = safeGet(profileKey(FF_LAST_BACKUP_KEY));
+  if (!raw) return null;
+  const d = new Date(raw);
+  if (isNaN(d.getTime())) return null;
+  return d;
+}
+
+function updateBackupReminder() {
+  const reminder = document.getElementById("backupReminder");
+  if (!reminder) return;
+
+  const lastBackup = getLastBackupTime();
+  const now = new Date();
+
+  const backupNowHtml =
+    `<button id="backupNowBtn" class="small-btn secondary-btn">${escapeHtml(t("backup.now"))}</button>`;
+
+  if (!lastBackup) {
+    reminder.innerHTML = `${escapeHtml(t("backup.reminder.none"))} ${backupNowHtml}`;
+  } else {
+    const diffMs = now - lastBackup;
+    const oneDayMs = 24 * 60 * 60 * 1000;
+    const when = formatLocalDateTime(lastBackup.toISOString());
+
+    if (diffMs > oneDayMs) {
+      reminder.innerHTML = `${escapeHtml(t("backup.reminder.overdue", { when }))} ${backupNowHtml}`;
+    } else {
+      reminder.textContent = t("backup.reminder.last", { when });
+    }
+  }
+
+  // Wire the backupNow button if present
+  const backupNowBtn = document.getElementById("backupNowBtn");
+  if (backupNowBtn) {
+    backupNowBtn.addEventListener("click", exportFamilyFavoritesData);
+  }
+}
+
+/* ---------- Magical Backup Modal ---------- */
+
+function getDefaultBackupModalLabels() {
+  return {
+    title: t("backupModal.title"),
+    text: t("backupModal.text")
+  };
+}
+
+// `labels` ({title, text}) relabels the modal for exports other than backups.
+function openBackupModal(json, labels) {
+  const backdrop = document.getElementById("backupModal");
+  const textarea = document.getElementById("backupModalTextarea");
+  const heading = document.getElementById("backupModalTitle");
+  const intro = document.getElementById("backupModalText");
+  if (!backdrop || !textarea) return;
+
+  const copy = Object.assign(getDefaultBackupModalLabels(), labels);
+  if (heading) heading.textContent = copy.title;
+  if (intro) intro.textContent = copy.text;
+  textarea.value = json;
+  showDialog(backdrop, closeBackupModal);
+
+  // Optional: auto-select content for easy copy
+  setTimeout(() => {
+    textarea.focus();
+    textarea.select();
+  }, 20);
+}
+
+function closeBackupModal() {
+  const backdrop = document.getElementById("backupModal");
+  if (!backdrop) return;
+  hideDialog(backdrop);
+}
+
+/* ---------- Rendering: Category Select & Hint ---------- */
+
+function renderCategorySelect() {
+  const select = document.getElementById("categorySelect");
+  const hint = document.getElementById("categoryHint");
+  if (!select || !hint) return;
+
+  const activeCats = getActiveCategories();
+  select.innerHTML = "";
+
+  if (activeCats.length === 0) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = t("category.noneYet");
+    select.appendChild(opt);
+    select.disabled = true;
+    hint.textContent = t("category.addToBegin");
+    currentCategoryId = null;
+    renderFavoritesList();
+    return;
+  }
+
+  select.disabled = false;
+
+  groupActiveCategories(activeCats).forEach(({ group, items }) => {
+    let parent = select;
+    if (group) {
+      parent = document.createElement("optgroup");
+      parent.label = group.name;
+      select.appendChild(parent);
+    }
+    items.forEach((cat) => {
+      const opt = document.createElement("option");
+      opt.value = cat.id;
+      opt.textContent = isAvoidCategory(cat) ? t("category.avoidOption", { name: cat.name }) : cat.name;
+      parent.appendChild(opt);
+    });
+  });
+
+  if (!currentCategoryId || !activeCats.some((c) => c.id === currentCategoryId)) {
+    currentCategoryId = activeCats[0].id;
+  }
+
+  select.value = currentCategoryId;
+
+  // The person view writes its own hint
+  if (currentViewMode === "category") {
+    const current = activeCats.find((c) => c.id === currentCategoryId);
+    if (current && isAvoidCategory(current)) {
+      hint.textContent = t("category.hint.avoid", { name: current.name });
+    } else if (current) {
+      hint.textContent = t("category.hint.showing", { name: current.name });
+    } else {
+      hint.textContent = t("category.hint.choose");
+    }
+  }
+
+  renderFavoritesList();
+}
+
+/* ---------- Rendering: Favorites List ---------- */
+
+function renderFavoritesList() {
+  const list = document.getElementById("favoritesList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  if (currentViewMode === "person") {
+    renderPersonProfile(list);
+    return;
+  }
+
+  if (currentViewMode === "grid") {
+    renderFavoritesGrid(list);
+    return;
+  }
+
+  const activePeople = getActivePeople();
+
+  if (!currentCategoryId) {
+    list.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("favorites.noTypeSelected"))}</p>`;
+    return;
+  }
+
+  if (activePeople.length === 0) {
+    list.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("people.noneYetAddBelow"))}</p>`;
+    return;
+  }
+
+  activePeople.forEach((person) => {
+    list.appendChild(buildFavoriteRow(currentCategoryId, person.id, buildPersonLabel(person)));
+  });
+}
+
+function buildPersonLabel(person) {
+  const label = document.createElement("div");
+  label.className = "favorite-row-label";
+  label.innerHTML =
+    `<button type="button" class="favorite-row-name" title="${escapeHtml(t("timeline.open", { name: person.name }))}">` +
+    `<span>${escapeHtml(person.name)}</span></button>`;
+  label.querySelector("button").addEventListener("click", () => openTimelineModal(person.id));
+  return label;
+}
+
+// One editable cell: a label plus the ranked entries for categoryId × personId
+function buildFavoriteRow(categoryId, personId, label) {
+  const category = categories.find((c) => c.id === categoryId);
+  const person = people.find((p) => p.id === personId);
+  const multiple = allowsMultipleEntries(category);
+  const entries = getFavoriteEntries(categoryId, personId);
+  if (entries.length === 0) entries.push("");
+  const ranked = entries.length > 1;
+
+  const row = document.createElement("div");
+  row.className = ranked ? "favorite-row ranked" : "favorite-row";
+  if (isAvoidCategory(category)) row.classList.add("avoid");
+  row.setAttribute("data-category-id", categoryId);
+  row.setAttribute("data-person-id", personId);
+
+  const refreshEmptyState = () => {
+    row.classList.toggle("empty", getFilledFavoriteEntries(categoryId, personId).length === 0);
+  };
+  refreshEmptyState();
+
+  const entryList = document.createElement("div");
+  entryList.className = "favorite-entries";
+
+  entries.forEach((value, idx) => {
+    const entry = document.createElement("div");
+    entry.className = "favorite-entry";
+
+    if (ranked) {
+      const rank = document.createElement("span");
+      rank.className = "favorite-entry-rank";
+      rank.textContent = String(idx + 1);
+      entry.appendChild(rank);
+    }
+
+    const input = buildFieldInput(category, value, (newValue, typing) => {
+      entries[idx] = newValue;
+      updateFavorite(categoryId, personId, entries, { typing, inPlace: true });
+      refreshEmptyState();
+    });
+    input.classList.add("favorite-row-input");
+    input.setAttribute("aria-label", getFavoriteInputLabel(person, category, ranked ? idx + 1 : 0));
+    if (isAvoidCategory(category)) {
+      input.placeholder = idx === 0 ? t("favorite.placeholder.avoid") : t("favorite.placeholder.avoidMore");
+    } else {
+      input.placeholder = idx === 0 ? t("favorite.placeholder") : t("favorite.placeholder.more");
+    }
+
+    entry.appendChild(input);
+
+    const link = buildFieldLink(category, value);
+    if (link) entry.appendChild(link);
+
+    if (ranked && !isReadOnly()) {
+      entry.appendChild(
+        buildEntryButton("↑", t("favorite.moveUp"), idx === 0, () =>
+          moveFavoriteEntry(categoryId, personId, idx, -1)
+        )
+      );
+      entry.appendChild(
+        buildEntryButton("↓", t("favorite.moveDown"), idx === entries.length - 1, () =>
+          moveFavoriteEntry(categoryId, personId, idx, 1)
+        )
+      );
+      entry.appendChild(
+        buildEntryButton("✕", t("common.remove"), false, () =>
+          removeFavoriteEntry(categoryId, personId, idx)
+        )
+      );
+    }
+
+    entryList.appendChild(entry);
+  });
+
+  row.appendChild(label);
+  row.appendChild(entryList);
+
+  // Ratings, yes/no and dates hold a single value
+  if (!isReadOnly() && multiple) {
+    const addBtn = buildEntryButton("+", t("favorite.addAnother"), false, () =>
+      addFavoriteEntry(categoryId, personId)
+    );
+    addBtn.classList.add("favorite-add-entry");
+    row.appendChild(addBtn);
+  }
+  return row;
+}
+
+// Screen readers hear whose favorite a field holds, e.g. "Mia – Candy, #2"
+function getFavoriteInputLabel(person, category, rank) {
+  const params = {
+    person: person ? person.name : t("undo.someone"),
+    category: category ? category.name : t("undo.favorite"),
+    rank
+  };
+  return t(rank ? "favorite.inputLabelRanked" : "favorite.inputLabel", params);
+}
+
+function buildEntryButton(text, title, disabled, onClick) {
+  const btn = document.createElement("button");
+  btn.className = "entry-btn";
+  btn.type = "button";
+  btn.textContent = text;
+  btn.title = title;
+  btn.disabled = disabled;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// entries: ordered list of strings, best first
+// options.typing: keystrokes in the same cell collapse into one undo step
+// options.inPlace: the edit came from the cell itself, so nothing redraws
+function updateFavorite(categoryId, personId, entries, options) {
+  if (isReadOnly()) return;
+  const before = snapshotFavorite(categoryId, personId);
+
+  if (!favorites[categoryId]) {
+    favorites[categoryId] = {};
+  }
+  favorites[categoryId][personId] = toFavoriteEntries(entries);
+  dataStore.batch(() => {
+    saveFavorites();
+    recordFavoriteHistory(categoryId, personId, before, entries);
+  }, options && options.inPlace ? "cell" : "ui");
+
+  const person = people.find((p) => p.id === personId);
+  const category = categories.find((c) => c.id === categoryId);
+  recordUndoStep(
+    t("undo.editFavorite", {
+      person: person ? person.name : t("undo.someone"),
+      category: category ? category.name : t("undo.favorite")
+    }),
+    [{ target: "favorite", categoryId, personId, before, after: snapshotFavorite(categoryId, personId) }],
+    options && options.typing ? { coalesceKey: `favorite:${categoryId}:${personId}` } : null
+  );
+}
+
+function focusFavoriteEntry(categoryId, personId, idx) {
+  const row = document.querySelector(
+    `.favorite-row[data-category-id="${categoryId}"][data-person-id="${personId}"]`
+  );
+  if (!row) return;
+  const inputs = row.querySelectorAll(".favorite-row-input");
+  const input = inputs[Math.min(idx, inputs.length - 1)];
+  if (input) input.focus();
+}
+
+function addFavoriteEntry(categoryId, personId) {
+  const entries = getFavoriteEntries(categoryId, personId);
+  if (entries.length === 0) entries.push("");
+  entries.push("");
+  updateFavorite(categoryId, personId, entries);
+  focusFavoriteEntry(categoryId, personId, entries.length - 1);
+}
+
+function removeFavoriteEntry(categoryId, personId, idx) {
+  const entries = getFavoriteEntries(categoryId, personId);
+  entries.splice(idx, 1);
+  updateFavorite(categoryId, personId, entries);
+  focusFavoriteEntry(categoryId, personId, Math.max(0, idx - 1));
+}
+
+function moveFavoriteEntry(categoryId, personId, idx, delta) {
+  const entries = getFavoriteEntries(categoryId, personId);
+  const target = idx + delta;
+  if (target < 0 || target >= entries.length) return;
+  const moved = entries.splice(idx, 1)[0];
+  entries.splice(target, 0, moved);
+  updateFavorite(categoryId, personId, entries);
+  focusFavoriteEntry(categoryId, personId, target);
+}
+
+/* ---------- Rendering: Person Profile View ---------- */
+
+function renderPersonSelect() {
+  const select = document.getElementById("personSelect");
+  if (!select) return;
+
+  const activePeople = getActivePeople();
+  select.innerHTML = "";
+
+  if (activePeople.length === 0) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = t("people.noneYet");
+    select.appendChild(opt);
+    select.disabled = true;
+    currentPersonId = null;
+    return;
+  }
+
+  select.disabled = false;
+
+  activePeople.forEach((person) => {
+    const opt = document.createElement("option");
+    opt.value = person.id;
+    opt.textContent = person.name;
+    select.appendChild(opt);
+  });
+
+  if (!currentPersonId || !activePeople.some((p) => p.id === currentPersonId)) {
+    currentPersonId = activePeople[0].id;
+  }
+
+  select.value = currentPersonId;
+}
+
+// All active categories for the selected person on one card
+function renderPersonProfile(list) {
+  const hint = document.getElementById("categoryHint");
+  renderPersonSelect();
+
+  const person = people.find((p) => p.id === currentPersonId);
+  if (!person) {
+    if (hint) hint.textContent = t("profileView.addPerson");
+    list.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("people.noneYetAddBelow"))}</p>`;
+    return;
+  }
+
+  const activeCats = getActiveCategories();
+  if (activeCats.length === 0) {
+    if (hint) hint.textContent = t("category.addToBegin");
+    list.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("category.noneYetLong"))}</p>`;
+    return;
+  }
+
+  const updateHint = () => {
+    if (!hint) return;
+    const stillToAsk = activeCats.filter(
+      (cat) => getFilledFavoriteEntries(cat.id, person.id).length === 0
+    ).length;
+    hint.textContent =
+      stillToAsk > 0
+        ? t("profileView.hint.stillToAsk", { name: person.name, count: stillToAsk })
+        : t("profileView.hint.allFilled", { name: person.name });
+  };
+  updateHint();
+
+  const card = document.createElement("div");
+  card.className = "person-profile";
+  card.addEventListener("input", updateHint);
+
+  const header = document.createElement("div");
+  header.className = "person-profile-header";
+  header.innerHTML =
+    `<span class="person-profile-name">${escapeHtml(person.name)}</span>` +
+    `<button type="button" class="small-btn secondary-btn">${escapeHtml(t("profileView.history"))}</button>`;
+  header.querySelector("button").addEventListener("click", () => openTimelineModal(person.id));
+  card.appendChild(header);
+
+  activeCats.forEach((cat) => {
+    const label = document.createElement("div");
+    label.className = "favorite-row-label";
+    label.innerHTML =
+      `<span>${escapeHtml(cat.name)}</span>` +
+      buildFieldTypeBadge(cat) +
+      `<span class="still-to-ask-tag">${escapeHtml(t("profileView.stillToAskTag"))}</span>`;
+    card.appendChild(buildFavoriteRow(cat.id, person.id, label));
+  });
+
+  list.appendChild(card);
+}
+
+function setViewMode(mode) {
+  currentViewMode = ["person", "grid"].includes(mode) ? mode : "category";
+
+  const categoryWrapper = document.getElementById("categorySelectWrapper");
+  const personWrapper = document.getElementById("personSelectWrapper");
+  if (categoryWrapper) categoryWrapper.hidden = currentViewMode !== "category";
+  if (personWrapper) personWrapper.hidden = currentViewMode !== "person";
+
+  document.querySelectorAll(".view-toggle-btn").forEach((btn) => {
+    const active = btn.getAttribute("data-view") === currentViewMode;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", active ? "true" : "false");
+  });
+
+  renderCategorySelect();
+}
+
+function setupViewToggle() {
+  document.querySelectorAll(".view-toggle-btn").forEach((btn) => {
+    btn.addEventListener("click", () => setViewMode(btn.getAttribute("data-view")));
+  });
+
+  const personSelect = document.getElementById("personSelect");
+  if (personSelect) {
+    personSelect.addEventListener("change", function () {
+      currentPersonId = personSelect.value || null;
+      renderFavoritesList();
+    });
+  }
+}
+
+/* ---------- Rendering: Grid View (people × categories) ---------- */
+
+function renderFavoritesGrid(list) {
+  const hint = document.getElementById("categoryHint");
+  const showArchived = !!settings.gridShowArchived;
+  const gridPeople = showArchived ? sortPeople(people) : getActivePeople();
+  const gridCategories = showArchived ? sortCategories(categories) : getActiveCategories();
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "grid-toolbar";
+  toolbar.innerHTML =
+    '<label class="inline-toggle">' +
+    `<input id="gridArchivedToggle" type="checkbox"${showArchived ? " checked" : ""} /> ` +
+    `${escapeHtml(t("grid.includeArchived"))}</label>`;
+  toolbar.querySelector("input").addEventListener("change", (e) => {
+    settings.gridShowArchived = e.target.checked;
+    saveSettings();
+    renderFavoritesList();
+  });
+  list.appendChild(toolbar);
+
+  if (gridPeople.length === 0 || gridCategories.length === 0) {
+    if (hint) hint.textContent = t("grid.empty.hint");
+    list.insertAdjacentHTML(
+      "beforeend",
+      `<p class="widget-footer-text">${escapeHtml(t("grid.empty"))}</p>`
+    );
+    return;
+  }
+
+  if (hint) {
+    hint.textContent = t("grid.hint", {
+      people: t("count.people", { count: gridPeople.length }),
+      types: t("count.types", { count: gridCategories.length })
+    });
+  }
+
+  const table = document.createElement("table");
+  table.className = "favorites-grid";
+
+  let headHtml = `<thead><tr><th class="grid-corner" scope="col">${escapeHtml(t("grid.corner"))}</th>`;
+  gridPeople.forEach((person) => {
+    headHtml +=
+      `<th scope="col" class="grid-person${person.archived ? " archived" : ""}">` +
+      `${escapeHtml(person.name)}</th>`;
+  });
+  headHtml += "</tr></thead>";
+  table.innerHTML = headHtml;
+
+  const body = document.createElement("tbody");
+  gridCategories.forEach((cat, rowIdx) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML =
+      `<th scope="row" class="grid-category${cat.archived ? " archived" : ""}">` +
+      `${escapeHtml(cat.name)}${buildFieldTypeBadge(cat)}</th>`;
+
+    gridPeople.forEach((person, colIdx) => {
+      tr.appendChild(buildGridCell(cat, person, rowIdx, colIdx));
+    });
+
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+
+  table.addEventListener("keydown", handleGridKeydown);
+
+  const scroller = document.createElement("div");
+  scroller.className = "favorites-grid-scroll";
+  scroller.appendChild(table);
+  list.appendChild(scroller);
+}
+
+// Grid cells edit the #1 entry; further ranked entries are listed as a hint
+function buildGridCell(cat, person, rowIdx, colIdx) {
+  const td = document.createElement("td");
+  if (cat.archived || person.archived) td.className = "archived";
+  if (isAvoidCategory(cat)) td.classList.add("avoid");
+
+  const entries = getFavoriteEntries(cat.id, person.id);
+
+  const input = buildFieldInput(cat, entries[0] || "", (value, typing) => {
+    const current = getFavoriteEntries(cat.id, person.id);
+    current[0] = value;
+    updateFavorite(cat.id, person.id, current, { typing, inPlace: true });
+  });
+  input.classList.add("grid-cell-input");
+  input.setAttribute("data-row", String(rowIdx));
+  input.setAttribute("data-col", String(colIdx));
+  input.setAttribute("data-category-id", cat.id);
+  input.setAttribute("data-person-id", person.id);
+  input.setAttribute("aria-label", getFavoriteInputLabel(person, cat, 0));
+
+  td.appendChild(input);
+
+  const more = cleanFavoriteEntries(entries.slice(1));
+  if (more.length > 0) {
+    const note = document.createElement("div");
+    note.className = "grid-cell-more";
+    note.textContent = t("grid.more", { count: more.length });
+    note.title = more.map((v, i) => `${i + 2}. ${formatFieldValue(cat, v)}`).join("\n");
+    td.appendChild(note);
+  }
+
+  return td;
+}
+
+function focusGridCell(table, row, col) {
+  const target = table.querySelector(`.grid-cell-input[data-row="${row}"][data-col="${col}"]`);
+  if (!target) return false;
+  target.focus();
+  if (typeof target.select === "function") target.select();
+  return true;
+}
+
+// Arrow keys move between cells (left/right only at the edge of the text),
+// Enter moves down and Shift+Enter moves up, like a spreadsheet.
+function handleGridKeydown(e) {
+  const input = e.target;
+  if (!input.classList || !input.classList.contains("grid-cell-input")) return;
+
+  const row = Number(input.getAttribute("data-row"));
+  const col = Number(input.getAttribute("data-col"));
+  // Selects and date pickers have no caret: arrows always leave the cell
+  const hasCaret = typeof input.selectionStart === "number";
+  const atStart = !hasCaret || (input.selectionStart === 0 && input.selectionEnd === 0);
+  const atEnd = !hasCaret || input.selectionStart === input.value.length;
+
+  let target = null;
+  if (e.key === "ArrowUp" || (e.key === "Enter" && e.shiftKey)) target = [row - 1, col];
+  else if (e.key === "ArrowDown" || e.key === "Enter") target = [row + 1, col];
+  else if (e.key === "ArrowLeft" && atStart) target = [row, col - 1];
+  else if (e.key === "ArrowRight" && atEnd) target = [row, col + 1];
+  if (!target) return;
+
+  if (focusGridCell(e.currentTarget, target[0], target[1]) || e.key === "Enter") {
+    e.preventDefault();
+  }
+}
+
+/* ---------- Search & Filter ---------- */
+
+function isSearchActive() {
+  return searchState.query.trim().length > 0 || searchState.onlyEmpty;
+}
+
+function textMatches(text, query) {
+  return String(text).toLowerCase().indexOf(query) !== -1;
+}
+
+// Looks at every person × category cell once. A cell matches when the query
+// appears in the person's name, the category's name or any favorite entry.
+function searchFavorites(state) {
+  const query = state.query.trim().toLowerCase();
+  const scopePeople = state.includeArchived ? sortPeople(people) : getActivePeople();
+  const scopeCategories = state.includeArchived ? sortCategories(categories) : getActiveCategories();
+  const results = [];
+
+  scopeCategories.forEach((cat) => {
+    const categoryHit = query && textMatches(cat.name, query);
+    scopePeople.forEach((person) => {
+      const entries = getFilledFavoriteEntries(cat.id, person.id);
+      if (state.onlyEmpty && entries.length > 0) return;
+
+      const personHit = query && textMatches(person.name, query);
+      const valueHit = query && entries.some((v) => textMatches(v, query));
+      if (query && !categoryHit && !personHit && !valueHit) return;
+
+      results.push({ category: cat, person, entries });
+    });
+  });
+
+  return results;
+}
+
+// Escapes text and wraps each occurrence of query in <mark>
+function highlightMatch(text, query) {
+  const raw = String(text == null ? "" : text);
+  const q = query.trim().toLowerCase();
+  if (!q) return escapeHtml(raw);
+
+  const lower = raw.toLowerCase();
+  let html = "";
+  let pos = 0;
+  let idx = lower.indexOf(q);
+  while (idx !== -1) {
+    html += escapeHtml(raw.slice(pos, idx));
+    html += `<mark>${escapeHtml(raw.slice(idx, idx + q.length))}</mark>`;
+    pos = idx + q.length;
+    idx = lower.indexOf(q, pos);
+  }
+  return html + escapeHtml(raw.slice(pos));
+}
+
+function renderSearchResults() {
+  const container = document.getElementById("searchResults");
+  const list = document.getElementById("favoritesList");
+  const hint = document.getElementById("categoryHint");
+  if (!container || !list) return;
+
+  if (!isSearchActive()) {
+    container.hidden = true;
+    container.innerHTML = "";
+    list.hidden = false;
+    renderCategorySelect();
+    return;
+  }
+
+  container.hidden = false;
+  list.hidden = true;
+
+  const query = searchState.query;
+  const results = searchFavorites(searchState);
+
+  if (hint) {
+    hint.textContent = query.trim()
+      ? t("search.hint.query", { count: results.length, query: query.trim() })
+      : t("search.hint.empty", { count: results.length });
+  }
+
+  if (results.length === 0) {
+    container.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("search.noMatches"))}</p>`;
+    return;
+  }
+
+  const byPerson = searchState.groupBy === "person";
+  const groups = [];
+  const groupIndex = {};
+  results.forEach((result) => {
+    const owner = byPerson ? result.person : result.category;
+    if (groupIndex[owner.id] === undefined) {
+      groupIndex[owner.id] = groups.length;
+      groups.push({ owner, results: [] });
+    }
+    groups[groupIndex[owner.id]].results.push(result);
+  });
+
+  // Groups follow the same order as the people / type lists
+  const order = byPerson ? sortPeople(people) : sortCategories(categories);
+  groups.sort((a, b) => order.indexOf(a.owner) - order.indexOf(b.owner));
+
+  container.innerHTML = groups
+    .map((group) => {
+      const items = group.results
+        .map((result) => {
+          const other = byPerson ? result.category : result.person;
+          const value =
+            result.entries.length > 0
+              ? highlightMatch(formatCategoryEntries(result.category, result.entries), query)
+              : `<span class="search-result-empty">${escapeHtml(t("search.stillEmpty"))}</span>`;
+          return `
+            <button type="button" class="search-result${other.archived ? " archived" : ""}"
+              data-category-id="${escapeHtml(result.category.id)}"
+              data-person-id="${escapeHtml(result.person.id)}">
+              <span class="search-result-label">${highlightMatch(other.name, query)}</span>
+              <span class="search-result-value">${value}</span>
+            </button>
+          `;
+        })
+        .join("");
+
+      return `
+        <div class="search-group">
+          <div class="search-group-title${group.owner.archived ? " archived" : ""}">
+            ${highlightMatch(group.owner.name, query)}
+            ${group.owner.archived ? `<span class="manage-status">${escapeHtml(t("common.archivedTag"))}</span>` : ""}
+          </div>
+          ${items}
+        </div>
+      `;
+    })
+    .join("");
+
+  container.querySelectorAll(".search-result").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      jumpToCell(btn.getAttribute("data-category-id"), btn.getAttribute("data-person-id"));
+    });
+  });
+}
+
+function clearSearch() {
+  const input = document.getElementById("searchInput");
+  searchState.query = "";
+  searchState.onlyEmpty = false;
+  if (input) input.value = "";
+  const onlyEmpty = document.getElementById("searchOnlyEmpty");
+  if (onlyEmpty) onlyEmpty.checked = false;
+  renderSearchResults();
+}
+
+// Leaves search and focuses the cell: in the type view when both sides are
+// active, otherwise in the grid with archived entries shown
+function jumpToCell(categoryId, personId) {
+  const cat = categories.find((c) => c.id === categoryId);
+  const person = people.find((p) => p.id === personId);
+  if (!cat || !person) return;
+
+  clearSearch();
+
+  if (!cat.archived && !person.archived) {
+    currentCategoryId = categoryId;
+    setViewMode("category");
+    focusFavoriteEntry(categoryId, personId, 0);
+    return;
+  }
+
+  settings.gridShowArchived = true;
+  saveSettings();
+  setViewMode("grid");
+  const cell = document.querySelector(
+    `.grid-cell-input[data-category-id="${categoryId}"][data-person-id="${personId}"]`
+  );
+  if (cell) cell.focus();
+}
+
+function setupSearch() {
+  const area = document.getElementById("searchArea");
+  const input = document.getElementById("searchInput");
+  const filters = document.getElementById("searchFilters");
+  const groupBy = document.getElementById("searchGroupBy");
+  const includeArchived = document.getElementById("searchIncludeArchived");
+  const onlyEmpty = document.getElementById("searchOnlyEmpty");
+  if (!area || !input || !filters) return;
+
+  const updateFiltersVisibility = () => {
+    filters.hidden = !isSearchActive() && !area.contains(document.activeElement);
+  };
+
+  input.addEventListener("input", () => {
+    searchState.query = input.value;
+    renderSearchResults();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      clearSearch();
+      updateFiltersVisibility();
+    }
+  });
+
+  if (groupBy) {
+    groupBy.addEventListener("change", () => {
+      searchState.groupBy = groupBy.value === "category" ? "category" : "person";
+      renderSearchResults();
+    });
+  }
+
+  if (includeArchived) {
+    includeArchived.addEventListener("change", () => {
+      searchState.includeArchived = includeArchived.checked;
+      renderSearchResults();
+    });
+  }
+
+  if (onlyEmpty) {
+    onlyEmpty.addEventListener("change", () => {
+      searchState.onlyEmpty = onlyEmpty.checked;
+      renderSearchResults();
+    });
+  }
+
+  area.addEventListener("focusin", updateFiltersVisibility);
+  area.addEventListener("focusout", () => setTimeout(updateFiltersVisibility, 0));
+}
+
+/* ---------- Add Person (main + settings) ---------- */
+
+function handleAddPersonFromMain() {
+  const input = document.getElementById("newPersonInput");
+  if (!input) return;
+
+  const name = input.value.trim();
+  if (!name) {
+    showToast(t("people.enterName"));
+    return;
+  }
+
+  addPerson(name);
+  input.value = "";
+}
+
+function handleAddPersonFromSettings() {
+  const input = document.getElementById("settingsNewPersonInput");
+  if (!input) return;
+
+  const name = input.value.trim();
+  if (!name) {
+    showToast(t("people.enterName"));
+    return;
+  }
+
+  addPerson(name);
+  input.value = "";
+}
+
+function addPerson(name) {
+  const id = generateId("person_");
+  people.push({ id, name, archived: false });
+  savePeople();
+  recordUndoStep(t("undo.addPerson", { name }), [
+    { target: "person", id, before: null, after: snapshotPerson(id) }
+  ]);
+  showUndoToast(t("people.added", { name }));
+}
+
+/* ---------- Add Category (settings) ---------- */
+
+function handleAddCategoryFromSettings() {
+  const input = document.getElementById("settingsNewCategoryInput");
+  if (!input) return;
+
+  const name = input.value.trim();
+  if (!name) {
+    showToast(t("category.enterName"));
+    return;
+  }
+
+  const typeSelect = document.getElementById("settingsNewCategoryType");
+  const avoidToggle = document.getElementById("settingsNewCategoryAvoid");
+  const groupSelect = document.getElementById("settingsNewCategoryGroup");
+  addCategory(name, {
+    type: typeSelect ? typeSelect.value : "text",
+    avoid: !!(avoidToggle && avoidToggle.checked),
+    groupId: groupSelect ? groupSelect.value : ""
+  });
+  input.value = "";
+  if (typeSelect) typeSelect.value = "text";
+  if (avoidToggle) avoidToggle.checked = false;
+}
+
+// `options`: { type, avoid, groupId } — see Field Types and Category Groups
+function addCategory(name, options) {
+  const id = generateId("cat_");
+  const category = { id, name, archived: false };
+  const type = options && FIELD_TYPES[options.type] ? options.type : "text";
+  if (type !== "text") category.type = type;
+  if (options && options.avoid) category.avoid = true;
+  if (options && options.groupId && categoryGroups.some((g) => g.id === options.groupId)) {
+    category.groupId = options.groupId;
+  }
+  categories.push(category);
+  saveCategories();
+  recordUndoStep(t("undo.addCategory", { name }), [
+    { target: "category", id, before: null, after: snapshotCategory(id) }
+  ]);
+  showUndoToast(t("category.added", { name }));
+}
+
+/* ---------- Ordering, Sort Modes & Rename ---------- */
+
+// The people and categories arrays are the manual order. Sort modes only
+// change how the views list them; the settings lists always show the
+// manual order so it can be arranged. Groups are always in manual order.
+// `key` is the store section the kind lives in.
+const RECORD_KINDS = {
+  person: { key: "people", list: () => people, save: () => savePeople(), sortSetting: "peopleSort" },
+  category: {
+    key: "categories",
+    list: () => categories,
+    save: () => saveCategories(),
+    sortSetting: "categorySort"
+  },
+  group: {
+    key: "categoryGroups",
+    list: () => categoryGroups,
+    save: () => saveCategoryGroups(),
+    sortSetting: null
+  }
+};
+
+// Counts against raw lists: the getActive* helpers sort through here
+function countFilled(kind, id) {
+  if (kind === "person") {
+    return categories.filter((c) => !c.archived && getFilledFavoriteEntries(c.id, id).length > 0)
+      .length;
+  }
+  return people.filter((p) => !p.archived && getFilledFavoriteEntries(id, p.id).length > 0).length;
+}
+
+function getBirthDate(person) {
+  const birthday = getBirthday(person);
+  return birthday && birthday.date ? birthday.date : null;
+}
+
+// Returns `list` in the chosen sort mode; ties keep the manual order.
+function sortRecords(kind, list) {
+  const mode = settings[RECORD_KINDS[kind].sortSetting] || "manual";
+  if (mode === "manual") return list;
+
+  const order = new Map(RECORD_KINDS[kind].list().map((r, idx) => [r.id, idx]));
+  const byManual = (a, b) => order.get(a.id) - order.get(b.id);
+  let compare = byManual;
+
+  if (mode === "alpha") {
+    compare = (a, b) =>
+      a.name.localeCompare(b.name, getLocale(), { sensitivity: "base" }) || byManual(a, b);
+  } else if (mode === "filled") {
+    const counts = new Map(list.map((r) => [r.id, countFilled(kind, r.id)]));
+    compare = (a, b) => counts.get(b.id) - counts.get(a.id) || byManual(a, b);
+  } else if (mode === "age" && kind === "person") {
+    // Oldest first; people without a birthday go last
+    compare = (a, b) => {
+      const x = getBirthDate(a);
+      const y = getBirthDate(b);
+      if (x && y && x !== y) return x < y ? -1 : 1;
+      if (x && !y) return -1;
+      if (!x && y) return 1;
+      return byManual(a, b);
+    };
+  }
+
+  return list.slice().sort(compare);
+}
+
+function sortPeople(list) {
+  return sortRecords("person", list);
+}
+
+function sortCategories(list) {
+  return sortRecords("category", list);
+}
+
+function moveRecord(kind, id, toIndex) {
+  if (isReadOnly()) return false;
+  const list = RECORD_KINDS[kind].list();
+  const from = list.findIndex((r) => r.id === id);
+  const target = Math.max(0, Math.min(list.length - 1, toIndex));
+  if (from < 0 || from === target) return false;
+
+  const before = snapshotRecord(list, id);
+  const record = list.splice(from, 1)[0];
+  list.splice(target, 0, record);
+  RECORD_KINDS[kind].save();
+  recordUndoStep(t("undo.move", { name: record.name }), [
+    { target: kind, id, before, after: snapshotRecord(list, id) }
+  ]);
+  return true;
+}
+
+function renameRecord(kind, id, name) {
+  if (isReadOnly()) return false;
+  const list = RECORD_KINDS[kind].list();
+  const record = list.find((r) => r.id === id);
+  const newName = name.trim();
+  if (!record || !newName || newName === record.name) return false;
+
+  const oldName = record.name;
+  const before = snapshotRecord(list, id);
+  record.name = newName;
+  RECORD_KINDS[kind].save();
+  recordUndoStep(t("undo.rename", { oldName, newName }), [
+    { target: kind, id, before, after: snapshotRecord(list, id) }
+  ]);
+  showUndoToast(t("rename.done", { oldName, newName }));
+  return true;
+}
+
+// Manage-row controls shared by people and categories: the name doubles as
+// a rename button, and ↑ ↓ move the row for keyboard users.
+function buildManageNameHtml(record) {
+  return (
+    `<button type="button" class="manage-name manage-name-btn" data-action="rename" ` +
+    `data-id="${escapeHtml(record.id)}" title="${escapeHtml(t("rename.title"))}">${escapeHtml(record.name)}</button>`
+  );
+}
+
+function buildMoveButtonsHtml(record, idx, count) {
+  const name = record.name;
+  return (
+    `<button type="button" class="entry-btn" data-action="moveUp" data-id="${escapeHtml(record.id)}" ` +
+    `aria-label="${escapeHtml(t("manage.moveUpLabel", { name }))}" title="${escapeHtml(t("favorite.moveUp"))}"` +
+    `${idx === 0 ? " disabled" : ""}>↑</button>` +
+    `<button type="button" class="entry-btn" data-action="moveDown" data-id="${escapeHtml(record.id)}" ` +
+    `aria-label="${escapeHtml(t("manage.moveDownLabel", { name }))}" title="${escapeHtml(t("favorite.moveDown"))}"` +
+    `${idx === count - 1 ? " disabled" : ""}>↓</button>`
+  );
+}
+
+function startInlineRename(kind, button) {
+  const id = button.getAttribute("data-id");
+  const record = RECORD_KINDS[kind].list().find((r) => r.id === id);
+  if (!record || isReadOnly()) return;
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "add-input manage-rename-input";
+  input.value = record.name;
+  input.setAttribute("aria-label", t("rename.label", { name: record.name }));
+  button.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    // Nothing saved, so put the name button back by hand
+    if (!save || !renameRecord(kind, id, input.value)) renderStoreViews([RECORD_KINDS[kind].key]);
+  };
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      finish(false);
+    }
+  });
+  input.addEventListener("blur", () => finish(true));
+}
+
+// Handles the rename and move buttons of a freshly rendered manage list.
+function wireManageRowControls(container, kind) {
+  container.querySelectorAll('button[data-action="rename"]').forEach((btn) => {
+    btn.addEventListener("click", () => startInlineRename(kind, btn));
+  });
+
+  container.querySelectorAll('button[data-action="moveUp"], button[data-action="moveDown"]').forEach(
+    (btn) => {
+      btn.addEventListener("click", () => {
+        const id = btn.getAttribute("data-id");
+        const up = btn.getAttribute("data-action") === "moveUp";
+        const list = RECORD_KINDS[kind].list();
+        const idx = list.findIndex((r) => r.id === id);
+        if (!moveRecord(kind, id, idx + (up ? -1 : 1))) return;
+
+        // Keep focus on the moved row; fall back to the other arrow at an end
+        const selector = (action) => `button[data-action="${action}"][data-id="${id}"]`;
+        const again =
+          container.querySelector(selector(up ? "moveUp" : "moveDown") + ":not(:disabled)") ||
+          container.querySelector(selector(up ? "moveDown" : "moveUp"));
+        if (again) again.focus();
+      });
+    }
+  );
+}
+
+// Drag-and-drop for a manage list; the listeners live on the container so
+// they survive re-renders.
+function setupManageListDragging(containerId, kind) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  let draggedId = null;
+
+  const clearMarks = () => {
+    container.querySelectorAll(".drop-before, .drop-after, .dragging").forEach((row) => {
+      row.classList.remove("drop-before", "drop-after", "dragging");
+    });
+  };
+  const dropPosition = (row, e) => {
+    const rect = row.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2 ? "after" : "before";
+  };
+
+  container.addEventListener("dragstart", (e) => {
+    const row = e.target.closest && e.target.closest(".manage-row[data-id]");
+    if (!row || isReadOnly()) return;
+    draggedId = row.getAttribute("data-id");
+    row.classList.add("dragging");
+    if (e.dataTransfer) {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", draggedId);
+    }
+  });
+
+  container.addEventListener("dragover", (e) => {
+    const row = e.target.closest && e.target.closest(".manage-row[data-id]");
+    if (!draggedId || !row) return;
+    e.preventDefault();
+    container.querySelectorAll(".drop-before, .drop-after").forEach((r) => {
+      r.classList.remove("drop-before", "drop-after");
+    });
+    row.classList.add(dropPosition(row, e) === "after" ? "drop-after" : "drop-before");
+  });
+
+  container.addEventListener("drop", (e) => {
+    const row = e.target.closest && e.target.closest(".manage-row[data-id]");
+    if (!draggedId || !row) return;
+    e.preventDefault();
+
+    const list = RECORD_KINDS[kind].list();
+    const from = list.findIndex((r) => r.id === draggedId);
+    let to = list.findIndex((r) => r.id === row.getAttribute("data-id"));
+    if (dropPosition(row, e) === "after") to++;
+    if (from < to) to--;
+
+    const id = draggedId;
+    draggedId = null;
+    clearMarks();
+    moveRecord(kind, id, to);
+  });
+
+  container.addEventListener("dragend", () => {
+    draggedId = null;
+    clearMarks();
+  });
+}
+
+function setupSortSelects() {
+  [
+    ["peopleSortSelect", "peopleSort"],
+    ["categorySortSelect", "categorySort"]
+  ].forEach(([id, key]) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    select.value = settings[key] || "manual";
+    select.addEventListener("change", () => {
+      settings[key] = select.value;
+      saveSettings();
+      renderAll();
+      if (isSearchActive()) renderSearchResults();
+    });
+  });
+}
+
+/* ---------- Manage People (archive / restore / delete) ---------- */
+
+function renderPeopleManageList() {
+  const container = document.getElementById("peopleList");
+  if (!container) return;
+
+  if (people.length === 0) {
+    container.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("people.noneYetLong"))}</p>`;
+    return;
+  }
+
+  let html = "";
+  people.forEach((p, idx) => {
+    html += `
+      <div class="manage-row" draggable="true" data-id="${escapeHtml(p.id)}">
+        <div>
+          ${buildManageNameHtml(p)}
+          <div class="manage-status">${escapeHtml(p.archived ? t("manage.archived") : t("manage.active"))}</div>
+        </div>
+        <div class="manage-actions">
+          ${buildMoveButtonsHtml(p, idx, people.length)}
+          <button class="small-btn secondary-btn" data-action="openOccasions" data-id="${p.id}">${escapeHtml(t("manage.dates"))}</button>
+          ${
+            p.archived
+              ? `<button class="small-btn" data-action="restorePerson" data-id="${p.id}">${escapeHtml(t("common.restore"))}</button>`
+              : `<button class="small-btn secondary-btn" data-action="archivePerson" data-id="${p.id}">${escapeHtml(t("common.archive"))}</button>`
+          }
+          <button class="small-btn secondary-btn" data-action="deletePerson" data-id="${p.id}">${escapeHtml(t("common.delete"))}</button>
+        </div>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html;
+
+  wireManageRowControls(container, "person");
+  container.querySelectorAll("button[data-action]").forEach((btn) => {
+    const action = btn.getAttribute("data-action");
+    const id = btn.getAttribute("data-id");
+    btn.addEventListener("click", function () {
+      if (action === "archivePerson") archivePerson(id);
+      if (action === "restorePerson") restorePerson(id);
+      if (action === "deletePerson") deletePerson(id);
+      if (action === "openOccasions") openOccasionsModal(id);
+    });
+  });
+}
+
+function archivePerson(id) {
+  const person = people.find((p) => p.id === id);
+  if (!person) return;
+  const before = snapshotPerson(id);
+  person.archived = true;
+  savePeople();
+  recordUndoStep(t("undo.archivePerson", { name: person.name }), [
+    { target: "person", id, before, after: snapshotPerson(id) }
+  ]);
+  showUndoToast(t("people.archived", { name: person.name }));
+}
+
+function restorePerson(id) {
+  const person = people.find((p) => p.id === id);
+  if (!person) return;
+  const before = snapshotPerson(id);
+  person.archived = false;
+  savePeople();
+  recordUndoStep(t("undo.restorePerson", { name: person.name }), [
+    { target: "person", id, before, after: snapshotPerson(id) }
+  ]);
+  showUndoToast(t("people.restored", { name: person.name }));
+}
+
+function deletePerson(id) {
+  const person = people.find((p) => p.id === id);
+  if (!person) return;
+
+  const changes = [{ target: "person", id, before: snapshotPerson(id), after: null }].concat(
+    collectFavoriteRemovals((catId, personId) => personId === id)
+  );
+
+  people = people.filter((p) => p.id !== id);
+  // remove from favorites
+  Object.keys(favorites).forEach((catId) => {
+    if (favorites[catId] && favorites[catId][id] !== undefined) {
+      delete favorites[catId][id];
+    }
+  });
+  removeFavoriteHistoryWhere((catId, personId) => personId === id);
+  dataStore.batch(() => {
+    savePeople();
+    saveFavorites();
+    saveFavoriteHistory();
+  }, "ui");
+  recordUndoStep(t("undo.deletePerson", { name: person.name }), changes);
+  showUndoToast(t("people.deleted", { name: person.name }));
+}
+
+/* ---------- Manage Categories (archive / restore / delete) ---------- */
+
+function renderCategoriesManageList() {
+  const container = document.getElementById("categoriesList");
+  if (!container) return;
+
+  if (categories.length === 0) {
+    container.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("category.noneYetLong"))}</p>`;
+    return;
+  }
+
+  let html = "";
+  categories.forEach((c, idx) => {
+    html += `
+      <div class="manage-row" draggable="true" data-id="${escapeHtml(c.id)}">
+        <div>
+          ${buildManageNameHtml(c)}${buildFieldTypeBadge(c)}
+          <div class="manage-status">${escapeHtml(c.archived ? t("manage.archived") : t("manage.active"))}</div>
+        </div>
+        <div class="manage-actions">
+          ${buildGroupSelectHtml(c)}
+          ${buildMoveButtonsHtml(c, idx, categories.length)}
+          ${
+            c.archived
+              ? `<button class="small-btn" data-action="restoreCategory" data-id="${c.id}">${escapeHtml(t("common.restore"))}</button>`
+              : `<button class="small-btn secondary-btn" data-action="archiveCategory" data-id="${c.id}">${escapeHtml(t("common.archive"))}</button>`
+          }
+          <button class="small-btn secondary-btn" data-action="deleteCategory" data-id="${c.id}">${escapeHtml(t("common.delete"))}</button>
+        </div>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html;
+
+  wireManageRowControls(container, "category");
+  container.querySelectorAll('select[data-action="setGroup"]').forEach((select) => {
+    select.addEventListener("change", () => {
+      setCategoryGroup(select.getAttribute("data-id"), select.value);
+    });
+  });
+  container.querySelectorAll("button[data-action]").forEach((btn) => {
+    const action = btn.getAttribute("data-action");
+    const id = btn.getAttribute("data-id");
+    btn.addEventListener("click", function () {
+      if (action === "archiveCategory") archiveCategory(id);
+      if (action === "restoreCategory") restoreCategory(id);
+      if (action === "deleteCategory") deleteCategory(id);
+    });
+  });
+}
+
+function archiveCategory(id) {
+  const cat = categories.find((c) => c.id === id);
+  if (!cat) return;
+  const before = snapshotCategory(id);
+  cat.archived = true;
+  if (currentCategoryId === id) {
+    const activeCats = getActiveCategories();
+    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+  }
+  saveCategories();
+  recordUndoStep(t("undo.archiveCategory", { name: cat.name }), [
+    { target: "category", id, before, after: snapshotCategory(id) }
+  ]);
+  showUndoToast(t("category.archived", { name: cat.name }));
+}
+
+function restoreCategory(id) {
+  const cat = categories.find((c) => c.id === id);
+  if (!cat) return;
+  const before = snapshotCategory(id);
+  cat.archived = false;
+  saveCategories();
+  recordUndoStep(t("undo.restoreCategory", { name: cat.name }), [
+    { target: "category", id, before, after: snapshotCategory(id) }
+  ]);
+  showUndoToast(t("category.restored", { name: cat.name }));
+}
+
+function deleteCategory(id) {
+  const cat = categories.find((c) => c.id === id);
+  if (!cat) return;
+
+  const changes = [{ target: "category", id, before: snapshotCategory(id), after: null }].concat(
+    collectFavoriteRemovals((catId) => catId === id)
+  );
+
+  categories = categories.filter((c) => c.id !== id);
+  if (favorites[id]) {
+    delete favorites[id];
+  }
+  removeFavoriteHistoryWhere((catId) => catId === id);
+  if (currentCategoryId === id) {
+    const activeCats = getActiveCategories();
+    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+  }
+  dataStore.batch(() => {
+    saveCategories();
+    saveFavorites();
+    saveFavoriteHistory();
+  }, "ui");
+  recordUndoStep(t("undo.deleteCategory", { name: cat.name }), changes);
+  showUndoToast(t("category.deleted", { name: cat.name }));
+}
+
+/* ---------- Category Groups ---------- */
+
+// Favorite types may carry `groupId`. Archiving a group archives its
+// types in one step and lists them in the group's `archivedWithGroup`, so
+// restoring it brings back just those; types whose group is gone or
+// archived show as ungrouped.
+function getActiveGroups() {
+  return categoryGroups.filter((g) => !g.archived);
+}
+
+function getCategoryGroup(category) {
+  if (!category || !category.groupId) return null;
+  return getActiveGroups().find((g) => g.id === category.groupId) || null;
+}
+
+// Splits already-sorted categories into [{group, items}] in group order;
+// ungrouped types come last under `group: null`.
+function groupActiveCategories(list) {
+  const sections = getActiveGroups().map((group) => ({ group, items: [] }));
+  const ungrouped = { group: null, items: [] };
+  list.forEach((c) => {
+    const group = getCategoryGroup(c);
+    const section = group ? sections.find((s) => s.group.id === group.id) : ungrouped;
+    section.items.push(c);
+  });
+
+  const filled = sections.filter((s) => s.items.length > 0);
+  if (ungrouped.items.length > 0) {
+    // Only label the leftovers when there are real groups beside them
+    if (filled.length > 0) ungrouped.group = { id: "", name: t("group.other") };
+    filled.push(ungrouped);
+  }
+  return filled;
+}
+
+function buildGroupOptionsHtml(selectedId, emptyLabel) {
+  return (
+    `<option value="">${escapeHtml(emptyLabel)}</option>` +
+    getActiveGroups()
+      .map(
+        (g) =>
+          `<option value="${escapeHtml(g.id)}"${g.id === selectedId ? " selected" : ""}>` +
+          `${escapeHtml(g.name)}</option>`
+      )
+      .join("")
+  );
+}
+
+function buildGroupSelectHtml(category) {
+  if (getActiveGroups().length === 0) return "";
+  const group = getCategoryGroup(category);
+  return (
+    `<select class="settings-select" data-action="setGroup" data-id="${escapeHtml(category.id)}" ` +
+    `aria-label="${escapeHtml(t("group.selectLabel", { name: category.name }))}">` +
+    buildGroupOptionsHtml(group ? group.id : "", t("group.none")) +
+    `</select>`
+  );
+}
+
+function snapshotGroup(id) {
+  return snapshotRecord(categoryGroups, id);
+}
+
+function handleAddGroupFromSettings() {
+  const input = document.getElementById("settingsNewGroupInput");
+  if (!input) return;
+
+  const name = input.value.trim();
+  if (!name) {
+    showToast(t("group.enterName"));
+    return;
+  }
+  if (categoryGroups.some((g) => normalizeName(g.name) === normalizeName(name))) {
+    showToast(t("group.exists", { name }));
+    return;
+  }
+  addCategoryGroup(name);
+  input.value = "";
+}
+
+function addCategoryGroup(name) {
+  const id = generateId("grp_");
+  categoryGroups.push({ id, name, archived: false });
+  saveCategoryGroups();
+  recordUndoStep(t("undo.addGroup", { name }), [
+    { target: "group", id, before: null, after: snapshotGroup(id) }
+  ]);
+  showUndoToast(t("group.added", { name }));
+  return id;
+}
+
+function setCategoryGroup(categoryId, groupId) {
+  const cat = categories.find((c) => c.id === categoryId);
+  if (!cat || isReadOnly()) return;
+  const group = categoryGroups.find((g) => g.id === groupId) || null;
+  if ((cat.groupId || null) === (group ? group.id : null)) return;
+
+  const before = snapshotCategory(categoryId);
+  if (group) cat.groupId = group.id;
+  else delete cat.groupId;
+  saveCategories();
+  recordUndoStep(
+    group
+      ? t("undo.moveToGroup", { name: cat.name, group: group.name })
+      : t("undo.ungroup", { name: cat.name }),
+    [{ target: "category", id: categoryId, before, after: snapshotCategory(categoryId) }]
+  );
+}
+
+// Archives or restores a group together with every type in it.
+function setGroupArchived(id, archived) {
+  const group = categoryGroups.find((g) => g.id === id);
+  if (!group || isReadOnly()) return;
+
+  // Restoring brings back only the types the group archive put away, not
+  // ones archived on their own before it (older data doesn't say: all)
+  const archivedWith = Array.isArray(group.archivedWithGroup) ? group.archivedWithGroup : null;
+  const members = categories.filter(
+    (c) =>
+      c.groupId === id &&
+      !!c.archived !== archived &&
+      (archived || !archivedWith || archivedWith.includes(c.id))
+  );
+  const changes = [{ target: "group", id, before: snapshotGroup(id), after: null }];
+  members.forEach((c) => {
+    changes.push({ target: "category", id: c.id, before: snapshotCategory(c.id), after: null });
+  });
+
+  group.archived = archived;
+  if (archived) group.archivedWithGroup = members.map((c) => c.id);
+  else delete group.archivedWithGroup;
+  members.forEach((c) => (c.archived = archived));
+  changes.forEach((change) => {
+    const list = change.target === "group" ? categoryGroups : categories;
+    change.after = snapshotRecord(list, change.id);
+  });
+
+  if (archived && members.some((c) => c.id === currentCategoryId)) {
+    const activeCats = getActiveCategories();
+    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+  }
+  dataStore.batch(() => {
+    saveCategoryGroups();
+    saveCategories();
+  }, "ui");
+  const params = { name: group.name, types: t("count.types", { count: members.length }) };
+  recordUndoStep(t(archived ? "undo.archiveGroup" : "undo.restoreGroup", params), changes);
+  showUndoToast(t(archived ? "group.archived" : "group.restored", params));
+}
+
+// Deleting a group keeps its types; they just become ungrouped.
+function deleteCategoryGroup(id) {
+  const group = categoryGroups.find((g) => g.id === id);
+  if (!group || isReadOnly()) return;
+  if (!window.confirm(t("group.confirmDelete", { name: group.name }))) return;
+
+  const members = categories.filter((c) => c.groupId === id);
+  const changes = [{ target: "group", id, before: snapshotGroup(id), after: null }];
+  members.forEach((c) => {
+    const before = snapshotCategory(c.id);
+    delete c.groupId;
+    changes.push({ target: "category", id: c.id, before, after: snapshotCategory(c.id) });
+  });
+  categoryGroups = categoryGroups.filter((g) => g.id !== id);
+  if (randomState.groupId === id) {
+    randomState.groupId = null;
+    saveRandomState();
+  }
+
+  dataStore.batch(() => {
+    saveCategoryGroups();
+    saveCategories();
+  }, "ui");
+  recordUndoStep(t("undo.deleteGroup", { name: group.name }), changes);
+  showUndoToast(t("group.deleted", { name: group.name }));
+}
+
+function renderCategoryGroupsManageList() {
+  const container = document.getElementById("categoryGroupsList");
+  if (!container) return;
+
+  if (categoryGroups.length === 0) {
+    container.innerHTML = `<p class="widget-footer-text">${escapeHtml(t("group.noneYet"))}</p>`;
+    return;
+  }
+
+  let html = "";
+  categoryGroups.forEach((g, idx) => {
+    const count = categories.filter((c) => c.groupId === g.id).length;
+    html += `
+      <div class="manage-row" draggable="true" data-id="${escapeHtml(g.id)}">
+        <div>
+          ${buildManageNameHtml(g)}
+          <div class="manage-status">${escapeHtml(g.archived ? t("manage.archived") : t("manage.active"))} · ${escapeHtml(t("count.types", { count }))}</div>
+        </div>
+        <div class="manage-actions">
+          ${buildMoveButtonsHtml(g, idx, categoryGroups.length)}
+          ${
+            g.archived
+              ? `<button class="small-btn" data-action="restoreGroup" data-id="${escapeHtml(g.id)}">${escapeHtml(t("common.restore"))}</button>`
+              : `<button class="small-btn secondary-btn" data-action="archiveGroup" data-id="${escapeHtml(g.id)}">${escapeHtml(t("common.archive"))}</button>`
+          }
+          <button class="small-btn secondary-btn" data-action="deleteGroup" data-id="${escapeHtml(g.id)}">${escapeHtml(t("common.delete"))}</button>
+        </div>
+      </div>
+    `;
+  });
+
+  container.innerHTML = html;
+
+  wireManageRowControls(container, "group");
+  container.querySelectorAll("button[data-action]").forEach((btn) => {
+    const action = btn.getAttribute("data-action");
+    const id = btn.getAttribute("data-id");
+    btn.addEventListener("click", function () {
+      if (action === "archiveGroup") setGroupArchived(id, true);
+      if (action === "restoreGroup") setGroupArchived(id, false);
+      if (action === "deleteGroup") deleteCategoryGroup(id);
+    });
+  });
+}
+
+// The group pickers outside the manage lists: the add-type form and the
+// "random type from" select next to the Random type button.
+function renderGroupPickers() {
+  const newGroup = document.getElementById("settingsNewCategoryGroup");
+  if (newGroup) {
+    const keep = newGroup.value;
+    newGroup.innerHTML = buildGroupOptionsHtml(keep, t("group.none"));
+    newGroup.hidden = getActiveGroups().length === 0;
+  }
+
+  const randomGroup = document.getElementById("randomGroupSelect");
+  if (randomGroup) {
+    const groupId = getActiveGroups().some((g) => g.id === randomState.groupId)
+      ? randomState.groupId
+      : "";
+    randomGroup.innerHTML = buildGroupOptionsHtml(groupId, t("group.any"));
+    randomGroup.hidden = getActiveGroups().length === 0;
+  }
+}
+
+function renderCategoryGroupControls() {
+  renderCategoryGroupsManageList();
+  renderGroupPickers();
+}
+
+function setupCategoryGroups() {
+  const addBtn = document.getElementById("settingsAddGroupBtn");
+  const input = document.getElementById("settingsNewGroupInput");
+  const randomGroup = document.getElementById("randomGroupSelect");
+
+  if (addBtn) addBtn.addEventListener("click", handleAddGroupFromSettings);
+  if (input) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        handleAddGroupFromSettings();
+      }
+    });
+  }
+
+  if (randomGroup) {
+    randomGroup.addEventListener("change", () => {
+      randomState.groupId = randomGroup.value || null;
+      saveRandomState();
+    });
+  }
+
+  setupManageListDragging("categoryGroupsList", "group");
+}
+
+/* ---------- Occasions & Gift Ideas ---------- */
+
+// People may carry `occasions: [{id, name, date, birthday?, gifts}]`.
+// `date` is "YYYY-MM-DD" and repeats every year on the same day;
+// `gifts` is [{id, text, bought}] so relatives can see what's taken.
+const UPCOMING_WINDOW_DAYS = 30;
+const UPCOMING_LIMIT = 3;
+const UPCOMING_FAVORITES_LIMIT = 4;
+
+let occasionsPersonId = null; // person shown in the occasions modal
+
+function getOccasions(person) {
+  return person && Array.isArray(person.occasions) ? person.occasions : [];
+}
+
+function getBirthday(person) {
+  return getOccasions(person).find((o) => o.birthday) || null;
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+// The next time `date` comes round, today included. Feb 29 falls on
+// Feb 28 in other years.
+function nextOccurrence(date, today) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || "");
+  if (!match) return null;
+  const month = Number(match[2]) - 1;
+  const day = Number(match[3]);
+
+  const onYear = (year) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+  };
+  const next = onYear(today.getFullYear());
+  return next < today ? onYear(today.getFullYear() + 1) : next;
+}
+
+function daysBetween(from, to) {
+  // Rounded so daylight-saving shifts don't lose a day
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+function formatDaysAway(days) {
+  if (days === 0) return t("days.today");
+  if (days === 1) return t("days.tomorrow");
+  return t("days.in", { count: days });
+}
+
+function getOccasionLabel(occasion) {
+  return occasion.birthday ? t("occasion.birthdayLower") : occasion.name;
+}
+
+function getUpcomingOccasions(today = startOfToday()) {
+  const upcoming = [];
+  getActivePeople().forEach((person) => {
+    getOccasions(person).forEach((occasion) => {
+      const next = nextOccurrence(occasion.date, today);
+      if (!next) return;
+      const days = daysBetween(today, next);
+      if (days <= UPCOMING_WINDOW_DAYS) upcoming.push({ person, occasion, days });
+    });
+  });
+  return upcoming.sort((a, b) => a.days - b.days);
+}
+
+// "Candy: Skittles · Movie: Frozen" — the top pick per active type.
+function summarizeTopFavorites(personId) {
+  const picks = [];
+  getDrawableCategories().forEach((cat) => {
+    const entries = getFilledFavoriteEntries(cat.id, personId);
+    if (entries.length > 0) picks.push(`${cat.name}: ${formatFieldValue(cat, entries[0])}`);
+  });
+  if (picks.length > UPCOMING_FAVORITES_LIMIT) {
+    return picks.slice(0, UPCOMING_FAVORITES_LIMIT).join(" · ") + " …";
+  }
+  return picks.join(" · ");
+}
+
+function updateUpcomingBanner() {
+  const banner = document.getElementById("upcomingBanner");
+  if (!banner) return;
+
+  const upcoming = getUpcomingOccasions().slice(0, UPCOMING_LIMIT);
+  banner.hidden = upcoming.length === 0;
+  if (upcoming.length === 0) {
+    banner.innerHTML = "";
+    return;
+  }
+
+  banner.innerHTML = upcoming
+    .map(({ person, occasion, days }) => {
+      const favoritesText = summarizeTopFavorites(person.id);
+      const gifts = occasion.gifts || [];
+      const bought = gifts.filter((g) => g.bought).length;
+      const giftLabel =
+        gifts.length > 0 ? t("gifts.countLabel", { bought, total: gifts.length }) : t("gifts.label");
+      return `
+        <div class="upcoming-item">
+          <span>
+            <strong>${escapeHtml(t("upcoming.title", { name: person.name, occasion: getOccasionLabel(occasion) }))}</strong>
+            ${escapeHtml(formatDaysAway(days))}${
+              favoritesText ? ` — ${escapeHtml(t("upcoming.favorites", { favorites: favoritesText }))}` : ""
+            }
+          </span>
+          <button class="small-btn secondary-btn" data-person-id="${escapeHtml(person.id)}">${escapeHtml(giftLabel)}</button>
+        </div>
+      `;
+    })
+    .join("");
+
+  banner.querySelectorAll("button[data-person-id]").forEach((btn) => {
+    btn.addEventListener("click", () => openOccasionsModal(btn.getAttribute("data-person-id")));
+  });
+}
+
+// Applies `mutate` to a copy of the person's occasions and records it as
+// one undo step, like any other change to the person.
+function updatePersonOccasions(personId, label, mutate) {
+  if (isReadOnly()) return;
+  const person = people.find((p) => p.id === personId);
+  if (!person) return;
+
+  const before = snapshotPerson(personId);
+  const occasions = cloneData(getOccasions(person));
+  mutate(occasions);
+  if (occasions.length > 0) {
+    person.occasions = occasions;
+  } else {
+    delete person.occasions;
+  }
+
   savePeople();
-  showToast(`Added ${name}.`);
+  recordUndoStep(label, [{ target: "person", id: personId, before, after: snapshotPerson(personId) }]);
+}
+
+function setBirthday(personId, date) {
+  const person = people.find((p) => p.id === personId);
+  const birthday = getBirthday(person);
+  if (!person || (birthday ? birthday.date : "") === date) return;
+
+  if (!date && birthday && (birthday.gifts || []).length > 0) {
+    if (!window.confirm(t("occasion.confirmRemoveBirthday"))) {
+      renderOccasionsModal();
+      return;
+    }
+  }
+
+  updatePersonOccasions(personId, t("undo.setBirthday", { name: person.name }), (occasions) => {
+    const idx = occasions.findIndex((o) => o.birthday);
+    if (!date) {
+      if (idx >= 0) occasions.splice(idx, 1);
+    } else if (idx >= 0) {
+      occasions[idx].date = date;
+    } else {
+      occasions.unshift({ id: generateId("occ_"), name: t("occasion.birthday"), date, birthday: true, gifts: [] });
+    }
+  });
+}
+
+function addOccasion(personId, name, date) {
+  const person = people.find((p) => p.id === personId);
+  if (!person) return;
+  updatePersonOccasions(personId, t("undo.addOccasion", { occasion: name, name: person.name }), (occasions) => {
+    occasions.push({ id: generateId("occ_"), name, date, gifts: [] });
+  });
+}
+
+function withOccasion(personId, occasionId, label, mutate) {
+  updatePersonOccasions(personId, label, (occasions) => {
+    const occasion = occasions.find((o) => o.id === occasionId);
+    if (occasion) mutate(occasion, occasions);
+  });
+}
+
+/* ---------- Occasions Modal ---------- */
+
+function renderGiftItem(gift, readOnly) {
+  return `
+    <li class="gift-item">
+      <label class="inline-toggle">
+        <input type="checkbox" data-action="toggleGift" data-gift-id="${escapeHtml(gift.id)}"
+          ${gift.bought ? "checked" : ""} ${readOnly ? "disabled" : ""} />
+        <span class="gift-text${gift.bought ? " bought" : ""}">${escapeHtml(gift.text)}</span>
+      </label>
+      ${
+        readOnly
+          ? ""
+          : `<button class="entry-btn" data-action="removeGift" data-gift-id="${escapeHtml(gift.id)}" aria-label="${escapeHtml(t("gifts.remove"))}">✕</button>`
+      }
+    </li>
+  `;
+}
+
+function renderOccasionSection(occasion, readOnly, today) {
+  const next = nextOccurrence(occasion.date, today);
+  const when = next ? formatDaysAway(daysBetween(today, next)) : t("occasion.noDate");
+  const gifts = occasion.gifts || [];
+
+  return `
+    <section class="occasion" data-occasion-id="${escapeHtml(occasion.id)}">
+      <div class="occasion-header">
+        <strong>${escapeHtml(occasion.birthday ? t("occasion.birthday") : occasion.name)}</strong>
+        ${
+          occasion.birthday
+            ? ""
+            : `<input type="date" class="settings-select occasion-date" data-action="setDate"
+                value="${escapeHtml(occasion.date || "")}" ${readOnly ? "disabled" : ""} />`
+        }
+        <span class="occasion-when">${escapeHtml(when)}</span>
+        ${
+          readOnly || occasion.birthday
+            ? ""
+            : `<button class="entry-btn" data-action="removeOccasion" aria-label="${escapeHtml(t("occasion.remove"))}">✕</button>`
+        }
+      </div>
+      <ul class="gift-list">
+        ${
+          gifts.length > 0
+            ? gifts.map((g) => renderGiftItem(g, readOnly)).join("")
+            : `<li class="category-hint">${escapeHtml(t("gifts.noneYet"))}</li>`
+        }
+      </ul>
+      ${
+        readOnly
+          ? ""
+          : `<div class="settings-inline-add">
+              <input type="text" class="add-input gift-input" placeholder="${escapeHtml(t("gifts.placeholder"))}" />
+              <button class="small-btn secondary-btn" data-action="addGift">${escapeHtml(t("common.add"))}</button>
+            </div>`
+      }
+    </section>
+  `;
+}
+
+function renderOccasionsModal() {
+  const body = document.getElementById("occasionsModalBody");
+  const title = document.getElementById("occasionsModalTitle");
+  const birthdayInput = document.getElementById("occasionBirthdayInput");
+  const addRow = document.getElementById("occasionAddRow");
+  if (!body || !occasionsPersonId) return;
+
+  const person = people.find((p) => p.id === occasionsPersonId);
+  if (!person) {
+    closeOccasionsModal();
+    return;
+  }
+
+  const readOnly = isReadOnly();
+  const today = startOfToday();
+  const birthday = getBirthday(person);
+
+  if (title) title.textContent = t("occasion.modalTitle", { name: person.name });
+  if (birthdayInput) {
+    birthdayInput.value = birthday ? birthday.date : "";
+    birthdayInput.disabled = readOnly;
+  }
+  if (addRow) addRow.hidden = readOnly;
+
+  const occasions = getOccasions(person);
+  body.innerHTML =
+    occasions.length > 0
+      ? occasions.map((o) => renderOccasionSection(o, readOnly, today)).join("")
+      : `<p class="category-hint">${escapeHtml(t("occasion.empty"))}</p>`;
+}
+
+function openOccasionsModal(personId) {
+  const backdrop = document.getElementById("occasionsModal");
+  if (!backdrop) return;
+  occasionsPersonId = personId;
+  renderOccasionsModal();
+  showDialog(backdrop, closeOccasionsModal);
+}
+
+function closeOccasionsModal() {
+  const backdrop = document.getElementById("occasionsModal");
+  if (backdrop) hideDialog(backdrop);
+  occasionsPersonId = null;
+}
+
+function handleAddOccasion() {
+  const nameInput = document.getElementById("occasionNameInput");
+  const dateInput = document.getElementById("occasionDateInput");
+  if (!nameInput || !dateInput || !occasionsPersonId) return;
+
+  const name = nameInput.value.trim();
+  if (!name || !dateInput.value) {
+    showToast(t("occasion.needNameAndDate"));
+    return;
+  }
+  addOccasion(occasionsPersonId, name, dateInput.value);
+  nameInput.value = "";
+  dateInput.value = "";
+}
+
+function handleAddGift(section) {
+  const input = section.querySelector(".gift-input");
+  const text = input ? input.value.trim() : "";
+  if (!text) return;
+
+  const occasionId = section.getAttribute("data-occasion-id");
+  withOccasion(occasionsPersonId, occasionId, t("undo.addGift", { text }), (occasion) => {
+    occasion.gifts = (occasion.gifts || []).concat({ id: generateId("gift_"), text, bought: false });
+  });
+
+  // Keep typing ideas for the same occasion
+  const again = document.querySelector(
+    `.occasion[data-occasion-id="${occasionId}"] .gift-input`
+  );
+  if (again) again.focus();
+}
+
+function handleOccasionsBodyEvent(e) {
+  const target = e.target;
+  const action = target.getAttribute && target.getAttribute("data-action");
+  const section = target.closest && target.closest(".occasion");
+  if (!section || !occasionsPersonId) return;
+
+  const occasionId = section.getAttribute("data-occasion-id");
+  const giftId = target.getAttribute("data-gift-id");
+
+  if (e.type === "keydown") {
+    if (e.key === "Enter" && target.classList.contains("gift-input")) {
+      e.preventDefault();
+      handleAddGift(section);
+    }
+    return;
+  }
+
+  if (e.type === "change" && action === "toggleGift") {
+    const label = target.checked ? t("undo.giftBought") : t("undo.giftNotBought");
+    withOccasion(occasionsPersonId, occasionId, label, (occasion) => {
+      const gift = (occasion.gifts || []).find((g) => g.id === giftId);
+      if (gift) gift.bought = target.checked;
+    });
+  } else if (e.type === "change" && action === "setDate") {
+    if (!target.value) {
+      renderOccasionsModal();
+      return;
+    }
+    withOccasion(occasionsPersonId, occasionId, t("undo.occasionDate"), (occasion) => {
+      occasion.date = target.value;
+    });
+  } else if (e.type === "click" && action === "addGift") {
+    handleAddGift(section);
+  } else if (e.type === "click" && action === "removeGift") {
+    withOccasion(occasionsPersonId, occasionId, t("gifts.remove"), (occasion) => {
+      occasion.gifts = (occasion.gifts || []).filter((g) => g.id !== giftId);
+    });
+  } else if (e.type === "click" && action === "removeOccasion") {
+    withOccasion(occasionsPersonId, occasionId, t("occasion.remove"), (occasion, occasions) => {
+      occasions.splice(occasions.indexOf(occasion), 1);
+    });
+  }
+}
+
+function setupOccasionsModal() {
+  const backdrop = document.getElementById("occasionsModal");
+  const body = document.getElementById("occasionsModalBody");
+  const birthdayInput = document.getElementById("occasionBirthdayInput");
+  const addBtn = document.getElementById("occasionAddBtn");
+  const closeBtn = document.getElementById("occasionsModalCloseBtn");
+
+  if (body) {
+    ["click", "change", "keydown"].forEach((type) => body.addEventListener(type, handleOccasionsBodyEvent));
+  }
+  if (birthdayInput) {
+    birthdayInput.addEventListener("change", () => {
+      if (occasionsPersonId) setBirthday(occasionsPersonId, birthdayInput.value);
+    });
+  }
+  if (addBtn) addBtn.addEventListener("click", handleAddOccasion);
+  if (closeBtn) closeBtn.addEventListener("click", closeOccasionsModal);
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closeOccasionsModal();
+    });
+  }
+}
+
+/* ---------- Profiles (households): switcher & actions ---------- */
+
+function renderProfileControls() {
+  const switcher = document.getElementById("profileSwitcher");
+  const select = document.getElementById("profileSelect");
+  const deleteBtn = document.getElementById("profileDeleteBtn");
+
+  [switcher, select].forEach((el) => {
+    if (!el) return;
+    el.innerHTML = "";
+    profiles.forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.name;
+      el.appendChild(opt);
+    });
+    el.value = activeProfileId;
+  });
+
+  // The header switcher only matters once there is something to switch to
+  if (switcher) switcher.hidden = profiles.length < 2 || viewingSnapshot;
+  if (deleteBtn) deleteBtn.disabled = profiles.length < 2;
+}
+
+function switchProfile(id) {
+  if (id === activeProfileId || !profiles.some((p) => p.id === id)) return;
+
+  activeProfileId = id;
+  saveProfiles();
+
+  currentPersonId = null;
+  clearSearch();
+  loadData();
+  renderAll();
+  showToast(t("profile.switched", { name: getActiveProfile().name }));
+}
+
+function askProfileName(message, fallback) {
+  const raw = window.prompt(message, fallback || "");
+  if (raw === null) return null;
+  const name = raw.trim();
+  if (!name) {
+    showToast(t("profile.enterName"));
+    return null;
+  }
+  return name;
+}
+
+function createProfile() {
+  const name = askProfileName(t("profile.promptNew"));
+  if (!name) return;
+
+  const id = generateId("profile_");
+  profiles.push({ id, name });
+  switchProfile(id);
+  showToast(t("profile.created", { name }));
+}
+
+function renameProfile() {
+  const profile = getActiveProfile();
+  const name = askProfileName(t("profile.promptRename"), profile.name);
+  if (!name) return;
+
+  profile.name = name;
+  saveProfiles();
+  renderProfileControls();
+  showToast(t("profile.renamed", { name }));
+}
+
+function duplicateProfile() {
+  const source = getActiveProfile();
+  const name = askProfileName(t("profile.promptCopy"), t("profile.copyName", { name: source.name }));
+  if (!name) return;
+
+  const id = generateId("profile_");
+  copyProfileData(source.id, id);
+  // Undo steps belong to the original
+  safeRemove(profileKey(FF_UNDO_HISTORY_KEY, id));
+  profiles.push({ id, name });
+  switchProfile(id);
+  showToast(t("profile.duplicated", { source: source.name, name }));
+}
+
+function deleteProfile() {
+  if (profiles.length < 2) {
+    showToast(t("profile.needOne"));
+    return;
+  }
+
+  const profile = getActiveProfile();
+  if (!window.confirm(t("profile.confirmDelete", { name: profile.name }))) return;
+
+  removeProfileData(profile.id);
+  profiles = profiles.filter((p) => p.id !== profile.id);
+  switchProfile(profiles[0].id);
+  showToast(t("profile.deleted", { name: profile.name }));
+}
+
+function setupProfileControls() {
+  const switcher = document.getElementById("profileSwitcher");
+  const select = document.getElementById("profileSelect");
+
+  [switcher, select].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => switchProfile(el.value));
+  });
+
+  const actions = {
+    profileNewBtn: createProfile,
+    profileRenameBtn: renameProfile,
+    profileDuplicateBtn: duplicateProfile,
+    profileDeleteBtn: deleteProfile,
+    exportAllDataBtn: exportAllProfilesData
+  };
+  Object.keys(actions).forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", actions[id]);
+  });
+}
+
+/* ---------- Embed Options (URL parameters) ---------- */
+
+// Lets each Notion embed show something different, e.g.
+//   index.html?category=Fast%20Food&hideRandom=1&hideSettings=1&compact=1
+// Parameter names are case-insensitive; unknown or invalid ones are ignored.
+const DEFAULT_EMBED_OPTIONS = {
+  profile: null,      // household id or name
+  category: null,     // favorite type id or name to start on
+  person: null,       // person id or name (opens the person view)
+  view: null,         // "category" | "person" | "grid"
+  storage: null,      // "indexeddb" | "local" | "memory"; see Storage Adapters
+  hideRandom: false,
+  hideSettings: false,
+  compact: false,
+  readOnly: false
+};
+
+const EMBED_TEXT_PARAMS = ["profile", "category", "person"];
+const EMBED_FLAG_PARAMS = ["hideRandom", "hideSettings", "compact", "readOnly"];
+const EMBED_VIEWS = ["category", "person", "grid"];
+
+function parseFlagParam(value) {
+  const v = String(value).trim().toLowerCase();
+  if (["", "1", "true", "yes", "on"].includes(v)) return true;
+  if (["0", "false", "no", "off"].includes(v)) return false;
+  return null;
+}
+
+function readEmbedOptions(search) {
+  const options = Object.assign({}, DEFAULT_EMBED_OPTIONS);
+
+  let params;
+  try {
+    params = new URLSearchParams(search || "");
+  } catch (e) {
+    return options;
+  }
+
+  const canonical = {};
+  EMBED_TEXT_PARAMS.concat(EMBED_FLAG_PARAMS, ["view", "storage"]).forEach((name) => {
+    canonical[name.toLowerCase()] = name;
+  });
+
+  params.forEach((rawValue, rawName) => {
+    const name = canonical[rawName.trim().toLowerCase()];
+    if (!name) return;
+
+    if (EMBED_TEXT_PARAMS.includes(name)) {
+      const value = rawValue.trim().slice(0, 200);
+      if (value) options[name] = value;
+    } else if (EMBED_FLAG_PARAMS.includes(name)) {
+      const flag = parseFlagParam(rawValue);
+      if (flag !== null) options[name] = flag;
+    } else if (name === "view") {
+      const view = rawValue.trim().toLowerCase();
+      if (EMBED_VIEWS.includes(view)) options.view = view;
+    } else if (name === "storage") {
+      const backend = rawValue.trim().toLowerCase();
+      if (STORAGE_ADAPTERS[backend]) options.storage = backend;
+    }
+  });
+
+  return options;
+}
+
+function findByIdOrName(list, value) {
+  if (!value) return null;
+  return (
+    list.find((item) => item.id === value) ||
+    list.find((item) => normalizeName(item.name) === normalizeName(value)) ||
+    null
+  );
+}
+
+function isReadOnly() {
+  return !!embedOptions.readOnly || viewingSnapshot;
+}
+
+// Runs before loadData(); the URL choice isn't saved as the default household
+function applyEmbedProfile() {
+  const profile = findByIdOrName(profiles, embedOptions.profile);
+  if (profile) activeProfileId = profile.id;
+}
+
+// Runs after loadData(); returns the view to start in
+function applyEmbedSelection() {
+  const category = findByIdOrName(getActiveCategories(), embedOptions.category);
+  if (category) currentCategoryId = category.id;
+
+  const person = findByIdOrName(getActivePeople(), embedOptions.person);
+  if (person) currentPersonId = person.id;
+
+  if (embedOptions.view) return embedOptions.view;
+  return person ? "person" : "category";
+}
+
+function applyEmbedLayout() {
+  const container = document.querySelector(".widget-container");
+  if (container) {
+    container.classList.toggle("compact", !!embedOptions.compact);
+    container.classList.toggle("read-only", isReadOnly());
+  }
+
+  const hide = (id, hidden) => {
+    const el = document.getElementById(id);
+    if (el) el.hidden = !!hidden;
+  };
+
+  const hideRandom = !!embedOptions.hideRandom;
+  hide("randomCategoryBtn", hideRandom);
+  hide("randomPersonBtn", hideRandom);
+  hide("randomFavoriteBtn", hideRandom);
+  hide("weightByRankLabel", hideRandom);
+  hide("randomPicksBtn", hideRandom);
+  hide("randomHighlight", hideRandom);
+
+  const hideSettings = !!embedOptions.hideSettings || isReadOnly();
+  hide("settingsToggle", hideSettings);
+  hide("settingsPanel", hideSettings);
+  hide("backupReminder", hideSettings);
+
+  // Read-only embeds can look things up but not change them
+  hide("addPersonRow", isReadOnly());
+}
+
+/* ---------- Settings Panel ---------- */
+
+function setupSettingsToggle() {
+  const toggle = document.getElementById("settingsToggle");
+  const panel = document.getElementById("settingsPanel");
+  if (!toggle || !panel) return;
+
+  toggle.addEventListener("click", () => setSettingsPanelOpen(!panel.classList.contains("open")));
+
+  // Escape inside the panel folds it and returns to the gear button
+  panel.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || e.defaultPrevented) return;
+    e.preventDefault();
+    setSettingsPanelOpen(false);
+    toggle.focus();
+  });
+}
+
+// Opening moves focus to the panel's first control so keyboard users land
+// where they asked to go.
+function setSettingsPanelOpen(open) {
+  const toggle = document.getElementById("settingsToggle");
+  const panel = document.getElementById("settingsPanel");
+  if (!toggle || !panel) return;
+
+  panel.classList.toggle("open", open);
+  toggle.setAttribute("aria-expanded", open ? "true" : "false");
+  if (open) {
+    const first = getFocusableElements(panel)[0];
+    if (first) first.focus();
+  }
+}
+
+/* ---------- Dialogs ---------- */
+
+// Every modal (.backup-modal-backdrop) opens with showDialog and closes with
+// hideDialog. While one is open, Tab and Shift+Tab cycle inside it, Escape
+// runs its close function, and closing puts focus back where it was.
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  'input:not([disabled]):not([type="hidden"])',
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])'
+].join(", ");
+
+let openDialogs = []; // [{ backdrop, close, returnFocus }], topmost last
+
+function getFocusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter((el) => !el.closest("[hidden]"));
+}
+
+// `close` is the dialog's own close function; it must end in hideDialog.
+// Focus goes to the first control unless it's already inside the dialog.
+function showDialog(backdrop, close) {
+  if (!openDialogs.some((d) => d.backdrop === backdrop)) {
+    openDialogs.push({ backdrop, close, returnFocus: document.activeElement });
+  }
+  backdrop.classList.add("visible");
+
+  if (!backdrop.contains(document.activeElement)) {
+    const first = getFocusableElements(backdrop)[0];
+    if (first) first.focus();
+  }
+}
+
+function hideDialog(backdrop) {
+  backdrop.classList.remove("visible");
+
+  const idx = openDialogs.findIndex((d) => d.backdrop === backdrop);
+  if (idx === -1) return;
+  const dialog = openDialogs.splice(idx, 1)[0];
+  const target = dialog.returnFocus;
+  if (target && target.isConnected && typeof target.focus === "function") target.focus();
+}
+
+// Switching steps inside an open dialog hides the button that was pressed;
+// this moves focus to the first control of the step now showing.
+function focusDialogStep(step) {
+  if (!step || !step.closest(".backup-modal-backdrop.visible")) return;
+  if (step.contains(document.activeElement)) return;
+  const first = getFocusableElements(step)[0];
+  if (first) first.focus();
+}
+
+function isDialogOpen() {
+  return openDialogs.length > 0;
+}
+
+function setupDialogKeys() {
+  document.addEventListener("keydown", (e) => {
+    const dialog = openDialogs[openDialogs.length - 1];
+    if (!dialog || e.defaultPrevented) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      dialog.close();
+      return;
+    }
+    if (e.key !== "Tab") return;
+
+    const focusable = getFocusableElements(dialog.backdrop);
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (!dialog.backdrop.contains(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+}
+
+/* ---------- Keyboard Shortcuts ---------- */
+
+// Single keys, ignored while typing, while a dialog is open and when the
+// setting is off:
+//   R  random favorite     P  random person     T  random type
+//   [  previous type       ]  next type   (people in the By person view)
+function setupKeyboardShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    if (!settings.keyboardShortcuts || e.defaultPrevented) return;
+    // German and Spanish layouts type [ and ] with AltGr, reported as Ctrl+Alt
+    const altGraph = !!(e.getModifierState && e.getModifierState("AltGraph"));
+    if (e.metaKey || (!altGraph && (e.ctrlKey || e.altKey)) || isDialogOpen()) return;
+    if (isTextEditingTarget(e.target) || (e.target && e.target.tagName === "SELECT")) return;
+
+    const action = getShortcutAction(e.key);
+    if (!action) return;
+    e.preventDefault();
+    action();
+  });
+
+  const toggle = document.getElementById("keyboardShortcutsToggle");
+  if (!toggle) return;
+  toggle.checked = !!settings.keyboardShortcuts;
+  toggle.addEventListener("change", () => {
+    settings.keyboardShortcuts = toggle.checked;
+    saveSettings();
+  });
+}
+
+function getShortcutAction(key) {
+  const randomOn = !embedOptions.hideRandom;
+  switch (key.toLowerCase()) {
+    case "r":
+      return randomOn ? randomFavorite : null;
+    case "p":
+      return randomOn ? randomPerson : null;
+    case "t":
+      return randomOn ? randomCategory : null;
+    case "[":
+      return () => stepViewSelect(-1);
+    case "]":
+      return () => stepViewSelect(1);
+    default:
+      return null;
+  }
+}
+
+// Moves the type picker (or the person picker in the By person view) to the
+// previous or next choice, wrapping around at the ends.
+function stepViewSelect(delta) {
+  const id = currentViewMode === "person" ? "personSelect" : "categorySelect";
+  const select = document.getElementById(id);
+  if (!select || select.closest("[hidden]")) return;
+
+  const options = Array.from(select.options).filter((o) => o.value && !o.disabled);
+  if (options.length === 0) return;
+  const idx = options.findIndex((o) => o.value === select.value);
+  const next = idx === -1
+    ? options[delta > 0 ? 0 : options.length - 1]
+    : options[(idx + delta + options.length) % options.length];
+  if (next.value === select.value) return;
+
+  select.value = next.value;
+  select.dispatchEvent(new Event("change"));
+  const toastKey = currentViewMode === "person" ? "profileView.showing" : "category.hint.showing";
+  showToast(t(toastKey, { name: next.textContent }));
+}
+
+/* ---------- Random Functions ---------- */
+
+// Fair mode deals picks like cards: everyone in the pool comes up once
+// before anyone repeats. People, types and favorites each keep their own
+// round. The pool leaves out people and types excluded in the picks panel.
+const PICK_LOG_LIMIT = 200;
+
+let randomSource = Math.random; // see setRandomSource
+let randomState = emptyRandomState();
+
+function emptyRandomState() {
+  return {
+    excludedPeople: [],
+    excludedCategories: [],
+    groupId: null, // "Random type" only draws from this group when set
+    rounds: { person: [], category: [], favorite: [] },
+    log: [] // [{kind, at, personId, personName, categoryId, categoryName, value}], newest first
+  };
+}
+
+// `source` must return a number in [0, 1) like Math.random. Swapping in a
+// seeded or scripted source makes draws repeatable; call with nothing to
+// go back to Math.random.
+function setRandomSource(source) {
+  randomSource = typeof source === "function" ? source : Math.random;
+}
+
+function randomIndex(length) {
+  return Math.min(length - 1, Math.floor(randomSource() * length));
+}
+
+function loadRandomState() {
+  randomState = emptyRandomState();
+  const raw = safeGet(profileKey(FF_RANDOM_STATE_KEY));
+  if (!raw) return;
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== "object") return;
+    ["excludedPeople", "excludedCategories", "log"].forEach((key) => {
+      if (Array.isArray(parsed[key])) randomState[key] = parsed[key];
+    });
+    if (typeof parsed.groupId === "string") randomState.groupId = parsed.groupId;
+    Object.keys(randomState.rounds).forEach((kind) => {
+      if (parsed.rounds && Array.isArray(parsed.rounds[kind])) {
+        randomState.rounds[kind] = parsed.rounds[kind];
+      }
+    });
+  } catch (e) {
+    console.error("Error parsing random picks:", e);
+  }
+}
+
+function saveRandomState() {
+  safeSet(profileKey(FF_RANDOM_STATE_KEY), JSON.stringify(randomState));
+}
+
+function getRandomPeoplePool() {
+  return getActivePeople().filter((p) => !randomState.excludedPeople.includes(p.id));
+}
+
+// Dislike lists never come up in a draw
+function getDrawableCategories() {
+  return getActiveCategories().filter((c) => !isAvoidCategory(c));
+}
+
+function getRandomCategoryPool() {
+  return getDrawableCategories().filter((c) => !randomState.excludedCategories.includes(c.id));
+}
+
+function pickWeighted(items, getWeight) {
+  const total = items.reduce((sum, item) => sum + getWeight(item), 0);
+  let roll = randomSource() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= getWeight(items[i]);
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+// Items of `kind` not yet drawn in the current fair round.
+function getRoundRemaining(kind, items, getKey) {
+  const drawn = randomState.rounds[kind] || [];
+  return items.filter((item) => !drawn.includes(getKey(item)));
+}
+
+// Picks one of `items`, weighted by `getWeight` when given. In fair mode
+// items already drawn this round are skipped; once everyone has had a
+// turn a new round starts, avoiding the last winner if anyone else can go.
+function drawRandom(kind, items, getKey, getWeight) {
+  const choose = (list) => (getWeight ? pickWeighted(list, getWeight) : list[randomIndex(list.length)]);
+  if (!settings.fairRandom) return choose(items);
+
+  const keys = items.map(getKey);
+  let drawn = (randomState.rounds[kind] || []).filter((key) => keys.includes(key));
+  let remaining = items.filter((item) => !drawn.includes(getKey(item)));
+
+  if (remaining.length === 0) {
+    const last = drawn[drawn.length - 1];
+    drawn = [];
+    remaining = items.length > 1 ? items.filter((item) => getKey(item) !== last) : items;
+  }
+
+  const pick = choose(remaining);
+  randomState.rounds[kind] = drawn.concat(getKey(pick));
+  return pick;
+}
+
+function recordPick(kind, details) {
+  randomState.log.unshift(Object.assign({ kind, at: new Date().toISOString() }, details));
+  if (randomState.log.length > PICK_LOG_LIMIT) {
+    randomState.log.length = PICK_LOG_LIMIT;
+  }
+  saveRandomState();
+  renderPicksPanel();
+}
+
+function setupRandomButtons() {
+  const randomCategoryBtn = document.getElementById("randomCategoryBtn");
+  const randomPersonBtn = document.getElementById("randomPersonBtn");
+  const randomFavoriteBtn = document.getElementById("randomFavoriteBtn");
+
+  if (randomCategoryBtn) {
+    randomCategoryBtn.addEventListener("click", randomCategory);
+  }
+
+  if (randomPersonBtn) {
+    randomPersonBtn.addEventListener("click", randomPerson);
+  }
+
+  if (randomFavoriteBtn) {
+    randomFavoriteBtn.addEventListener("click", randomFavorite);
+  }
+}
+
+// Reflects settings changed in another window in this copy's controls
+function syncSettingsControls() {
+  const weightToggle = document.getElementById("weightByRankToggle");
+  if (weightToggle) weightToggle.checked = !!settings.weightRandomByRank;
+
+  const fairToggle = document.getElementById("fairRandomToggle");
+  if (fairToggle) fairToggle.checked = !!settings.fairRandom;
+
+  const retentionSelect = document.getElementById("historyRetentionSelect");
+  if (retentionSelect) retentionSelect.value = String(settings.historyRetentionDays || 0);
+
+  const peopleSortSelect = document.getElementById("peopleSortSelect");
+  if (peopleSortSelect) peopleSortSelect.value = settings.peopleSort || "manual";
+
+  const categorySortSelect = document.getElementById("categorySortSelect");
+  if (categorySortSelect) categorySortSelect.value = settings.categorySort || "manual";
+
+  const themeSelect = document.getElementById("themeSelect");
+  if (themeSelect) themeSelect.value = getThemeSetting();
+
+  const accentSelect = document.getElementById("accentSelect");
+  if (accentSelect) accentSelect.value = getAccentSetting();
+
+  applyTheme();
+
+  const shortcutsToggle = document.getElementById("keyboardShortcutsToggle");
+  if (shortcutsToggle) shortcutsToggle.checked = !!settings.keyboardShortcuts;
+
+  const languageSelect = document.getElementById("languageSelect");
+  if (languageSelect) languageSelect.value = getLanguageSetting();
+
+  const previousLocale = getLocale();
+  if (setLocale(getLanguageSetting()) !== previousLocale) refreshLanguage();
+}
+
+/* ---------- Appearance (light / dark & accents) ---------- */
+
+// The palettes live in style.css as CSS variables keyed off data-theme and
+// data-accent on <html>; this only decides which ones apply.
+const THEME_MODES = ["auto", "light", "dark"];
+const THEME_ACCENTS = ["rose", "ocean", "mint", "amber", "violet"];
+
+function getThemeSetting() {
+  return THEME_MODES.includes(settings.theme) ? settings.theme : "auto";
+}
+
+function getAccentSetting() {
+  return THEME_ACCENTS.includes(settings.accent) ? settings.accent : "rose";
+}
+
+// The widget has always been dark, so only an explicit light preference
+// switches "auto" to light.
+function systemPrefersLight() {
+  return !!window.matchMedia && window.matchMedia("(prefers-color-scheme: light)").matches;
+}
+
+function resolveTheme() {
+  const mode = getThemeSetting();
+  if (mode !== "auto") return mode;
+  return systemPrefersLight() ? "light" : "dark";
+}
+
+function applyTheme() {
+  const root = document.documentElement;
+  root.setAttribute("data-theme", resolveTheme());
+  root.setAttribute("data-accent", getAccentSetting());
+}
+
+function setupAppearance() {
+  if (window.matchMedia) {
+    const query = window.matchMedia("(prefers-color-scheme: light)");
+    const onSystemChange = () => {
+      if (getThemeSetting() === "auto") applyTheme();
+    };
+    // Older Safari only has addListener
+    if (query.addEventListener) query.addEventListener("change", onSystemChange);
+    else if (query.addListener) query.addListener(onSystemChange);
+  }
+
+  const themeSelect = document.getElementById("themeSelect");
+  if (themeSelect) {
+    themeSelect.value = getThemeSetting();
+    themeSelect.addEventListener("change", () => {
+      settings.theme = themeSelect.value;
+      saveSettings();
+      applyTheme();
+    });
+  }
+
+  const accentSelect = document.getElementById("accentSelect");
+  if (accentSelect) {
+    accentSelect.value = getAccentSetting();
+    accentSelect.addEventListener("change", () => {
+      settings.accent = accentSelect.value;
+      saveSettings();
+      applyTheme();
+    });
+  }
+
+  applyTheme();
+}
+
+/* ---------- Language ---------- */
+
+// Messages live in i18n.js and the packs in locales/. Names people typed
+// (family members, types, groups) are data and are never translated.
+function getLanguageSetting() {
+  return I18N_MESSAGES[settings.language] ? settings.language : "auto";
+}
+
+function applyLanguage() {
+  setLocale(getLanguageSetting());
+  applyTranslations();
+}
+
+// Redraws everything built from messages after the language changes
+function refreshLanguage() {
+  applyLanguage();
+  renderStorageStatusText();
+  renderAll();
+  updateIntegrityBanner();
+  renderGroupPickers();
+  renderPicksPanel();
+  renderSnapshotBanner();
+  if (isSearchActive()) renderSearchResults();
+}
+
+function setupLanguagePicker() {
+  const select = document.getElementById("languageSelect");
+  if (!select) return;
+
+  select.value = getLanguageSetting();
+  select.addEventListener("change", () => {
+    settings.language = select.value;
+    saveSettings();
+    refreshLanguage();
+    showToast(t("language.saved"));
+  });
+}
+
+function setupWeightByRankToggle() {
+  const toggle = document.getElementById("weightByRankToggle");
+  if (!toggle) return;
+
+  toggle.checked = !!settings.weightRandomByRank;
+  toggle.addEventListener("change", () => {
+    settings.weightRandomByRank = toggle.checked;
+    saveSettings();
+    showToast(toggle.checked ? t("random.weightOn") : t("random.weightOff"));
+  });
+}
+
+// Narrows the category pool to the chosen group, if it's still active.
+function getRandomGroupPool() {
+  const group = getActiveGroups().find((g) => g.id === randomState.groupId);
+  const pool = getRandomCategoryPool();
+  return group ? pool.filter((c) => c.groupId === group.id) : pool;
+}
+
+function randomCategory() {
+  const pool = getRandomGroupPool();
+  if (pool.length === 0) {
+    showToast(t("random.noTypes"));
+    return;
+  }
+  const category = drawRandom("category", pool, (c) => c.id);
+  currentCategoryId = category.id;
+  recordPick("category", { categoryId: category.id, categoryName: category.name });
+  showToast(t("random.typeToast", { name: category.name }));
+  renderCategorySelect();
+}
+
+function randomPerson() {
+  const pool = getRandomPeoplePool();
+  if (pool.length === 0) {
+    showToast(t("random.noPeople"));
+    return;
+  }
+  const person = drawRandom("person", pool, (p) => p.id);
+  currentPersonId = person.id;
+  recordPick("person", { personId: person.id, personName: person.name });
+  if (currentViewMode === "person") renderFavoritesList();
+  const highlight = document.getElementById("randomHighlight");
+  if (highlight) {
+    highlight.innerHTML =
+      `<span class="random-highlight-strong">${escapeHtml(t("random.personLabel"))}</span> ${escapeHtml(person.name)}`;
+  }
+  showToast(t("random.personToast", { name: person.name }));
+}
+
+function getRandomFavoritePool() {
+  const pool = [];
+  const peoplePool = getRandomPeoplePool();
+
+  // Ratings, yes/no answers and dates aren't things to pick for tonight
+  const drawable = getRandomCategoryPool().filter((cat) => FIELD_TYPES[getFieldType(cat)].drawable);
+  drawable.forEach((cat) => {
+    peoplePool.forEach((person) => {
+      const entries = getFilledFavoriteEntries(cat.id, person.id);
+      entries.forEach((val, rank) => {
+        pool.push({
+          categoryId: cat.id,
+          categoryName: cat.name,
+          personId: person.id,
+          personName: person.name,
+          value: val,
+          rank,
+          ranked: entries.length > 1
+        });
+      });
+    });
+  });
+
+  return pool;
+}
+
+function getFavoritePickKey(item) {
+  return `${item.categoryId}|${item.personId}|${item.value}`;
+}
+
+function randomFavorite() {
+  if (getRandomPeoplePool().length === 0 || getRandomCategoryPool().length === 0) {
+    showToast(t("random.needBoth"));
+    return;
+  }
+
+  const pool = getRandomFavoritePool();
+  if (pool.length === 0) {
+    showToast(t("random.noFavorites"));
+    return;
+  }
+
+  // #1 picks count fully, #2 half as much, #3 a third…
+  const pick = drawRandom(
+    "favorite",
+    pool,
+    getFavoritePickKey,
+    settings.weightRandomByRank ? (item) => 1 / (item.rank + 1) : null
+  );
+  recordPick("favorite", {
+    personId: pick.personId,
+    personName: pick.personName,
+    categoryId: pick.categoryId,
+    categoryName: pick.categoryName,
+    value: pick.value
+  });
+
+  const highlight = document.getElementById("randomHighlight");
+  if (highlight) {
+    const detail = pick.ranked
+      ? `#${pick.rank + 1}, ${pick.categoryName}`
+      : pick.categoryName;
+    highlight.innerHTML =
+      `<span class="random-highlight-strong">${escapeHtml(t("random.pickLabel"))}</span> ` +
+      `${escapeHtml(pick.personName)} → ` +
+      `${escapeHtml(pick.value)} ` +
+      `<span class="random-highlight-strong">(${escapeHtml(detail)})</span>`;
+  }
+
+  showToast(t("random.favoriteToast"));
+}
+
+/* ---------- Picks Panel (pool, fair rounds, pick log) ---------- */
+
+function describePick(entry) {
+  if (entry.kind === "person") return escapeHtml(entry.personName);
+  if (entry.kind === "category") return escapeHtml(t("picks.logType", { name: entry.categoryName }));
+  return (
+    `${escapeHtml(entry.personName)} → ${escapeHtml(entry.value)} ` +
+    `<span class="timeline-date">(${escapeHtml(entry.categoryName)})</span>`
+  );
+}
+
+function renderPicksPanel() {
+  const backdrop = document.getElementById("picksModal");
+  const status = document.getElementById("picksRoundStatus");
+  const log = document.getElementById("picksLog");
+  if (!backdrop || !backdrop.classList.contains("visible")) return;
+
+  if (status) {
+    if (!settings.fairRandom) {
+      status.textContent = t("picks.status.off");
+    } else {
+      const waiting = getRoundRemaining("person", getRandomPeoplePool(), (p) => p.id);
+      status.textContent =
+        waiting.length > 0 && waiting.length < getRandomPeoplePool().length
+          ? t("picks.status.waiting", { names: formatList(waiting.map((p) => p.name)) })
+          : t("picks.status.newRound");
+    }
+  }
+
+  if (log) {
+    log.innerHTML =
+      randomState.log.length > 0
+        ? randomState.log
+            .map(
+              (entry) =>
+                `<li><span class="timeline-date">${escapeHtml(formatLocalDateTime(entry.at))}</span> ` +
+                `${describePick(entry)}</li>`
+            )
+            .join("")
+        : `<li class="category-hint">${escapeHtml(t("picks.noneYet"))}</li>`;
+  }
+}
+
+function openPicksModal() {
+  const backdrop = document.getElementById("picksModal");
+  if (!backdrop) return;
+
+  renderRecordPicker("picksPeopleList", getActivePeople(), "picksPerson", new Set(randomState.excludedPeople));
+  renderRecordPicker(
+    "picksCategoriesList",
+    getDrawableCategories(),
+    "picksCategory",
+    new Set(randomState.excludedCategories)
+  );
+  showDialog(backdrop, closePicksModal);
+  renderPicksPanel();
+}
+
+function closePicksModal() {
+  const backdrop = document.getElementById("picksModal");
+  if (backdrop) hideDialog(backdrop);
+}
+
+// Exclusions are stored rather than inclusions so new people and types
+// join the draw automatically.
+function handlePoolChange(e) {
+  const input = e.target;
+  if (!input || input.type !== "checkbox") return;
+
+  const key = input.name === "picksPerson" ? "excludedPeople" : "excludedCategories";
+  const excluded = randomState[key].filter((id) => id !== input.value);
+  if (!input.checked) excluded.push(input.value);
+  randomState[key] = excluded;
+  saveRandomState();
+  renderPicksPanel();
+}
+
+function setupPicksPanel() {
+  const openBtn = document.getElementById("randomPicksBtn");
+  const closeBtn = document.getElementById("picksCloseBtn");
+  const clearBtn = document.getElementById("picksClearBtn");
+  const newRoundBtn = document.getElementById("picksNewRoundBtn");
+  const fairToggle = document.getElementById("fairRandomToggle");
+  const backdrop = document.getElementById("picksModal");
+
+  if (openBtn) openBtn.addEventListener("click", openPicksModal);
+  if (closeBtn) closeBtn.addEventListener("click", closePicksModal);
+
+  ["picksPeopleList", "picksCategoriesList"].forEach((id) => {
+    const list = document.getElementById(id);
+    if (list) list.addEventListener("change", handlePoolChange);
+  });
+
+  if (fairToggle) {
+    fairToggle.checked = !!settings.fairRandom;
+    fairToggle.addEventListener("change", () => {
+      settings.fairRandom = fairToggle.checked;
+      saveSettings();
+      renderPicksPanel();
+      showToast(
+        fairToggle.checked
+          ? t("picks.fairOn")
+          : t("picks.fairOff")
+      );
+    });
+  }
+
+  if (newRoundBtn) {
+    newRoundBtn.addEventListener("click", () => {
+      randomState.rounds = emptyRandomState().rounds;
+      saveRandomState();
+      renderPicksPanel();
+      showToast(t("picks.newRoundStarted"));
+    });
+  }
+
+  if (clearBtn) {
+    clearBtn.addEventListener("click", () => {
+      if (!window.confirm(t("picks.confirmClear"))) return;
+      randomState.log = [];
+      saveRandomState();
+      renderPicksPanel();
+    });
+  }
+
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closePicksModal();
+    });
+  }
+}
+
+/* ---------- Backup Format & Migrations ---------- */
+
+// Each entry upgrades a backup from version N to N + 1.
+// Add a new step here whenever the data model changes, then bump FF_BACKUP_VERSION.
+const BACKUP_MIGRATIONS = {
+  // v0 → v1: unversioned {people, categories, favorites} exports get the envelope
+  0: function (backup) {
+    return {
+      format: FF_BACKUP_FORMAT,
+      version: 1,
+      exportedAt: null,
+      app: null,
+      people: backup.people,
+      categories: backup.categories,
+      favorites: backup.favorites
+    };
+  },
+
+  // v1 → v2: each favorite becomes a ranked list instead of a single string
+  1: function (backup) {
+    const upgraded = JSON.parse(JSON.stringify(backup.favorites || {}));
+    upgradeFavoritesModel(upgraded);
+    return Object.assign({}, backup, { version: 2, favorites: upgraded });
+  },
+
+  // v2 → v3: favorite history travels with the backup
+  2: function (backup) {
+    return Object.assign({}, backup, { version: 3, favoriteHistory: {} });
+  },
+
+  // v3 → v4: favorite types can belong to groups; older backups have none
+  3: function (backup) {
+    return Object.assign({}, backup, { version: 4, categoryGroups: [] });
+  }
+};
+
+function buildBackup(profileId = activeProfileId) {
+  const data =
+    profileId === activeProfileId
+      ? { people, categories, categoryGroups, favorites, favoriteHistory }
+      : readProfileData(profileId);
+  const profile = profiles.find((p) => p.id === profileId);
+
+  return {
+    format: FF_BACKUP_FORMAT,
+    version: FF_BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    app: {
+      name: FF_APP_NAME,
+      version: FF_APP_VERSION
+    },
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    people: data.people,
+    categories: data.categories,
+    categoryGroups: data.categoryGroups,
+    favorites: data.favorites,
+    favoriteHistory: data.favoriteHistory
+  };
+}
+
+// Every profile in one document; each entry carries a regular backup so the
+// usual migrations apply per profile on import
+function buildProfilesBundle() {
+  return {
+    format: FF_BUNDLE_FORMAT,
+    version: FF_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    app: {
+      name: FF_APP_NAME,
+      version: FF_APP_VERSION
+    },
+    profiles: profiles.map((p) => ({ id: p.id, name: p.name, backup: buildBackup(p.id) }))
+  };
+}
+
+function isProfilesBundle(parsed) {
+  return !!parsed && typeof parsed === "object" && parsed.format === FF_BUNDLE_FORMAT;
+}
+
+function getBackupVersion(backup) {
+  // Backups without a version field predate the envelope
+  if (backup.version === undefined) return 0;
+  if (backup.format !== FF_BACKUP_FORMAT) return null;
+  if (!Number.isInteger(backup.version) || backup.version < 0) return null;
+  return backup.version;
+}
+
+// Upgrades any known backup version to FF_BACKUP_VERSION.
+// Throws an Error with a user-facing message when the backup can't be read.
+function migrateBackup(backup) {
+  if (!backup || typeof backup !== "object" || Array.isArray(backup)) {
+    throw new Error(t("backup.error.notObject", { type: describeJsonType(backup) }));
+  }
+
+  let version = getBackupVersion(backup);
+  if (version === null) {
+    throw new Error(t("backup.error.notBackup"));
+  }
+  if (version > FF_BACKUP_VERSION) {
+    throw new Error(t("backup.error.newer"));
+  }
+
+  let migrated = backup;
+  while (version < FF_BACKUP_VERSION) {
+    const step = BACKUP_MIGRATIONS[version];
+    if (!step) {
+      throw new Error(t("backup.error.noUpgrade", { version }));
+    }
+    migrated = step(migrated);
+    version = migrated.version;
+  }
+
+  const shapeError = findDataShapeError(migrated);
+  if (shapeError) throw new Error(shapeError);
+
+  return migrated;
+}
+
+/* ---------- Data Integrity ---------- */
+
+// What a data set ({people, categories, categoryGroups, favorites,
+// favoriteHistory}) must look like before it can be repaired at all.
+// Section and record names come from the catalog (data.section.<key>,
+// data.noun.<key>, data.unnamed.<key>).
+const DATA_SECTIONS = [
+  { key: "people", shape: "list" },
+  { key: "categories", shape: "list" },
+  { key: "categoryGroups", shape: "list" },
+  { key: "favorites", shape: "object" },
+  { key: "favoriteHistory", shape: "object" }
+];
+
+const INTEGRITY_RECORD_KINDS = [
+  { key: "people", idPrefix: "person_" },
+  { key: "categories", idPrefix: "cat_" },
+  { key: "categoryGroups", idPrefix: "grp_" }
+];
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function describeJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return t("json.list");
+  if (typeof value === "object") return t("json.object");
+  if (typeof value === "string") return t("json.text");
+  if (typeof value === "number") return t("json.number");
+  if (typeof value === "boolean") return t("json.boolean");
+  return t("json.other", { type: typeof value });
+}
+
+// Returns a user-facing message for data too broken to repair, or null.
+function findDataShapeError(data) {
+  for (const section of DATA_SECTIONS) {
+    const value = data[section.key];
+    const params = { section: t(`data.section.${section.key}`) };
+    if (value === undefined || value === null) {
+      return t("integrity.shape.missing", params);
+    }
+    params.type = describeJsonType(value);
+    if (section.shape === "list" && !Array.isArray(value)) {
+      return t("integrity.shape.notList", params);
+    }
+    if (section.shape === "object" && !isPlainObject(value)) {
+      return t("integrity.shape.notObject", params);
+    }
+    if (section.shape === "list" && value.length > 0 && !value.some(isPlainObject)) {
+      return t("integrity.shape.unreadable", params);
+    }
+  }
+  return null;
+}
+
+// Repaired ids come from the record's position rather than generateId(),
+// so a record fixed on screen but not yet saved gets the same id on every
+// load and favorites saved under it in the meantime still line up.
+function makeRepairedId(base, idx, taken) {
+  let id = `${base}${idx + 1}`;
+  while (taken.has(id)) id += "_";
+  return id;
+}
+
+function checkRecordList(list, kind, problems) {
+  const byId = new Map();
+  const result = [];
+  const noun = t(`data.noun.${kind.key}`);
+  const taken = new Set(list.filter(isPlainObject).map((raw) => raw.id));
+
+  list.forEach((raw, idx) => {
+    if (!isPlainObject(raw)) {
+      problems.push(t("integrity.notRecord", { noun, number: idx + 1, type: describeJsonType(raw) }));
+      return;
+    }
+    const record = Object.assign({}, raw);
+
+    if (typeof record.name !== "string" || !record.name.trim()) {
+      const name = typeof record.name === "number" ? String(record.name) : t(`data.unnamed.${kind.key}`);
+      problems.push(t("integrity.noName", { noun, name }));
+      record.name = name;
+    }
+    if (typeof record.id !== "string" || !record.id) {
+      record.id = makeRepairedId(`${kind.idPrefix}repaired_`, idx, taken);
+      problems.push(t("integrity.noId", { noun, name: record.name }));
+    } else if (byId.has(record.id)) {
+      problems.push(
+        t("integrity.duplicateId", { first: byId.get(record.id).name, name: record.name, id: record.id })
+      );
+      record.id = makeRepairedId(`${record.id}_`, idx, taken);
+    }
+    if (record.archived !== undefined && typeof record.archived !== "boolean") {
+      problems.push(t("integrity.badArchived", { noun, name: record.name }));
+    }
+    record.archived = record.archived === true;
+
+    byId.set(record.id, record);
+    taken.add(record.id);
+    result.push(record);
+  });
+
+  return result;
+}
+
+// Returns a cleaned copy of a favorites-shaped map ({catId: {personId: x}})
+// keeping only known ids; `cleanCell` returns null to drop a cell.
+function checkCellMap(map, categoryIds, personIds, cleanCell) {
+  const result = {};
+  let orphans = 0;
+  Object.keys(map).forEach((catId) => {
+    const cells = map[catId];
+    if (!categoryIds.has(catId) || !isPlainObject(cells)) {
+      orphans += isPlainObject(cells) ? Object.keys(cells).length : 1;
+      return;
+    }
+    Object.keys(cells).forEach((personId) => {
+      if (!personIds.has(personId)) {
+        orphans++;
+        return;
+      }
+      const cell = cleanCell(cells[personId]);
+      if (cell === null) return;
+      if (!result[catId]) result[catId] = {};
+      result[catId][personId] = cell;
+    });
+  });
+  return { map: result, orphans };
+}
+
+// Checks a data set for the problems the renderers can't cope with: bad
+// records, duplicate ids, orphaned favorites and non-text values. Returns
+// { problems: string[], data } where `data` is a repaired copy; the input
+// is left alone.
+function checkData(input) {
+  const problems = [];
+  const data = {};
+
+  INTEGRITY_RECORD_KINDS.forEach((kind) => {
+    data[kind.key] = checkRecordList(input[kind.key] || [], kind, problems);
+  });
+
+  const groupIds = new Set(data.categoryGroups.map((g) => g.id));
+  data.categories.forEach((c) => {
+    if (c.type !== undefined && !FIELD_TYPES[c.type]) {
+      problems.push(t("integrity.unknownType", { name: c.name }));
+      delete c.type;
+    }
+    if (c.groupId !== undefined && !groupIds.has(c.groupId)) {
+      problems.push(t("integrity.missingGroup", { name: c.name }));
+      delete c.groupId;
+    }
+  });
+  data.people.forEach((p) => {
+    if (p.occasions !== undefined && !Array.isArray(p.occasions)) {
+      problems.push(t("integrity.badOccasions", { name: p.name }));
+      delete p.occasions;
+    }
+  });
+
+  const categoryIds = new Set(data.categories.map((c) => c.id));
+  const personIds = new Set(data.people.map((p) => p.id));
+
+  let badValues = 0;
+  const favoritesCheck = checkCellMap(
+    isPlainObject(input.favorites) ? input.favorites : {},
+    categoryIds,
+    personIds,
+    (cell) => {
+      const list = Array.isArray(cell) ? cell : [cell];
+      const entries = [];
+      list.forEach((value) => {
+        if (typeof value === "string") {
+          entries.push(value);
+        } else if (typeof value === "number" || typeof value === "boolean") {
+          entries.push(String(value));
+          badValues++;
+        } else if (value !== null && value !== undefined) {
+          badValues++;
+        }
+      });
+      if (!Array.isArray(cell)) badValues++;
+      return entries;
+    }
+  );
+  data.favorites = favoritesCheck.map;
+
+  let badHistory = 0;
+  const historyCheck = checkCellMap(
+    isPlainObject(input.favoriteHistory) ? input.favoriteHistory : {},
+    categoryIds,
+    personIds,
+    (log) => {
+      if (!Array.isArray(log)) {
+        badHistory++;
+        return null;
+      }
+      const kept = log.filter((item) => isPlainObject(item) && Array.isArray(item.entries));
+      badHistory += log.length - kept.length;
+      return kept.map((item) =>
+        Object.assign({}, item, {
+          entries: toFavoriteEntries(item.entries),
+          at: typeof item.at === "string" ? item.at : null
+        })
+      );
+    }
+  );
+  data.favoriteHistory = historyCheck.map;
+
+  if (favoritesCheck.orphans > 0) {
+    problems.push(t("integrity.orphanFavorites", { count: favoritesCheck.orphans }));
+  }
+  if (badValues > 0) {
+    problems.push(t("integrity.badValues", { count: badValues }));
+  }
+  if (historyCheck.orphans + badHistory > 0) {
+    problems.push(t("integrity.badHistory", { count: historyCheck.orphans + badHistory }));
+  }
+
+  return { problems, data };
+}
+
+// Shared modal for integrity reports. `options`: { title, text, repairLabel,
+// onRepair } — onRepair runs when the repair button is pressed.
+let integrityRepairAction = null;
+
+function openIntegrityModal(problems, options) {
+  const backdrop = document.getElementById("integrityModal");
+  const title = document.getElementById("integrityModalTitle");
+  const text = document.getElementById("integrityModalText");
+  const list = document.getElementById("integrityModalList");
+  const repairBtn = document.getElementById("integrityModalRepairBtn");
+  if (!backdrop || !list || !repairBtn) return;
+
+  if (title) title.textContent = options.title;
+  if (text) text.textContent = options.text;
+  list.innerHTML = problems.map((p) => `<li>${escapeHtml(p)}</li>`).join("");
+  repairBtn.textContent = options.repairLabel;
+  integrityRepairAction = options.onRepair;
+  showDialog(backdrop, closeIntegrityModal);
+}
+
+function closeIntegrityModal() {
+  const backdrop = document.getElementById("integrityModal");
+  if (backdrop) hideDialog(backdrop);
+  integrityRepairAction = null;
+}
+
+// Problems found in the active household's saved data. The repaired copy
+// is what's on screen; repairing writes it back.
+let storedDataProblems = [];
+
+function updateIntegrityBanner() {
+  const banner = document.getElementById("integrityBanner");
+  if (!banner) return;
+
+  const count = storedDataProblems.length;
+  banner.hidden = count === 0;
+  if (count === 0) {
+    banner.innerHTML = "";
+    return;
+  }
+
+  banner.innerHTML =
+    `<span>${escapeHtml(t("integrity.banner", { count }))}</span> ` +
+    '<button type="button" id="integrityReviewBtn" class="small-btn secondary-btn">' +
+    `${escapeHtml(t("integrity.review"))}</button>`;
+  document.getElementById("integrityReviewBtn").addEventListener("click", () => {
+    openIntegrityModal(storedDataProblems, {
+      title: t("integrity.stored.title"),
+      text: t("integrity.stored.text"),
+      repairLabel: t("integrity.repair"),
+      onRepair: repairStoredData
+    });
+  });
+}
+
+function repairStoredData() {
+  const count = storedDataProblems.length;
+  dataStore.batch(() => {
+    savePeople();
+    saveCategories();
+    saveCategoryGroups();
+    saveFavorites();
+    saveFavoriteHistory();
+  }, "ui");
+  storedDataProblems = [];
+  updateIntegrityBanner();
+  showToast(t("integrity.repaired", { count }));
+}
+
+function openImportRepair(problems, onRepair) {
+  openIntegrityModal(problems, {
+    title: t("integrity.import.title"),
+    text: t("integrity.import.text"),
+    repairLabel: t("integrity.import.repair"),
+    onRepair
+  });
+}
+
+function setupIntegrityModal() {
+  const backdrop = document.getElementById("integrityModal");
+  const repairBtn = document.getElementById("integrityModalRepairBtn");
+  const closeBtn = document.getElementById("integrityModalCloseBtn");
+
+  if (repairBtn) {
+    repairBtn.addEventListener("click", () => {
+      const action = integrityRepairAction;
+      closeIntegrityModal();
+      if (action) action();
+    });
+  }
+  if (closeBtn) closeBtn.addEventListener("click", closeIntegrityModal);
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closeIntegrityModal();
+    });
+  }
+}
+
+/* ---------- Import / Export ---------- */
+
+// Clipboard first; where the clipboard is blocked (e.g., Notion Desktop) the
+// text is shown in the backup modal instead. onDone(copied) runs either way.
+function deliverExportText(text, onDone, labels) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text)
+      .then(() => {
+        onDone(true);
+      })
+      .catch(() => {
+        openBackupModal(text, labels);
+        onDone(false);
+      });
+  } else {
+    // Clipboard API not available → modal fallback
+    openBackupModal(text, labels);
+    onDone(false);
+  }
+}
+
+function exportFamilyFavoritesData() {
+  const backup = buildBackup();
+
+  // Prettified JSON for easier reading
+  const json = JSON.stringify(backup, null, 2);
+
+  deliverExportText(json, (copied) => {
+    recordBackupTime();
+    updateBackupReminder();
+    showToast(
+      copied ? t("export.copied") : t("export.ready")
+    );
+  });
+}
+
+function exportAllProfilesData() {
+  const json = JSON.stringify(buildProfilesBundle(), null, 2);
+
+  deliverExportText(json, (copied) => {
+    profiles.forEach((p) => recordBackupTime(p.id));
+    updateBackupReminder();
+    showToast(
+      copied ? t("export.allCopied") : t("export.allReady")
+    );
+  });
+}
+
+function importFamilyFavoritesData() {
+  openImportModal();
+}
+
+function parseBackupText(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error("Error parsing backup:", e);
+    showToast(t("import.invalidJson", { error: e.message }));
+    return null;
+  }
+}
+
+// Upgrades a parsed backup. Shows a toast and returns null on failure.
+function upgradeBackupOrWarn(parsed) {
+  try {
+    return migrateBackup(parsed);
+  } catch (e) {
+    showToast(e.message);
+    return null;
+  }
+}
+
+// Restores every profile in a bundle: matching ids are overwritten, new ones
+// are added, profiles not in the bundle are left alone.
+function restoreProfilesBundle(bundle) {
+  if (!Number.isInteger(bundle.version) || bundle.version > FF_BUNDLE_VERSION) {
+    showToast(t("backup.error.newer"));
+    return false;
+  }
+  if (!Array.isArray(bundle.profiles) || bundle.profiles.length === 0) {
+    showToast(t("import.bundleEmpty"));
+    return false;
+  }
+
+  // Upgrade everything first so a bad entry doesn't leave a half-restored set
+  const entries = [];
+  for (const entry of bundle.profiles) {
+    if (!entry || typeof entry.id !== "string" || !entry.id) {
+      showToast(t("import.bundleNoId"));
+      return false;
+    }
+    try {
+      entries.push({ id: entry.id, name: entry.name, backup: migrateBackup(entry.backup) });
+    } catch (e) {
+      showToast(`${entry.name || entry.id}: ${e.message}`);
+      return false;
+    }
+  }
+
+  const problems = [];
+  entries.forEach((entry) => {
+    const report = checkData(entry.backup);
+    report.problems.forEach((p) => problems.push(`${entry.name || entry.id}: ${p}`));
+    entry.backup = Object.assign({}, entry.backup, report.data);
+  });
+  if (problems.length > 0) {
+    openImportRepair(problems, () => {
+      if (writeProfilesBundle(entries)) closeImportModal();
+    });
+    return false;
+  }
+
+  return writeProfilesBundle(entries);
+}
+
+function writeProfilesBundle(entries) {
+  entries.forEach((entry) => {
+    const existing = profiles.find((p) => p.id === entry.id);
+    if (existing) {
+      if (entry.name) existing.name = String(entry.name);
+    } else {
+      profiles.push({ id: entry.id, name: String(entry.name || t("profile.fallbackName")) });
+    }
+    writeProfileData(entry.id, entry.backup);
+    safeRemove(profileKey(FF_UNDO_HISTORY_KEY, entry.id));
+  });
+  saveProfiles();
+
+  loadData();
+  renderAll();
+  showToast(t("import.restoredHouseholds", { count: entries.length }));
+  return true;
+}
+
+function replaceWithBackup(backup) {
+  try {
+    dataStore.replace(backup, "load");
+    pruneFavoriteHistory();
+    const activeCats = getActiveCategories();
+    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+    dataStore.commit(Object.keys(STORE_STORAGE_KEYS), "ui");
+
+    // Old undo steps describe data that no longer exists
+    clearUndoHistory();
+
+    showToast(t("import.done"));
+    return true;
+  } catch (e) {
+    console.error("Error importing data:", e);
+    showToast(t("import.error"));
+    return false;
+  }
+}
+
+function renderAll() {
+  renderProfileControls();
   renderPeopleManageList();
-  renderFavoritesList();
+  renderCategoryGroupControls();
+  renderCategoriesManageList();
+  renderCategorySelect();
+  updateBackupReminder();
+  updateUpcomingBanner();
+  renderOccasionsModal();
+}
+
+/* ---------- Merge Import ---------- */
+
+let pendingMergePlan = null;
+
+function normalizeName(name) {
+  return String(name == null ? "" : name).trim().toLowerCase();
+}
+
+// Matches incoming people or categories against local ones: by id first,
+// then by case-insensitive name. Returns how incoming ids map to local ids.
+function matchRecords(localList, incomingList, idPrefix) {
+  const idMap = {};
+  const added = [];
+  const updated = [];
+  const claimed = {};
+
+  incomingList.forEach((incoming) => {
+    if (!incoming || !incoming.id) return;
+
+    let local = localList.find((l) => l.id === incoming.id && !claimed[l.id]);
+    if (!local) {
+      const name = normalizeName(incoming.name);
+      local = localList.find((l) => !claimed[l.id] && normalizeName(l.name) === name);
+    }
+
+    if (!local) {
+      // Keep the incoming id unless a local record already uses it
+      const taken = localList.some((l) => l.id === incoming.id);
+      const id = taken ? generateId(idPrefix) : incoming.id;
+      idMap[incoming.id] = id;
+      added.push(Object.assign({}, incoming, { id }));
+      return;
+    }
+
+    claimed[local.id] = true;
+    idMap[incoming.id] = local.id;
+
+    const changes = {};
+    if (local.id === incoming.id && incoming.name && incoming.name !== local.name) {
+      changes.name = incoming.name;
+    }
+    if (!!incoming.archived !== !!local.archived) {
+      changes.archived = !!incoming.archived;
+    }
+    // Dates only fill in; local occasions and gift ideas are never replaced
+    if (getOccasions(incoming).length > 0 && getOccasions(local).length === 0) {
+      changes.occasions = cloneData(incoming.occasions);
+    }
+    // Likewise a group is only taken for types that have none here
+    if (incoming.groupId && !local.groupId) {
+      changes.groupId = incoming.groupId;
+    }
+    if (Object.keys(changes).length > 0) {
+      updated.push({ local, changes });
+    }
+  });
+
+  return { idMap, added, updated };
+}
+
+function planMerge(backup) {
+  const peoplePlan = matchRecords(people, backup.people, "person_");
+  const categoriesPlan = matchRecords(categories, backup.categories, "cat_");
+  const groupsPlan = matchRecords(categoryGroups, backup.categoryGroups, "grp_");
+
+  // Incoming types point at incoming group ids; re-key them to ours
+  const localGroupId = (groupId) => (groupId ? groupsPlan.idMap[groupId] || null : null);
+  categoriesPlan.added.forEach((c) => {
+    c.groupId = localGroupId(c.groupId);
+  });
+  categoriesPlan.updated.forEach((u) => {
+    if (u.changes.groupId !== undefined) u.changes.groupId = localGroupId(u.changes.groupId);
+  });
+
+  const allPeopleNames = {};
+  people.concat(peoplePlan.added).forEach((p) => (allPeopleNames[p.id] = p.name));
+  const allCategoryNames = {};
+  categories.concat(categoriesPlan.added).forEach((c) => (allCategoryNames[c.id] = c.name));
+
+  const addedFavorites = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  Object.keys(backup.favorites).forEach((incomingCatId) => {
+    const categoryId = categoriesPlan.idMap[incomingCatId];
+    const catFavs = backup.favorites[incomingCatId];
+    if (!categoryId || !catFavs || typeof catFavs !== "object") return;
+
+    Object.keys(catFavs).forEach((incomingPersonId) => {
+      const personId = peoplePlan.idMap[incomingPersonId];
+      if (!personId) return;
+
+      const theirs = toFavoriteEntries(catFavs[incomingPersonId])
+        .map((v) => v.trim())
+        .filter((v) => v.length > 0);
+      if (theirs.length === 0) return;
+
+      const mine = getFilledFavoriteEntries(categoryId, personId);
+      const entry = {
+        categoryId,
+        personId,
+        categoryName: allCategoryNames[categoryId],
+        personName: allPeopleNames[personId],
+        mine,
+        theirs
+      };
+
+      if (mine.length === 0) {
+        addedFavorites.push(entry);
+      } else if (sameFavoriteEntries(mine, theirs)) {
+        unchanged++;
+      } else {
+        conflicts.push(entry);
+      }
+    });
+  });
+
+  // Incoming history re-keyed to local ids
+  const historyByCell = {};
+  Object.keys(backup.favoriteHistory).forEach((incomingCatId) => {
+    const categoryId = categoriesPlan.idMap[incomingCatId];
+    const catHistory = backup.favoriteHistory[incomingCatId];
+    if (!categoryId || !catHistory || typeof catHistory !== "object") return;
+    Object.keys(catHistory).forEach((incomingPersonId) => {
+      const personId = peoplePlan.idMap[incomingPersonId];
+      if (!personId || !Array.isArray(catHistory[incomingPersonId])) return;
+      if (!historyByCell[categoryId]) historyByCell[categoryId] = {};
+      historyByCell[categoryId][personId] = catHistory[incomingPersonId];
+    });
+  });
+
+  return {
+    people: peoplePlan,
+    categories: categoriesPlan,
+    groups: groupsPlan,
+    favorites: { added: addedFavorites, conflicts, unchanged },
+    favoriteHistory: historyByCell
+  };
+}
+
+function resolveConflictValue(conflict, resolution) {
+  if (resolution === "theirs") return conflict.theirs;
+  if (resolution === "both") {
+    // Mine keep their ranks; theirs follow, minus duplicates
+    const seen = {};
+    conflict.mine.forEach((v) => (seen[normalizeName(v)] = true));
+    return conflict.mine.concat(conflict.theirs.filter((v) => !seen[normalizeName(v)]));
+  }
+  return conflict.mine;
 }
 
-/* ---------- Add Category (settings) ---------- */
+// resolutions: array parallel to plan.favorites.conflicts ("mine" | "theirs" | "both")
+function applyMerge(plan, resolutions) {
+  const before = snapshotUndoState();
 
-function handleAddCategoryFromSettings() {
-  const input = document.getElementById("settingsNewCategoryInput");
-  if (!input) return;
+  plan.people.added.forEach((p) => {
+    const person = { id: p.id, name: p.name, archived: !!p.archived };
+    if (getOccasions(p).length > 0) person.occasions = cloneData(p.occasions);
+    people.push(person);
+  });
+  plan.people.updated.forEach((u) => Object.assign(u.local, u.changes));
 
-  const name = input.value.trim();
-  if (!name) {
-    showToast("Enter a favorite type before adding.");
+  plan.groups.added.forEach((g) => {
+    categoryGroups.push({ id: g.id, name: g.name, archived: !!g.archived });
+  });
+  plan.groups.updated.forEach((u) => Object.assign(u.local, u.changes));
+
+  plan.categories.added.forEach((c) => {
+    const category = { id: c.id, name: c.name, archived: !!c.archived };
+    if (getFieldType(c) !== "text") category.type = c.type;
+    if (c.avoid) category.avoid = true;
+    if (c.groupId) category.groupId = c.groupId;
+    categories.push(category);
+  });
+  plan.categories.updated.forEach((u) => Object.assign(u.local, u.changes));
+
+  // Both timelines survive, whichever value won
+  Object.keys(plan.favoriteHistory).forEach((categoryId) => {
+    Object.keys(plan.favoriteHistory[categoryId]).forEach((personId) => {
+      setFavoriteHistory(
+        categoryId,
+        personId,
+        mergeFavoriteHistoryLogs(
+          getFavoriteHistory(categoryId, personId),
+          plan.favoriteHistory[categoryId][personId]
+        )
+      );
+    });
+  });
+
+  const setValue = (categoryId, personId, value) => {
+    const previous = snapshotFavorite(categoryId, personId);
+    if (!favorites[categoryId]) favorites[categoryId] = {};
+    favorites[categoryId][personId] = value;
+    recordFavoriteHistory(categoryId, personId, previous, value);
+  };
+
+  // One batch, so the history of every merged cell is saved once at the end
+  dataStore.batch(() => {
+    plan.favorites.added.forEach((f) => setValue(f.categoryId, f.personId, f.theirs));
+    plan.favorites.conflicts.forEach((f, idx) => {
+      setValue(f.categoryId, f.personId, resolveConflictValue(f, resolutions[idx]));
+    });
+    pruneFavoriteHistory();
+
+    savePeople();
+    saveCategories();
+    saveCategoryGroups();
+    saveFavorites();
+    saveFavoriteHistory();
+  }, "ui");
+
+  // The whole merge undoes in one step
+  recordUndoStep(t("undo.mergeImport"), diffUndoState(before, snapshotUndoState()));
+}
+
+function describeRecordUpdate(update) {
+  const parts = [];
+  if (update.changes.name !== undefined) {
+    parts.push(escapeHtml(t("merge.change.rename", { name: update.changes.name })));
+  }
+  if (update.changes.archived !== undefined) {
+    parts.push(escapeHtml(update.changes.archived ? t("merge.change.archive") : t("merge.change.restore")));
+  }
+  if (update.changes.occasions !== undefined) {
+    parts.push(escapeHtml(t("merge.change.occasions")));
+  }
+  if (update.changes.groupId) {
+    parts.push(escapeHtml(t("merge.change.group")));
+  }
+  return `${escapeHtml(update.local.name)}: ${parts.join(", ")}`;
+}
+
+function renderMergePreview(plan) {
+  const container = document.getElementById("importPreview");
+  if (!container) return;
+
+  const added = [];
+  plan.people.added.forEach((p) => added.push(escapeHtml(t("merge.added.person", { name: p.name }))));
+  plan.groups.added.forEach((g) => added.push(escapeHtml(t("merge.added.group", { name: g.name }))));
+  plan.categories.added.forEach((c) => added.push(escapeHtml(t("merge.added.type", { name: c.name }))));
+  plan.favorites.added.forEach((f) => {
+    added.push(
+      `${escapeHtml(f.personName)} · ${escapeHtml(f.categoryName)}: ` +
+        escapeHtml(formatFavoriteEntries(f.theirs))
+    );
+  });
+
+  const updated = [];
+  const updateLine = (kind, u) => `${escapeHtml(t(`merge.updated.${kind}`))} ${describeRecordUpdate(u)}`;
+  plan.people.updated.forEach((u) => updated.push(updateLine("person", u)));
+  plan.groups.updated.forEach((u) => updated.push(updateLine("group", u)));
+  plan.categories.updated.forEach((u) => updated.push(updateLine("type", u)));
+
+  const listHtml = (items) =>
+    items.length === 0
+      ? `<p class="widget-footer-text">${escapeHtml(t("merge.nothing"))}</p>`
+      : `<ul class="import-preview-list">${items.map((i) => `<li>${i}</li>`).join("")}</ul>`;
+
+  let conflictsHtml = `<p class="widget-footer-text">${escapeHtml(t("merge.noConflicts"))}</p>`;
+  if (plan.favorites.conflicts.length > 0) {
+    conflictsHtml = plan.favorites.conflicts
+      .map(
+        (f, idx) => `
+        <div class="import-conflict">
+          <div class="manage-name">${escapeHtml(f.personName)} · ${escapeHtml(f.categoryName)}</div>
+          <div class="manage-status">${escapeHtml(t("merge.mine", { value: formatFavoriteEntries(f.mine) }))}</div>
+          <div class="manage-status">${escapeHtml(t("merge.theirs", { value: formatFavoriteEntries(f.theirs) }))}</div>
+          <select class="import-conflict-select" data-conflict-index="${idx}"
+            aria-label="${escapeHtml(`${f.personName} · ${f.categoryName}`)}">
+            <option value="mine">${escapeHtml(t("merge.keepMine"))}</option>
+            <option value="theirs">${escapeHtml(t("merge.takeTheirs"))}</option>
+            <option value="both">${escapeHtml(t("merge.keepBoth"))}</option>
+          </select>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  container.innerHTML = `
+    <div class="import-preview-section">
+      <h3>${escapeHtml(t("merge.heading.added", { count: added.length }))}</h3>
+      ${listHtml(added)}
+    </div>
+    <div class="import-preview-section">
+      <h3>${escapeHtml(t("merge.heading.updated", { count: updated.length }))}</h3>
+      ${listHtml(updated)}
+    </div>
+    <div class="import-preview-section">
+      <h3>${escapeHtml(t("merge.heading.conflicts", { count: plan.favorites.conflicts.length }))}</h3>
+      ${conflictsHtml}
+    </div>
+    ${
+      plan.favorites.unchanged > 0
+        ? `<p class="widget-footer-text">${escapeHtml(t("merge.unchanged", { count: plan.favorites.unchanged }))}</p>`
+        : ""
+    }
+  `;
+}
+
+function getConflictResolutions() {
+  const resolutions = [];
+  document.querySelectorAll(".import-conflict-select").forEach((select) => {
+    const idx = Number(select.getAttribute("data-conflict-index"));
+    resolutions[idx] = select.value;
+  });
+  return resolutions;
+}
+
+/* ---------- Import Modal ---------- */
+
+function showImportStep(step) {
+  const pasteStep = document.getElementById("importModalPasteStep");
+  const previewStep = document.getElementById("importModalPreviewStep");
+  if (!pasteStep || !previewStep) return;
+  pasteStep.hidden = step !== "paste";
+  previewStep.hidden = step !== "preview";
+  focusDialogStep(step === "paste" ? pasteStep : previewStep);
+}
+
+function openImportModal() {
+  const backdrop = document.getElementById("importModal");
+  const textarea = document.getElementById("importModalTextarea");
+  if (!backdrop || !textarea) return;
+
+  pendingMergePlan = null;
+  textarea.value = "";
+  updateImportModeForBundle();
+  showImportStep("paste");
+  showDialog(backdrop, closeImportModal);
+
+  setTimeout(() => textarea.focus(), 20);
+}
+
+function closeImportModal() {
+  const backdrop = document.getElementById("importModal");
+  if (!backdrop) return;
+  hideDialog(backdrop);
+  pendingMergePlan = null;
+}
+
+// A bundle of every household can only be restored (matching households are
+// replaced), so merge is switched off while one is pasted.
+function updateImportModeForBundle() {
+  const textarea = document.getElementById("importModalTextarea");
+  const mergeRadio = document.querySelector('input[name="importMode"][value="merge"]');
+  const replaceRadio = document.querySelector('input[name="importMode"][value="replace"]');
+  const note = document.getElementById("importBundleNote");
+  if (!textarea || !mergeRadio || !replaceRadio) return;
+
+  let isBundle = false;
+  if (textarea.value.includes(FF_BUNDLE_FORMAT)) {
+    try {
+      isBundle = isProfilesBundle(JSON.parse(textarea.value));
+    } catch (e) {
+      isBundle = false;
+    }
+  }
+
+  mergeRadio.disabled = isBundle;
+  if (isBundle) replaceRadio.checked = true;
+  if (note) note.hidden = !isBundle;
+}
+
+function getSelectedImportMode() {
+  const checked = document.querySelector('input[name="importMode"]:checked');
+  return checked ? checked.value : "merge";
+}
+
+function handleImportContinue() {
+  const textarea = document.getElementById("importModalTextarea");
+  if (!textarea) return;
+
+  const raw = textarea.value.trim();
+  if (!raw) {
+    showToast(t("import.pasteFirst"));
+    return;
+  }
+
+  const parsed = parseBackupText(raw);
+  if (!parsed) return;
+
+  if (isProfilesBundle(parsed)) {
+    updateImportModeForBundle();
+    if (!window.confirm(t("import.confirmBundle"))) return;
+    if (restoreProfilesBundle(parsed)) closeImportModal();
+    return;
+  }
+
+  const backup = upgradeBackupOrWarn(parsed);
+  if (!backup) return;
+
+  const report = checkData(backup);
+  if (report.problems.length > 0) {
+    openImportRepair(report.problems, () => continueImport(Object.assign({}, backup, report.data)));
+    return;
+  }
+  continueImport(backup);
+}
+
+function continueImport(backup) {
+  if (getSelectedImportMode() === "replace") {
+    if (!window.confirm(t("import.confirmReplace"))) return;
+    if (replaceWithBackup(backup)) closeImportModal();
+    return;
+  }
+
+  pendingMergePlan = planMerge(backup);
+  renderMergePreview(pendingMergePlan);
+  showImportStep("preview");
+}
+
+function handleImportApply() {
+  if (!pendingMergePlan) return;
+
+  const plan = pendingMergePlan;
+  try {
+    applyMerge(plan, getConflictResolutions());
+  } catch (e) {
+    console.error("Error merging data:", e);
+    showToast(t("merge.error"));
+    return;
+  }
+
+  closeImportModal();
+
+  const addedCount =
+    plan.people.added.length +
+    plan.groups.added.length +
+    plan.categories.added.length +
+    plan.favorites.added.length;
+  const updatedCount =
+    plan.people.updated.length + plan.groups.updated.length + plan.categories.updated.length;
+  showToast(
+    t("merge.done", {
+      added: addedCount,
+      updated: updatedCount,
+      conflicts: t("merge.conflictsResolved", { count: plan.favorites.conflicts.length })
+    })
+  );
+}
+
+function setupImportModal() {
+  const backdrop = document.getElementById("importModal");
+  const continueBtn = document.getElementById("importModalContinueBtn");
+  const cancelBtn = document.getElementById("importModalCancelBtn");
+  const applyBtn = document.getElementById("importModalApplyBtn");
+  const backBtn = document.getElementById("importModalBackBtn");
+
+  if (continueBtn) continueBtn.addEventListener("click", handleImportContinue);
+  const textarea = document.getElementById("importModalTextarea");
+  if (textarea) textarea.addEventListener("input", updateImportModeForBundle);
+  if (cancelBtn) cancelBtn.addEventListener("click", closeImportModal);
+  if (applyBtn) applyBtn.addEventListener("click", handleImportApply);
+  if (backBtn) {
+    backBtn.addEventListener("click", () => {
+      pendingMergePlan = null;
+      showImportStep("paste");
+    });
+  }
+
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) {
+        closeImportModal();
+      }
+    });
+  }
+}
+
+/* ---------- CSV Import / Export ---------- */
+
+// Two layouts, both using the active people and types:
+//   wide — "Favorite type" column, then one column per person
+//   long — one row per favorite: Person, Favorite type, Favorite
+// A ranked list sits in one wide cell as separate lines, and as
+// consecutive rows (best first) in the long layout.
+const CSV_BOM = "\uFEFF";
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+let pendingCsvRows = null; // parsed rows while the CSV import modal is open
+
+function csvEscape(value) {
+  const text = String(value == null ? "" : value);
+  if (!/[",;\t\r\n]/.test(text) && text.trim() === text) return text;
+  return '"' + text.replace(/"/g, '""') + '"';
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvEscape).join(",")).join("\r\n") + "\r\n";
+}
+
+// Spreadsheets in some locales save with ";" or tabs instead of commas.
+// The first record decides.
+function detectCsvDelimiter(text) {
+  const counts = {};
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && CSV_DELIMITERS.includes(ch)) counts[ch] = (counts[ch] || 0) + 1;
+  }
+  return CSV_DELIMITERS.reduce((best, d) => ((counts[d] || 0) > (counts[best] || 0) ? d : best), ",");
+}
+
+// Returns one array of fields per record, blank lines included, so record
+// numbers line up with spreadsheet row numbers. Throws on an unclosed quote.
+function parseCsv(text) {
+  if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let atFieldStart = true; // a quote only opens a quoted field here: 5" sub stays as typed
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const fieldStart = atFieldStart;
+    atFieldStart = false;
+    if (inQuotes) {
+      if (ch !== '"') {
+        field += ch;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (ch === '"' && fieldStart) {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+      atFieldStart = true;
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      atFieldStart = true;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(t("csv.error.unclosedQuote"));
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function isBlankCsvRow(row) {
+  return row.every((field) => field.trim() === "");
+}
+
+function splitCsvEntries(value) {
+  return String(value || "")
+    .split(/\r?\n/)
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+function buildWideCsvRows() {
+  const activePeople = getActivePeople();
+  const rows = [[t("csv.header.type")].concat(activePeople.map((p) => p.name))];
+  getActiveCategories().forEach((cat) => {
+    rows.push(
+      [cat.name].concat(activePeople.map((p) => getFilledFavoriteEntries(cat.id, p.id).join("\n")))
+    );
+  });
+  return rows;
+}
+
+function buildLongCsvRows() {
+  const rows = [[t("csv.header.person"), t("csv.header.type"), t("csv.header.favorite")]];
+  getActivePeople().forEach((person) => {
+    getActiveCategories().forEach((cat) => {
+      getFilledFavoriteEntries(cat.id, person.id).forEach((entry) => {
+        rows.push([person.name, cat.name, entry]);
+      });
+    });
+  });
+  return rows;
+}
+
+// Returns false when the browser can't save files (e.g. some embeds).
+function downloadTextFile(filename, text, type) {
+  if (!window.URL || !URL.createObjectURL) return false;
+  try {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (e) {
+    console.error("Error downloading file:", e);
+    return false;
+  }
+}
+
+function exportFavoritesCsv() {
+  const layoutSelect = document.getElementById("csvLayoutSelect");
+  const layout = layoutSelect && layoutSelect.value === "long" ? "long" : "wide";
+  const csv = toCsv(layout === "long" ? buildLongCsvRows() : buildWideCsvRows());
+
+  // The BOM tells Excel the file is UTF-8
+  if (downloadTextFile(`family-favorites-${layout}.csv`, CSV_BOM + csv, "text/csv;charset=utf-8")) {
+    showToast(t("csv.downloaded"));
+    return;
+  }
+  const labels = {
+    title: t("csv.modal.title"),
+    text: t("csv.modal.text")
+  };
+  deliverExportText(csv, (copied) => {
+    showToast(copied ? t("csv.copied") : t("csv.ready"));
+  }, labels);
+}
+
+/* ---------- CSV Import ---------- */
+
+function findCsvColumn(header, names) {
+  return header.findIndex((h) => names.includes(normalizeName(h)));
+}
+
+// Guesses a layout and column mapping from the header row. Headers are
+// recognised in every language the widget speaks, so a sheet exported in
+// Spanish still imports on a German screen.
+function guessCsvMapping(header) {
+  const person = findCsvColumn(header, [
+    "person", "name", "who", "family member", "persona", "nombre", "familiar", "familienmitglied"
+  ]);
+  const type = findCsvColumn(header, [
+    "favorite type", "type", "category", "tipo de favorito", "tipo", "categoría", "favoritenart", "art", "kategorie"
+  ]);
+  const value = findCsvColumn(header, [
+    "favorite", "value", "favorites", "favorito", "favoritos", "valor", "favorit", "favoriten", "wert"
+  ]);
+
+  if (person >= 0 && value >= 0) {
+    return {
+      layout: "long",
+      personColumn: person,
+      typeColumn: type >= 0 ? type : [0, 1, 2].find((i) => i !== person && i !== value),
+      valueColumn: value
+    };
+  }
+  return { layout: "wide", typeColumn: type >= 0 ? type : 0 };
+}
+
+// Turns parsed rows into per-cell favorites keyed by names, plus the rows
+// that could not be used. Row numbers are 1-based like in a spreadsheet.
+function planCsvImport(rows, mapping) {
+  const header = rows[0] || [];
+  const cells = new Map();
+  const skipped = [];
+
+  const addEntries = (personName, typeName, entries) => {
+    const key = normalizeName(personName) + "\u0000" + normalizeName(typeName);
+    if (!cells.has(key)) {
+      cells.set(key, { personName: personName.trim(), typeName: typeName.trim(), entries: [] });
+    }
+    const cell = cells.get(key);
+    entries.forEach((entry) => {
+      if (!cell.entries.includes(entry)) cell.entries.push(entry);
+    });
+  };
+
+  if (mapping.layout === "wide") {
+    const personColumns = [];
+    header.forEach((name, idx) => {
+      if (idx === mapping.typeColumn) return;
+      if (name.trim()) personColumns.push(idx);
+    });
+
+    rows.slice(1).forEach((row, idx) => {
+      const rowNumber = idx + 2;
+      if (isBlankCsvRow(row)) return;
+      const typeName = row[mapping.typeColumn] || "";
+      if (!typeName.trim()) {
+        skipped.push({ row: rowNumber, reason: t("csv.skip.noType") });
+        return;
+      }
+      if (row.length > header.length) {
+        skipped.push({ row: rowNumber, reason: t("csv.skip.tooManyCells") });
+        return;
+      }
+      personColumns.forEach((col) => {
+        const entries = splitCsvEntries(row[col]);
+        if (entries.length > 0) addEntries(header[col], typeName, entries);
+      });
+    });
+  } else {
+    rows.slice(1).forEach((row, idx) => {
+      const rowNumber = idx + 2;
+      if (isBlankCsvRow(row)) return;
+      const personName = row[mapping.personColumn] || "";
+      const typeName = row[mapping.typeColumn] || "";
+      const entries = splitCsvEntries(row[mapping.valueColumn]);
+
+      if (!personName.trim()) skipped.push({ row: rowNumber, reason: t("csv.skip.noPerson") });
+      else if (!typeName.trim()) skipped.push({ row: rowNumber, reason: t("csv.skip.noType") });
+      else if (entries.length === 0) skipped.push({ row: rowNumber, reason: t("csv.skip.noFavorite") });
+      else addEntries(personName, typeName, entries);
+    });
+  }
+
+  return { cells: Array.from(cells.values()), skipped };
+}
+
+// Finds a person or type by name (archived ones included) or creates it.
+function findOrCreateRecord(list, name, idPrefix, target, changes) {
+  const existing = list.find((r) => normalizeName(r.name) === normalizeName(name));
+  if (existing) return { record: existing, created: false };
+
+  const record = { id: generateId(idPrefix), name, archived: false };
+  list.push(record);
+  changes.push({ target, id: record.id, before: null, after: snapshotRecord(list, record.id) });
+  return { record, created: true };
+}
+
+// Imported cells replace the matching lists; everything else is left alone.
+// The whole import is one undo step.
+function applyCsvImport(plan) {
+  const changes = [];
+  const result = { people: 0, categories: 0, favorites: 0, unchanged: 0, invalid: 0 };
+
+  // One batch, so the history of every cell is saved once at the end
+  dataStore.batch(() => {
+    plan.cells.forEach((cell) => {
+      const person = findOrCreateRecord(people, cell.personName, "person_", "person", changes);
+      const category = findOrCreateRecord(categories, cell.typeName, "cat_", "category", changes);
+      if (person.created) result.people++;
+      if (category.created) result.categories++;
+
+      const personId = person.record.id;
+      const categoryId = category.record.id;
+
+      // Typed types keep only values that fit, and a single one where lists aren't allowed
+      const type = getFieldType(category.record);
+      let entries = cell.entries.map((v) => normalizeFieldValue(type, v));
+      result.invalid += entries.filter((v) => v === null).length;
+      entries = entries.filter((v) => v);
+      if (!allowsMultipleEntries(category.record)) entries = entries.slice(0, 1);
+      if (entries.length === 0) return;
+
+      if (sameFavoriteEntries(getFilledFavoriteEntries(categoryId, personId), entries)) {
+        result.unchanged++;
+        return;
+      }
+
+      const before = snapshotFavorite(categoryId, personId);
+      if (!favorites[categoryId]) favorites[categoryId] = {};
+      favorites[categoryId][personId] = entries;
+      recordFavoriteHistory(categoryId, personId, before, entries);
+      changes.push({
+        target: "favorite",
+        categoryId,
+        personId,
+        before,
+        after: snapshotFavorite(categoryId, personId)
+      });
+      result.favorites++;
+    });
+
+    if (!currentCategoryId) {
+      const activeCats = getActiveCategories();
+      currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+    }
+    savePeople();
+    saveCategories();
+    saveFavorites();
+  }, "ui");
+  recordUndoStep(t("undo.importCsv"), changes);
+  return result;
+}
+
+/* ---------- CSV Import Modal ---------- */
+
+function showCsvImportStep(step) {
+  const stepId = (name) => "csvImport" + name[0].toUpperCase() + name.slice(1) + "Step";
+  ["paste", "map", "report"].forEach((name) => {
+    const el = document.getElementById(stepId(name));
+    if (el) el.hidden = step !== name;
+  });
+  focusDialogStep(document.getElementById(stepId(step)));
+}
+
+function openCsvImportModal() {
+  const backdrop = document.getElementById("csvImportModal");
+  const textarea = document.getElementById("csvImportTextarea");
+  const fileInput = document.getElementById("csvImportFile");
+  if (!backdrop || !textarea) return;
+
+  pendingCsvRows = null;
+  textarea.value = "";
+  if (fileInput) fileInput.value = "";
+  showCsvImportStep("paste");
+  showDialog(backdrop, closeCsvImportModal);
+
+  setTimeout(() => textarea.focus(), 20);
+}
+
+function closeCsvImportModal() {
+  const backdrop = document.getElementById("csvImportModal");
+  if (!backdrop) return;
+  hideDialog(backdrop);
+  pendingCsvRows = null;
+}
+
+function fillCsvColumnSelect(id, header, selected) {
+  const select = document.getElementById(id);
+  if (!select) return;
+  select.innerHTML = "";
+  header.forEach((name, idx) => {
+    const opt = document.createElement("option");
+    opt.value = String(idx);
+    opt.textContent = name.trim() || t("csv.column", { number: idx + 1 });
+    select.appendChild(opt);
+  });
+  select.value = String(selected);
+}
+
+function readCsvMapping() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? Number(el.value) : 0;
+  };
+  const layoutSelect = document.getElementById("csvImportLayout");
+  if (layoutSelect && layoutSelect.value === "long") {
+    return {
+      layout: "long",
+      personColumn: value("csvLongPersonColumn"),
+      typeColumn: value("csvLongTypeColumn"),
+      valueColumn: value("csvLongValueColumn")
+    };
+  }
+  return { layout: "wide", typeColumn: value("csvWideTypeColumn") };
+}
+
+function renderCsvImportSummary() {
+  const summary = document.getElementById("csvImportSummary");
+  if (!summary || !pendingCsvRows) return;
+
+  const mapping = readCsvMapping();
+  document.querySelectorAll("[data-csv-layout]").forEach((el) => {
+    el.hidden = el.getAttribute("data-csv-layout") !== mapping.layout;
+  });
+
+  const plan = planCsvImport(pendingCsvRows, mapping);
+  const peopleNames = new Set(plan.cells.map((c) => normalizeName(c.personName)));
+  const typeNames = new Set(plan.cells.map((c) => normalizeName(c.typeName)));
+  summary.textContent =
+    t("csv.summary", {
+      people: t("count.people", { count: peopleNames.size }),
+      types: t("count.types", { count: typeNames.size })
+    }) + (plan.skipped.length > 0 ? " " + t("csv.summarySkipped", { count: plan.skipped.length }) : "");
+}
+
+function handleCsvImportContinue() {
+  const textarea = document.getElementById("csvImportTextarea");
+  if (!textarea) return;
+
+  if (!textarea.value.trim()) {
+    showToast(t("csv.pasteFirst"));
+    return;
+  }
+
+  let rows;
+  try {
+    rows = parseCsv(textarea.value);
+  } catch (e) {
+    showToast(e.message);
+    return;
+  }
+  if (rows.length < 2 || rows[0].length < 2) {
+    showToast(t("csv.needRows"));
+    return;
+  }
+
+  pendingCsvRows = rows;
+  const header = rows[0];
+  const guess = guessCsvMapping(header);
+  const layoutSelect = document.getElementById("csvImportLayout");
+  if (layoutSelect) layoutSelect.value = guess.layout;
+
+  fillCsvColumnSelect("csvWideTypeColumn", header, guess.typeColumn);
+  fillCsvColumnSelect("csvLongPersonColumn", header, guess.layout === "long" ? guess.personColumn : 0);
+  fillCsvColumnSelect("csvLongTypeColumn", header, guess.layout === "long" ? guess.typeColumn : 1);
+  fillCsvColumnSelect("csvLongValueColumn", header, guess.layout === "long" ? guess.valueColumn : 2);
+
+  renderCsvImportSummary();
+  showCsvImportStep("map");
+}
+
+function renderCsvImportReport(result, skipped) {
+  const report = document.getElementById("csvImportReport");
+  if (!report) return;
+
+  let items = skipped
+    .map((s) => `<li>${escapeHtml(t("csv.report.row", { row: s.row, reason: s.reason }))}</li>`)
+    .join("");
+  if (result.invalid > 0) {
+    items += `<li>${escapeHtml(t("csv.report.invalid", { count: result.invalid }))}</li>`;
+  }
+  const heading = t("csv.report.heading", {
+    lists: t("count.favoriteLists", { count: result.favorites }),
+    rows: t("count.rows", { count: skipped.length })
+  });
+  report.innerHTML =
+    '<section class="import-preview-section">' +
+    `<h3>${escapeHtml(heading)}</h3>` +
+    `<ul class="import-preview-list">${items}</ul>` +
+    "</section>";
+}
+
+function handleCsvImportApply() {
+  if (!pendingCsvRows) return;
+
+  const plan = planCsvImport(pendingCsvRows, readCsvMapping());
+  if (plan.cells.length === 0) {
+    showToast(t("csv.noFavorites"));
+    return;
+  }
+
+  let result;
+  try {
+    result = applyCsvImport(plan);
+  } catch (e) {
+    console.error("Error importing CSV:", e);
+    showToast(t("csv.error"));
     return;
   }
 
-  addCategory(name);
-  input.value = "";
+  showUndoToast(
+    t("csv.imported", {
+      people: t("count.people", { count: result.people }),
+      types: t("count.types", { count: result.categories }),
+      lists: t("count.favoriteLists", { count: result.favorites })
+    })
+  );
+
+  if (plan.skipped.length > 0 || result.invalid > 0) {
+    pendingCsvRows = null;
+    renderCsvImportReport(result, plan.skipped);
+    showCsvImportStep("report");
+  } else {
+    closeCsvImportModal();
+  }
+}
+
+function setupCsvControls() {
+  const exportBtn = document.getElementById("exportCsvBtn");
+  const importBtn = document.getElementById("importCsvBtn");
+  const backdrop = document.getElementById("csvImportModal");
+  const fileInput = document.getElementById("csvImportFile");
+  const textarea = document.getElementById("csvImportTextarea");
+
+  if (exportBtn) exportBtn.addEventListener("click", exportFavoritesCsv);
+  if (importBtn) importBtn.addEventListener("click", openCsvImportModal);
+
+  const bind = (id, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("click", handler);
+  };
+  bind("csvImportContinueBtn", handleCsvImportContinue);
+  bind("csvImportCancelBtn", closeCsvImportModal);
+  bind("csvImportApplyBtn", handleCsvImportApply);
+  bind("csvImportDoneBtn", closeCsvImportModal);
+  bind("csvImportBackBtn", () => {
+    pendingCsvRows = null;
+    showCsvImportStep("paste");
+  });
+
+  ["csvImportLayout", "csvWideTypeColumn", "csvLongPersonColumn", "csvLongTypeColumn", "csvLongValueColumn"]
+    .forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.addEventListener("change", renderCsvImportSummary);
+    });
+
+  if (fileInput && textarea) {
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        textarea.value = String(reader.result || "");
+      };
+      reader.onerror = () => showToast(t("csv.readError"));
+      reader.readAsText(file, "utf-8");
+    });
+  }
+
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closeCsvImportModal();
+    });
+  }
+}
+
+/* ---------- Shared Snapshot Links ---------- */
+
+// Link layout: #share=<link version>.<codec>.<base64url payload>
+// The payload is a regular backup trimmed to the chosen people and types,
+// so older links keep opening through the backup migrations.
+// Codec "z" is deflate-raw compressed JSON, "j" is plain JSON for browsers
+// without CompressionStream.
+const SHARE_LINK_VERSION = 1;
+const SHARE_HASH_PREFIX = "#share=";
+const SHARE_LINK_WARN_LENGTH = 8000; // some apps truncate longer links
+
+let sharedBackup = null; // the backup being viewed while viewingSnapshot
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
 }
 
-function addCategory(name) {
-  const id = "cat_" + Date.now() + "_" + Math.floor(Math.random() * 9999);
-  categories.push({ id, name, archived: false });
-  saveCategories();
-  showToast(`Added favorite type: ${name}.`);
-  renderCategoriesManageList();
-  renderCategorySelect();
+function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Response(stream).arrayBuffer().then((buffer) => new Uint8Array(buffer));
 }
 
-/* ---------- Manage People (archive / restore / delete) ---------- */
+function encodeSharePayload(backup) {
+  const bytes = new TextEncoder().encode(JSON.stringify(backup));
+  const plain = () => SHARE_LINK_VERSION + ".j." + bytesToBase64Url(bytes);
+
+  if (typeof CompressionStream === "undefined") return Promise.resolve(plain());
+  // Some browsers have CompressionStream without "deflate-raw" and throw
+  // from the constructor; those links go out uncompressed
+  return Promise.resolve()
+    .then(() => pipeBytes(bytes, new CompressionStream("deflate-raw")))
+    .then(
+      (compressed) => SHARE_LINK_VERSION + ".z." + bytesToBase64Url(compressed),
+      (e) => {
+        console.error("Compressing the share link failed:", e);
+        return plain();
+      }
+    );
+}
 
-function renderPeopleManageList() {
-  const container = document.getElementById("peopleList");
-  if (!container) return;
+// Resolves to a migrated backup; rejects with a user-facing message.
+function decodeSharePayload(payload) {
+  const parts = payload.split(".");
+  const version = Number(parts[0]);
 
-  if (people.length === 0) {
-    container.innerHTML = '<p class="widget-footer-text">No family members yet.</p>';
-    return;
+  if (parts.length !== 3 || !Number.isInteger(version) || version < 1) {
+    return Promise.reject(new Error(t("share.error.damaged")));
+  }
+  if (version > SHARE_LINK_VERSION) {
+    return Promise.reject(
+      new Error(t("share.error.newer"))
+    );
   }
 
-  let html = "";
-  people.forEach((p) => {
-    html += `
-      <div class="manage-row">
-        <div>
-          <div class="manage-name">${escapeHtml(p.name)}</div>
-          <div class="manage-status">${p.archived ? "Archived" : "Active"}</div>
-        </div>
-        <div class="manage-actions">
-          ${
-            p.archived
-              ? `<button class="small-btn" data-action="restorePerson" data-id="${p.id}">Restore</button>`
-              : `<button class="small-btn secondary-btn" data-action="archivePerson" data-id="${p.id}">Archive</button>`
-          }
-          <button class="small-btn secondary-btn" data-action="deletePerson" data-id="${p.id}">Delete</button>
-        </div>
-      </div>
-    `;
-  });
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(parts[2]);
+  } catch (e) {
+    return Promise.reject(new Error(t("share.error.damaged")));
+  }
 
-  container.innerHTML = html;
+  let inflated;
+  if (parts[1] === "j") {
+    inflated = Promise.resolve(bytes);
+  } else if (parts[1] === "z" && typeof DecompressionStream !== "undefined") {
+    let stream;
+    try {
+      stream = new DecompressionStream("deflate-raw");
+    } catch (e) {
+      return Promise.reject(new Error(t("share.error.compressed")));
+    }
+    inflated = pipeBytes(bytes, stream);
+  } else if (parts[1] === "z") {
+    return Promise.reject(new Error(t("share.error.compressed")));
+  } else {
+    return Promise.reject(new Error(t("share.error.damaged")));
+  }
 
-  container.querySelectorAll("button[data-action]").forEach((btn) => {
-    const action = btn.getAttribute("data-action");
-    const id = btn.getAttribute("data-id");
-    btn.addEventListener("click", function () {
-      if (action === "archivePerson") archivePerson(id);
-      if (action === "restorePerson") restorePerson(id);
-      if (action === "deletePerson") deletePerson(id);
+  return inflated
+    .catch(() => {
+      throw new Error(t("share.error.damaged"));
+    })
+    .then((raw) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(new TextDecoder().decode(raw));
+      } catch (e) {
+        throw new Error(t("share.error.damaged"));
+      }
+      return migrateBackup(parsed);
     });
-  });
 }
 
-function archivePerson(id) {
-  const person = people.find((p) => p.id === id);
-  if (!person) return;
-  person.archived = true;
-  savePeople();
-  showToast(`Archived ${person.name}.`);
-  renderPeopleManageList();
-  renderFavoritesList();
+// A backup of the active household cut down to the chosen people and
+// types. History stays private: only current favorites travel.
+function buildShareSnapshot(personIds, categoryIds) {
+  const backup = buildBackup();
+  const keepPeople = new Set(personIds);
+  const keepCategories = new Set(categoryIds);
+
+  // Occasions hold gift ideas meant to stay hidden from the person the link is for.
+  backup.people = people
+    .filter((p) => keepPeople.has(p.id))
+    .map(({ occasions, ...person }) => person);
+  backup.categories = categories.filter((c) => keepCategories.has(c.id));
+  const usedGroups = new Set(backup.categories.map((c) => c.groupId));
+  backup.categoryGroups = categoryGroups.filter((g) => usedGroups.has(g.id));
+  backup.favorites = {};
+  backup.categories.forEach((cat) => {
+    backup.people.forEach((person) => {
+      const entries = getFilledFavoriteEntries(cat.id, person.id);
+      if (entries.length === 0) return;
+      if (!backup.favorites[cat.id]) backup.favorites[cat.id] = {};
+      backup.favorites[cat.id][person.id] = entries;
+    });
+  });
+  backup.favoriteHistory = {};
+
+  return backup;
 }
 
-function restorePerson(id) {
-  const person = people.find((p) => p.id === id);
-  if (!person) return;
-  person.archived = false;
-  savePeople();
-  showToast(`Restored ${person.name}.`);
-  renderPeopleManageList();
-  renderFavoritesList();
+function buildShareUrl(payload) {
+  const base = window.location.href.split("#")[0].split("?")[0];
+  return base + SHARE_HASH_PREFIX + payload;
 }
 
-function deletePerson(id) {
-  const person = people.find((p) => p.id === id);
-  if (person) {
-    showToast(`Deleted ${person.name}.`);
-  }
-  people = people.filter((p) => p.id !== id);
-  // remove from favorites
-  Object.keys(favorites).forEach((catId) => {
-    if (favorites[catId] && favorites[catId][id] !== undefined) {
-      delete favorites[catId][id];
-    }
-  });
-  savePeople();
-  saveFavorites();
-  renderPeopleManageList();
-  renderFavoritesList();
+function readShareHash(hash) {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+  return hash.slice(SHARE_HASH_PREFIX.length) || null;
 }
 
-/* ---------- Manage Categories (archive / restore / delete) ---------- */
+/* ---------- Share Modal ---------- */
 
-function renderCategoriesManageList() {
-  const container = document.getElementById("categoriesList");
+// Checkbox list of people or types; ids in `unchecked` start unticked.
+function renderRecordPicker(containerId, records, name, unchecked) {
+  const container = document.getElementById(containerId);
   if (!container) return;
 
-  if (categories.length === 0) {
-    container.innerHTML = '<p class="widget-footer-text">No favorite types yet.</p>';
+  container.innerHTML = "";
+  if (records.length === 0) {
+    container.innerHTML = `<p class="category-hint">${escapeHtml(t("picker.empty"))}</p>`;
     return;
   }
 
-  let html = "";
-  categories.forEach((c) => {
-    html += `
-      <div class="manage-row">
-        <div>
-          <div class="manage-name">${escapeHtml(c.name)}</div>
-          <div class="manage-status">${c.archived ? "Archived" : "Active"}</div>
-        </div>
-        <div class="manage-actions">
-          ${
-            c.archived
-              ? `<button class="small-btn" data-action="restoreCategory" data-id="${c.id}">Restore</button>`
-              : `<button class="small-btn secondary-btn" data-action="archiveCategory" data-id="${c.id}">Archive</button>`
-          }
-          <button class="small-btn secondary-btn" data-action="deleteCategory" data-id="${c.id}">Delete</button>
-        </div>
-      </div>
-    `;
+  records.forEach((record) => {
+    const checked = unchecked && unchecked.has(record.id) ? "" : " checked";
+    const label = document.createElement("label");
+    label.className = "inline-toggle";
+    label.innerHTML =
+      '<input type="checkbox" name="' + name + '" value="' + escapeHtml(record.id) + '"' + checked + " /> " +
+      escapeHtml(record.name) +
+      (record.archived ? ` <span class="picker-archived">${escapeHtml(t("common.archivedTag"))}</span>` : "");
+    container.appendChild(label);
   });
+}
 
-  container.innerHTML = html;
-
-  container.querySelectorAll("button[data-action]").forEach((btn) => {
-    const action = btn.getAttribute("data-action");
-    const id = btn.getAttribute("data-id");
-    btn.addEventListener("click", function () {
-      if (action === "archiveCategory") archiveCategory(id);
-      if (action === "restoreCategory") restoreCategory(id);
-      if (action === "deleteCategory") deleteCategory(id);
-    });
-  });
+function getCheckedValues(name) {
+  return Array.from(document.querySelectorAll('input[name="' + name + '"]:checked')).map(
+    (input) => input.value
+  );
 }
 
-function archiveCategory(id) {
-  const cat = categories.find((c) => c.id === id);
-  if (!cat) return;
-  cat.archived = true;
-  saveCategories();
-  showToast(`Archived favorite type: ${cat.name}.`);
-  if (currentCategoryId === id) {
-    const activeCats = getActiveCategories();
-    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
-  }
-  renderCategoriesManageList();
-  renderCategorySelect();
+function openShareModal() {
+  const backdrop = document.getElementById("shareModal");
+  const output = document.getElementById("shareLinkOutput");
+  if (!backdrop || !output) return;
+
+  renderRecordPicker("sharePeopleList", getActivePeople(), "sharePerson");
+  renderRecordPicker("shareCategoriesList", getActiveCategories(), "shareCategory");
+  output.value = "";
+  showDialog(backdrop, closeShareModal);
 }
 
-function restoreCategory(id) {
-  const cat = categories.find((c) => c.id === id);
-  if (!cat) return;
-  cat.archived = false;
-  saveCategories();
-  showToast(`Restored favorite type: ${cat.name}.`);
-  renderCategoriesManageList();
-  renderCategorySelect();
+function closeShareModal() {
+  const backdrop = document.getElementById("shareModal");
+  if (backdrop) hideDialog(backdrop);
 }
 
-function deleteCategory(id) {
-  const cat = categories.find((c) => c.id === id);
-  if (cat) {
-    showToast(`Deleted favorite type: ${cat.name}.`);
-  }
-  categories = categories.filter((c) => c.id !== id);
-  if (favorites[id]) {
-    delete favorites[id];
+function handleCreateShareLink() {
+  const output = document.getElementById("shareLinkOutput");
+  if (!output) return;
+
+  const personIds = getCheckedValues("sharePerson");
+  const categoryIds = getCheckedValues("shareCategory");
+  if (personIds.length === 0 || categoryIds.length === 0) {
+    showToast(t("share.pickSome"));
+    return;
   }
-  if (currentCategoryId === id) {
-    const activeCats = getActiveCategories();
-    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+
+  encodeSharePayload(buildShareSnapshot(personIds, categoryIds))
+    .then((payload) => {
+      const url = buildShareUrl(payload);
+      output.value = url;
+      output.focus();
+      output.select();
+
+      const tooLong = url.length > SHARE_LINK_WARN_LENGTH;
+      const copy = navigator.clipboard && navigator.clipboard.writeText
+        ? navigator.clipboard.writeText(url).then(() => true, () => false)
+        : Promise.resolve(false);
+
+      copy.then((copied) => {
+        let message = copied ? t("share.copied") : t("share.ready");
+        if (tooLong) message += " " + t("share.tooLong");
+        showToast(message);
+      });
+    })
+    .catch((e) => {
+      console.error("Error creating share link:", e);
+      showToast(t("share.error.create"));
+    });
+}
+
+function setupShareModal() {
+  const shareBtn = document.getElementById("shareLinkBtn");
+  const createBtn = document.getElementById("shareCreateBtn");
+  const closeBtn = document.getElementById("shareCloseBtn");
+  const backdrop = document.getElementById("shareModal");
+
+  if (shareBtn) shareBtn.addEventListener("click", openShareModal);
+  if (createBtn) createBtn.addEventListener("click", handleCreateShareLink);
+  if (closeBtn) closeBtn.addEventListener("click", closeShareModal);
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closeShareModal();
+    });
   }
-  saveCategories();
-  saveFavorites();
-  renderCategoriesManageList();
-  renderCategorySelect();
 }
 
-/* ---------- Settings Panel ---------- */
+/* ---------- Markdown Export ---------- */
 
-function setupSettingsToggle() {
-  const toggle = document.getElementById("settingsToggle");
-  const panel = document.getElementById("settingsPanel");
-  if (!toggle || !panel) return;
+// Notion turns pasted Markdown tables and headings into native blocks.
+// Table: one row per favorite type, one column per person.
+// Sections: a heading per person with their types as a bullet list.
+const MARKDOWN_ENTRY_SEPARATOR = " · ";
 
-  toggle.addEventListener("click", () => {
-    const isOpen = panel.classList.toggle("open");
-    toggle.setAttribute("aria-expanded", isOpen ? "true" : "false");
-  });
+function escapeMarkdown(text) {
+  return String(text == null ? "" : text)
+    .replace(/[\\`*_[\]<>|~#]/g, "\\$&")
+    .replace(/\s*\r?\n\s*/g, " ");
 }
 
-/* ---------- Random Functions ---------- */
+function formatMarkdownEntries(category, personId) {
+  return getFilledFavoriteEntries(category.id, personId)
+    .map((v) => escapeMarkdown(formatFieldValue(category, v)))
+    .join(MARKDOWN_ENTRY_SEPARATOR);
+}
 
-function setupRandomButtons() {
-  const randomCategoryBtn = document.getElementById("randomCategoryBtn");
-  const randomPersonBtn = document.getElementById("randomPersonBtn");
-  const randomFavoriteBtn = document.getElementById("randomFavoriteBtn");
+function buildMarkdownTable(chosenPeople, chosenCategories) {
+  const row = (cells) => "| " + cells.join(" | ") + " |";
+  const lines = [
+    row([escapeMarkdown(t("csv.header.type"))].concat(chosenPeople.map((p) => escapeMarkdown(p.name)))),
+    row(["---"].concat(chosenPeople.map(() => "---")))
+  ];
+  chosenCategories.forEach((cat) => {
+    lines.push(
+      row(
+        [escapeMarkdown(cat.name)].concat(
+          chosenPeople.map((p) => formatMarkdownEntries(cat, p.id) || "—")
+        )
+      )
+    );
+  });
+  return lines.join("\n") + "\n";
+}
 
-  if (randomCategoryBtn) {
-    randomCategoryBtn.addEventListener("click", randomCategory);
-  }
+function buildMarkdownSections(chosenPeople, chosenCategories) {
+  return chosenPeople
+    .map((person) => {
+      const items = chosenCategories
+        .map((cat) => {
+          const value = formatMarkdownEntries(cat, person.id);
+          return value ? `- **${escapeMarkdown(cat.name)}:** ${value}` : null;
+        })
+        .filter(Boolean);
+      const body = items.length > 0 ? items.join("\n") : `_${escapeMarkdown(t("markdown.noFavorites"))}_`;
+      return `## ${escapeMarkdown(person.name)}\n\n${body}\n`;
+    })
+    .join("\n");
+}
 
-  if (randomPersonBtn) {
-    randomPersonBtn.addEventListener("click", randomPerson);
-  }
+function getMarkdownIncludeArchived() {
+  const toggle = document.getElementById("markdownIncludeArchived");
+  return !!(toggle && toggle.checked);
+}
 
-  if (randomFavoriteBtn) {
-    randomFavoriteBtn.addEventListener("click", randomFavorite);
-  }
+function renderMarkdownPickers() {
+  const includeArchived = getMarkdownIncludeArchived();
+  const unchecked = (name) =>
+    new Set(
+      Array.from(document.querySelectorAll('input[name="' + name + '"]:not(:checked)')).map(
+        (input) => input.value
+      )
+    );
+
+  renderRecordPicker(
+    "markdownPeopleList",
+    includeArchived ? people : getActivePeople(),
+    "markdownPerson",
+    unchecked("markdownPerson")
+  );
+  renderRecordPicker(
+    "markdownCategoriesList",
+    includeArchived ? categories : getActiveCategories(),
+    "markdownCategory",
+    unchecked("markdownCategory")
+  );
 }
 
-function randomCategory() {
-  const activeCats = getActiveCategories();
-  if (activeCats.length === 0) {
-    showToast("No favorite types available.");
-    return;
-  }
-  const idx = Math.floor(Math.random() * activeCats.length);
-  currentCategoryId = activeCats[idx].id;
-  showToast(`Random type: ${activeCats[idx].name}`);
-  renderCategorySelect();
+function openMarkdownModal() {
+  const backdrop = document.getElementById("markdownModal");
+  if (!backdrop) return;
+
+  ["markdownPeopleList", "markdownCategoriesList"].forEach((id) => {
+    const list = document.getElementById(id);
+    if (list) list.innerHTML = "";
+  });
+  renderMarkdownPickers();
+  showDialog(backdrop, closeMarkdownModal);
 }
 
-function randomPerson() {
-  const activePeople = getActivePeople();
-  if (activePeople.length === 0) {
-    showToast("No family members yet.");
-    return;
-  }
-  const idx = Math.floor(Math.random() * activePeople.length);
-  const person = activePeople[idx];
-  const highlight = document.getElementById("randomHighlight");
-  if (highlight) {
-    highlight.innerHTML = `<span class="random-highlight-strong">Random person:</span> ${escapeHtml(person.name)}`;
-  }
-  showToast(`Tonight’s star: ${person.name}`);
+function closeMarkdownModal() {
+  const backdrop = document.getElementById("markdownModal");
+  if (backdrop) hideDialog(backdrop);
 }
 
-function randomFavorite() {
-  const activePeople = getActivePeople();
-  const activeCats = getActiveCategories();
+function exportFavoritesMarkdown() {
+  const layoutSelect = document.getElementById("markdownLayoutSelect");
+  const personIds = new Set(getCheckedValues("markdownPerson"));
+  const categoryIds = new Set(getCheckedValues("markdownCategory"));
+  const chosenPeople = people.filter((p) => personIds.has(p.id));
+  const chosenCategories = categories.filter((c) => categoryIds.has(c.id));
 
-  if (activePeople.length === 0 || activeCats.length === 0) {
-    showToast("Need at least one person and one type.");
+  if (chosenPeople.length === 0 || chosenCategories.length === 0) {
+    showToast(t("markdown.pickSome"));
     return;
   }
 
-  const activePeopleMap = {};
-  activePeople.forEach((p) => (activePeopleMap[p.id] = p));
-
-  const activeCatMap = {};
-  activeCats.forEach((c) => (activeCatMap[c.id] = c));
+  const markdown =
+    layoutSelect && layoutSelect.value === "sections"
+      ? buildMarkdownSections(chosenPeople, chosenCategories)
+      : buildMarkdownTable(chosenPeople, chosenCategories);
 
-  const pool = [];
+  closeMarkdownModal();
+  const labels = {
+    title: t("markdown.modal.title"),
+    text: t("markdown.modal.text")
+  };
+  deliverExportText(markdown, (copied) => {
+    showToast(copied ? t("markdown.copied") : t("markdown.ready"));
+  }, labels);
+}
 
-  Object.keys(favorites).forEach((catId) => {
-    if (!activeCatMap[catId]) return;
-    const catFavs = favorites[catId] || {};
-    Object.keys(catFavs).forEach((personId) => {
-      if (!activePeopleMap[personId]) return;
-      const val = (catFavs[personId] || "").trim();
-      if (val.length > 0) {
-        pool.push({
-          categoryId: catId,
-          categoryName: activeCatMap[catId].name,
-          personId,
-          personName: activePeopleMap[personId].name,
-          value: val
-        });
-      }
+function setupMarkdownExport() {
+  const openBtn = document.getElementById("exportMarkdownBtn");
+  const copyBtn = document.getElementById("markdownCopyBtn");
+  const closeBtn = document.getElementById("markdownCloseBtn");
+  const archivedToggle = document.getElementById("markdownIncludeArchived");
+  const backdrop = document.getElementById("markdownModal");
+
+  if (openBtn) openBtn.addEventListener("click", openMarkdownModal);
+  if (copyBtn) copyBtn.addEventListener("click", exportFavoritesMarkdown);
+  if (closeBtn) closeBtn.addEventListener("click", closeMarkdownModal);
+  if (archivedToggle) archivedToggle.addEventListener("change", renderMarkdownPickers);
+  if (backdrop) {
+    backdrop.addEventListener("click", (e) => {
+      if (e.target === backdrop) closeMarkdownModal();
     });
-  });
-
-  if (pool.length === 0) {
-    showToast("No favorites filled in yet.");
-    return;
   }
+}
 
-  const idx = Math.floor(Math.random() * pool.length);
-  const pick = pool[idx];
+/* ---------- Viewing a Shared Snapshot ---------- */
 
-  const highlight = document.getElementById("randomHighlight");
-  if (highlight) {
-    highlight.innerHTML =
-      `<span class="random-highlight-strong">Tonight’s pick:</span> ` +
-      `${escapeHtml(pick.personName)} → ` +
-      `${escapeHtml(pick.value)} ` +
-      `<span class="random-highlight-strong">(${escapeHtml(pick.categoryName)})</span>`;
-  }
+function renderSnapshotBanner() {
+  const banner = document.getElementById("snapshotBanner");
+  const text = document.getElementById("snapshotBannerText");
+  if (!banner || !text) return;
 
-  showToast("Random favorite chosen!");
-}
+  banner.hidden = !viewingSnapshot;
+  if (!viewingSnapshot) return;
 
-/* ---------- Import / Export ---------- */
+  if (!sharedBackup) {
+    text.textContent = t("snapshot.opening");
+    return;
+  }
 
-function exportFamilyFavoritesData() {
-  const backup = {
-    people,
-    categories,
-    favorites
-  };
+  const from = sharedBackup.profile && sharedBackup.profile.name
+    ? t("snapshot.fromNamed", { name: sharedBackup.profile.name })
+    : t("snapshot.fromSomeone");
+  text.textContent = sharedBackup.exportedAt
+    ? t("snapshot.bannerOn", { from, when: formatLocalDateTime(sharedBackup.exportedAt) })
+    : t("snapshot.banner", { from });
+}
 
-  // Prettified JSON for easier reading
-  const json = JSON.stringify(backup, null, 2);
+// Swaps the globals for the shared data. Nothing is written: safeSet and
+// safeRemove are no-ops while viewingSnapshot is set.
+function showSharedBackup(backup) {
+  // A snapshot is read-only, so problems are repaired quietly
+  backup = Object.assign({}, backup, checkData(backup).data);
+  sharedBackup = backup;
+  dataStore.replace(Object.assign({}, backup, { favoriteHistory: {} }), "snapshot");
+  undoHistory = { undo: [], redo: [] };
 
-  const afterExport = (message) => {
-    recordBackupTime();
-    updateBackupReminder();
-    if (message) showToast(message);
-  };
+  const activeCategories = getActiveCategories();
+  currentCategoryId = activeCategories.length > 0 ? activeCategories[0].id : null;
+  currentPersonId = null;
 
-  // Try clipboard first
-  if (navigator.clipboard && navigator.clipboard.writeText) {
-    navigator.clipboard.writeText(json)
-      .then(() => {
-        afterExport("Family Favorites data copied to clipboard.");
-      })
-      .catch(() => {
-        // Clipboard blocked (e.g., Notion Desktop) → show modal
-        openBackupModal(json);
-        afterExport("Backup ready – copy from the panel.");
-      });
-  } else {
-    // Clipboard API not available → modal fallback
-    openBackupModal(json);
-    afterExport("Backup ready – copy from the panel.");
-  }
+  applyEmbedLayout();
+  renderSnapshotBanner();
+  renderAll();
+  setViewMode(currentViewMode);
 }
 
-function importFamilyFavoritesData() {
-  const raw = window.prompt(
-    "Paste your Family Favorites backup JSON here.\n\nThis will replace your current data:"
+function openSharedSnapshot(payload) {
+  viewingSnapshot = true;
+  sharedBackup = null;
+
+  // Don't flash the viewer's own data while the link is decoded
+  dataStore.replace(
+    { people: [], categories: [], categoryGroups: [], favorites: {}, favoriteHistory: {} },
+    "snapshot"
   );
-  if (!raw) return;
+  applyEmbedLayout();
+  renderSnapshotBanner();
+  renderAll();
+
+  return decodeSharePayload(payload)
+    .then(showSharedBackup)
+    .catch((e) => {
+      console.error("Error opening share link:", e);
+      closeSharedSnapshot();
+      showToast(e.message || t("share.error.damaged"));
+    });
+}
 
-  try {
-    const parsed = JSON.parse(raw);
+// Leaves the snapshot and brings back the viewer's own widget.
+function closeSharedSnapshot() {
+  viewingSnapshot = false;
+  sharedBackup = null;
 
-    if (
-      !parsed ||
-      !Array.isArray(parsed.people) ||
-      !Array.isArray(parsed.categories) ||
-      typeof parsed.favorites !== "object"
-    ) {
-      showToast("Invalid backup format.");
-      return;
-    }
+  if (readShareHash(window.location.hash)) {
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
 
-    people = parsed.people;
-    categories = parsed.categories;
-    favorites = parsed.favorites;
+  loadProfiles();
+  applyEmbedProfile();
+  loadData();
+  const view = applyEmbedSelection();
+  applyEmbedLayout();
+  renderSnapshotBanner();
+  renderAll();
+  setViewMode(view);
+}
 
-    savePeople();
-    saveCategories();
-    saveFavorites();
+// Hands the snapshot to the usual merge import, so the viewer sees a
+// preview of what would change before anything is saved.
+function importSharedSnapshot() {
+  if (!sharedBackup) return;
+  const backup = sharedBackup;
+
+  closeSharedSnapshot();
+  openImportModal();
+
+  const textarea = document.getElementById("importModalTextarea");
+  const mergeRadio = document.querySelector('input[name="importMode"][value="merge"]');
+  if (!textarea) return;
+  textarea.value = JSON.stringify(backup, null, 2);
+  if (mergeRadio) mergeRadio.checked = true;
+  handleImportContinue();
+}
 
-    const activeCats = getActiveCategories();
-    currentCategoryId = activeCats.length > 0 ? activeCats[0].id : null;
+function setupSharedSnapshot() {
+  const importBtn = document.getElementById("snapshotImportBtn");
+  const closeBtn = document.getElementById("snapshotCloseBtn");
 
-    renderPeopleManageList();
-    renderCategoriesManageList();
-    renderCategorySelect();
-    updateBackupReminder();
+  if (importBtn) importBtn.addEventListener("click", importSharedSnapshot);
+  if (closeBtn) closeBtn.addEventListener("click", closeSharedSnapshot);
 
-    showToast("Family Favorites data imported.");
-  } catch (e) {
-    console.error("Error importing data:", e);
-    showToast("Error importing data. Check the JSON and try again.");
-  }
+  // A share link pasted into an already open widget, or Back out of one
+  window.addEventListener("hashchange", () => {
+    const payload = readShareHash(window.location.hash);
+    if (payload) openSharedSnapshot(payload);
+    else if (viewingSnapshot) closeSharedSnapshot();
+  });
 }
 
 /* ---------- Event wiring ---------- */
 
-document.addEventListener("DOMContentLoaded", function () {
+document.addEventListener("DOMContentLoaded", async function () {
+  embedOptions = readEmbedOptions(window.location.search);
+  const sharePayload = readShareHash(window.location.hash);
+  viewingSnapshot = !!sharePayload;
+
+  setupDataStore();
+  // Settings aren't loaded yet; follow the system until they are
+  applyTheme();
+  applyLanguage();
+  await initStorage(embedOptions.storage);
+  // Seed categories are named in the chosen language, so settle it first
+  settings = readSettings();
+  applyLanguage();
+  renderStorageStatus(embedOptions.storage);
+
+  loadProfiles();
+  applyEmbedProfile();
   loadData();
+  const initialView = applyEmbedSelection();
+  applyEmbedLayout();
 
   // Render initial UI
-  renderCategorySelect();
+  renderProfileControls();
+  setViewMode(initialView);
   renderPeopleManageList();
   renderCategoriesManageList();
   updateBackupReminder();
+  updateUpcomingBanner();
 
   // Category select change
   const catSelect = document.getElementById("categorySelect");
@@ -819,6 +7056,30 @@ document.addEventListener("DOMContentLoaded", function () {
   // Settings panel
   setupSettingsToggle();
   setupRandomButtons();
+  setupWeightByRankToggle();
+  setupPicksPanel();
+  setupSortSelects();
+  setupAppearance();
+  setupLanguagePicker();
+  setupManageListDragging("peopleList", "person");
+  setupManageListDragging("categoriesList", "category");
+  setupCategoryGroups();
+  setupImportModal();
+  setupUndoShortcuts();
+  setupDialogKeys();
+  setupKeyboardShortcuts();
+  setupTimelineModal();
+  setupViewToggle();
+  setupSearch();
+  setupProfileControls();
+  setupLiveSync();
+  setupHistoryRetentionSelect();
+  setupShareModal();
+  setupCsvControls();
+  setupMarkdownExport();
+  setupOccasionsModal();
+  setupIntegrityModal();
+  setupSharedSnapshot();
 
   // Backup modal controls
   const backupModalCloseBtn = document.getElementById("backupModalCloseBtn");
@@ -844,4 +7105,8 @@ document.addEventListener("DOMContentLoaded", function () {
       }
     });
   }
+
+  if (sharePayload) {
+    openSharedSnapshot(sharePayload);
+  }
 });
@@ -0,0 +1,346 @@
+/* ---------- Family Favorites Store ---------- */
+
+// The data model on its own: no DOM, no storage. The widget keeps its data
+// here and redraws from change events; scripts and tests can drive it the
+// same way through `window.familyFavoritesStore`:
+//
+//   const store = window.familyFavoritesStore;
+//   const off = store.subscribe((change) => console.log(change.keys, change.source));
+//   const mia = store.addPerson("Mia");
+//   store.setFavorites(store.findCategory("Candy").id, mia.id, ["Twix", "Mars"]);
+//   store.batch(() => store.listPeople().forEach((p) => store.updatePerson(p.id, { archived: true })));
+//   const data = store.serialize();
+//   off();
+//
+// State is { people, categories, categoryGroups, favorites, favoriteHistory }
+// in the same shape as a backup:
+//   people         [{id, name, archived, occasions?}]
+//   categories     [{id, name, archived, type?, avoid?, groupId?}]
+//   categoryGroups [{id, name, archived}]
+//   favorites      { [categoryId]: { [personId]: string[] } } — ranked, best first
+//   favoriteHistory { [categoryId]: { [personId]: [{entries, at}] } }
+//
+// Queries (return copies unless noted)
+//   getState()                 live state object — read it, don't edit it
+//   get(key)                   one live section of the state
+//   listPeople(options)        people in order; { includeArchived } (default false)
+//   listCategories(options)    favorite types in order; { includeArchived, groupId }
+//   listGroups(options)        groups in order; { includeArchived }
+//   findPerson(idOrName)       by id, then case-insensitive name; null if missing
+//   findCategory(idOrName)
+//   findGroup(idOrName)
+//   getFavorites(categoryId, personId)  ranked entries ([] when empty)
+//
+// Mutations (each emits one change; throw an Error with a readable message
+// when the input is invalid or the host is read-only)
+//   addPerson(name)                        → the new person
+//   updatePerson(id, { name, archived })   → the updated person
+//   removePerson(id)                       also drops their favorites
+//   addCategory(name, { type, avoid, groupId })   type must pass options.isFieldType
+//   updateCategory(id, { name, archived, type, avoid, groupId })
+//   removeCategory(id)                     also drops its favorites
+//   addGroup(name) / updateGroup(id, { name, archived }) / removeGroup(id)
+//                                          removing a group keeps its types
+//   setFavorites(categoryId, personId, entries)  [] clears the cell; each
+//                                          entry must pass options.normalizeValue
+//   batch(fn)                              runs fn, then emits one change
+//
+// Events
+//   subscribe(listener) → unsubscribe function. listener({ keys, source })
+//   runs after every change; `keys` lists the state sections that changed and
+//   `source` says where it came from: "api" for the mutations above, or
+//   whatever the widget passes to set/replace/commit ("ui", "sync", "load"…).
+//
+// Whole-state and host hooks
+//   serialize()                → deep copy of the state, ready for JSON
+//   deserialize(data)          replaces the state from serialize() output or
+//                              its JSON text; runs `options.validate` first
+//   set(key, value, source)    replaces one section
+//   replace(data, source)      replaces every section present in `data`
+//   commit(keys, source)       announces edits the host made in place
+//
+// Changes made here are saved by the widget but aren't added to its undo
+// history or favorite history.
+const STORE_KEYS = ["people", "categories", "categoryGroups", "favorites", "favoriteHistory"];
+const STORE_LIST_KEYS = ["people", "categories", "categoryGroups"];
+
+// `options.validate(data)` may return a repaired copy of deserialized data,
+// or throw to refuse it. `options.isFieldType(type)` says which category
+// types besides "text" exist, and `options.normalizeValue(category, value)`
+// returns the value to store in that category, "" for blank or null when
+// it doesn't fit (e.g. "banana" as a rating). While `options.isReadOnly()`
+// is true the mutations and deserialize() refuse to run; set/replace/commit
+// still work so the host can show data it won't save.
+function createFamilyFavoritesStore(options) {
+  const validate = (options && options.validate) || ((data) => data);
+  const isFieldType = (options && options.isFieldType) || (() => false);
+  const isReadOnly = (options && options.isReadOnly) || (() => false);
+  const normalizeValue =
+    (options && options.normalizeValue) || ((category, value) => String(value).trim());
+  const state = {
+    people: [],
+    categories: [],
+    categoryGroups: [],
+    favorites: {},
+    favoriteHistory: {}
+  };
+  let listeners = [];
+  let pending = null; // keys changed inside batch()
+
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const sameName = (a, b) =>
+    String(a == null ? "" : a).trim().toLowerCase() === String(b == null ? "" : b).trim().toLowerCase();
+  const makeId = (prefix) => prefix + Date.now() + "_" + Math.floor(Math.random() * 9999);
+
+  function emit(keys, source) {
+    if (pending) {
+      keys.forEach((key) => pending.add(key));
+      return;
+    }
+    const change = { keys: keys.slice(), source: source || "api" };
+    listeners.slice().forEach((listener) => {
+      try {
+        listener(change);
+      } catch (e) {
+        console.error("Store listener error:", e);
+      }
+    });
+  }
+
+  function find(key, idOrName) {
+    if (!idOrName) return null;
+    const list = state[key];
+    return list.find((r) => r.id === idOrName) || list.find((r) => sameName(r.name, idOrName)) || null;
+  }
+
+  function requireRecord(key, id, noun) {
+    const record = state[key].find((r) => r.id === id);
+    if (!record) throw new Error(`No ${noun} with the id “${id}”.`);
+    return record;
+  }
+
+  function requireWritable() {
+    if (isReadOnly()) throw new Error("This data is read-only here.");
+  }
+
+  function requireName(name, noun) {
+    const text = String(name == null ? "" : name).trim();
+    if (!text) throw new Error(`A ${noun} needs a name.`);
+    return text;
+  }
+
+  function list(key, opts) {
+    const includeArchived = !!(opts && opts.includeArchived);
+    return clone(state[key].filter((r) => includeArchived || !r.archived));
+  }
+
+  // Removes every favorites and history cell matching (categoryId, personId)
+  function dropCells(match) {
+    ["favorites", "favoriteHistory"].forEach((key) => {
+      Object.keys(state[key]).forEach((catId) => {
+        Object.keys(state[key][catId] || {}).forEach((personId) => {
+          if (match(catId, personId)) delete state[key][catId][personId];
+        });
+        if (Object.keys(state[key][catId] || {}).length === 0) delete state[key][catId];
+      });
+    });
+  }
+
+  // Throws before anything changes, so a bad update leaves the record alone
+  function checkCategoryOptions(opts) {
+    if (!opts) return;
+    if (opts.type && opts.type !== "text" && !isFieldType(opts.type)) {
+      throw new Error(`Unknown favorite type kind “${opts.type}”.`);
+    }
+    if (opts.groupId) requireRecord("categoryGroups", opts.groupId, "group");
+  }
+
+  function applyCategoryOptions(category, opts) {
+    if (!opts) return;
+    if (opts.type !== undefined) {
+      if (!opts.type || opts.type === "text") delete category.type;
+      else category.type = opts.type;
+    }
+    if (opts.avoid !== undefined) {
+      if (opts.avoid) category.avoid = true;
+      else delete category.avoid;
+    }
+    if (opts.groupId !== undefined) {
+      if (!opts.groupId) delete category.groupId;
+      else category.groupId = requireRecord("categoryGroups", opts.groupId, "group").id;
+    }
+  }
+
+  function updateRecord(key, id, patch, noun) {
+    const record = requireRecord(key, id, noun);
+    if (patch && patch.name !== undefined) record.name = requireName(patch.name, noun);
+    if (patch && patch.archived !== undefined) record.archived = !!patch.archived;
+    return record;
+  }
+
+  const store = {
+    getState: () => state,
+    get: (key) => state[key],
+
+    listPeople: (opts) => list("people", opts),
+    listCategories: (opts) => {
+      const result = list("categories", opts);
+      return opts && opts.groupId ? result.filter((c) => c.groupId === opts.groupId) : result;
+    },
+    listGroups: (opts) => list("categoryGroups", opts),
+    findPerson: (idOrName) => clone(find("people", idOrName)),
+    findCategory: (idOrName) => clone(find("categories", idOrName)),
+    findGroup: (idOrName) => clone(find("categoryGroups", idOrName)),
+    getFavorites(categoryId, personId) {
+      const cell = (state.favorites[categoryId] || {})[personId];
+      return Array.isArray(cell) ? cell.slice() : [];
+    },
+
+    addPerson(name) {
+      requireWritable();
+      const person = { id: makeId("person_"), name: requireName(name, "person"), archived: false };
+      state.people.push(person);
+      emit(["people"]);
+      return clone(person);
+    },
+    updatePerson(id, patch) {
+      requireWritable();
+      const person = updateRecord("people", id, patch, "person");
+      emit(["people"]);
+      return clone(person);
+    },
+    removePerson(id) {
+      requireWritable();
+      requireRecord("people", id, "person");
+      state.people = state.people.filter((p) => p.id !== id);
+      dropCells((catId, personId) => personId === id);
+      emit(["people", "favorites", "favoriteHistory"]);
+    },
+
+    addCategory(name, opts) {
+      requireWritable();
+      const category = {
+        id: makeId("cat_"),
+        name: requireName(name, "favorite type"),
+        archived: false
+      };
+      checkCategoryOptions(opts);
+      applyCategoryOptions(category, opts);
+      state.categories.push(category);
+      emit(["categories"]);
+      return clone(category);
+    },
+    updateCategory(id, patch) {
+      requireWritable();
+      checkCategoryOptions(patch);
+      const category = updateRecord("categories", id, patch, "favorite type");
+      applyCategoryOptions(category, patch);
+      emit(["categories"]);
+      return clone(category);
+    },
+    removeCategory(id) {
+      requireWritable();
+      requireRecord("categories", id, "favorite type");
+      state.categories = state.categories.filter((c) => c.id !== id);
+      dropCells((catId) => catId === id);
+      emit(["categories", "favorites", "favoriteHistory"]);
+    },
+
+    addGroup(name) {
+      requireWritable();
+      const group = { id: makeId("grp_"), name: requireName(name, "group"), archived: false };
+      state.categoryGroups.push(group);
+      emit(["categoryGroups"]);
+      return clone(group);
+    },
+    updateGroup(id, patch) {
+      requireWritable();
+      const group = updateRecord("categoryGroups", id, patch, "group");
+      emit(["categoryGroups"]);
+      return clone(group);
+    },
+    removeGroup(id) {
+      requireWritable();
+      requireRecord("categoryGroups", id, "group");
+      state.categoryGroups = state.categoryGroups.filter((g) => g.id !== id);
+      state.categories.forEach((c) => {
+        if (c.groupId === id) delete c.groupId;
+      });
+      emit(["categoryGroups", "categories"]);
+    },
+
+    setFavorites(categoryId, personId, entries) {
+      requireWritable();
+      const category = requireRecord("categories", categoryId, "favorite type");
+      requireRecord("people", personId, "person");
+      const cleaned = [];
+      (Array.isArray(entries) ? entries : [entries])
+        .filter((v) => typeof v === "string" || typeof v === "number")
+        .forEach((v) => {
+          const value = normalizeValue(category, v);
+          if (value === null) throw new Error(`“${v}” doesn’t fit the favorite type “${category.name}”.`);
+          if (value) cleaned.push(value);
+        });
+
+      if (cleaned.length > 0) {
+        if (!state.favorites[categoryId]) state.favorites[categoryId] = {};
+        state.favorites[categoryId][personId] = cleaned;
+      } else if (state.favorites[categoryId]) {
+        delete state.favorites[categoryId][personId];
+      }
+      emit(["favorites"]);
+      return cleaned.slice();
+    },
+
+    batch(fn, source) {
+      if (pending) return fn();
+      pending = new Set();
+      try {
+        return fn();
+      } finally {
+        const keys = STORE_KEYS.filter((key) => pending.has(key));
+        pending = null;
+        if (keys.length > 0) emit(keys, source);
+      }
+    },
+
+    subscribe(listener) {
+      listeners.push(listener);
+      return () => {
+        listeners = listeners.filter((l) => l !== listener);
+      };
+    },
+
+    serialize: () => clone(state),
+    deserialize(data, source) {
+      requireWritable();
+      const parsed = typeof data === "string" ? JSON.parse(data) : clone(data);
+      store.replace(validate(parsed), source);
+    },
+
+    set(key, value, source) {
+      if (!STORE_KEYS.includes(key)) throw new Error(`Unknown store section “${key}”.`);
+      const isList = STORE_LIST_KEYS.includes(key);
+      state[key] = value && typeof value === "object" && Array.isArray(value) === isList
+        ? value
+        : isList
+          ? []
+          : {};
+      emit([key], source);
+    },
+    replace(data, source) {
+      const keys = STORE_KEYS.filter((key) => data && data[key] !== undefined);
+      store.batch(() => keys.forEach((key) => store.set(key, data[key], source)), source);
+    },
+    commit(keys, source) {
+      emit(Array.isArray(keys) ? keys : [keys], source);
+    }
+  };
+
+  return store;
+}
+
+// Lets Node scripts and tests use the store without a browser
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { createFamilyFavoritesStore };
+}
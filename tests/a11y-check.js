@@ -0,0 +1,134 @@
+/* ---------- Accessibility Check ---------- */
+
+// Loads index.html in jsdom, opens every view and dialog in turn and runs
+// axe-core on each. Prints what it finds and exits with 1 on any violation.
+//
+//   npm install --no-save jsdom axe-core
+//   node tests/a11y-check.js
+//
+// jsdom doesn't lay the page out, so axe can't judge colour contrast; that
+// rule is off here and still needs a look in a real browser.
+const fs = require("fs");
+const { openWidget, settle } = require("./widget.js");
+
+const AXE_SOURCE = fs.readFileSync(require.resolve("axe-core/axe.min.js"), "utf8");
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+// Two people sharing an id give the data-check dialog something to list
+const STORED_DATA = {
+  familyFavorites_people: [
+    { id: "p1", name: "Mia", archived: false },
+    { id: "p2", name: "Leo", archived: false },
+    { id: "p2", name: "Ann", archived: false }
+  ],
+  familyFavorites_favorites: { cat_candy: { p1: ["Twix", "Mars"], p2: ["Skittles"] } }
+};
+
+const CSV_SAMPLE = "Favorite type,Mia,Leo\nCandy,Twix,Skittles\n";
+
+async function main() {
+  const { window, errors } = await openWidget({ storage: STORED_DATA });
+  const { document } = window;
+  window.eval(AXE_SOURCE);
+  const $ = (selector) => {
+    const el = document.querySelector(selector);
+    if (!el) throw new Error(`Nothing matches ${selector}`);
+    return el;
+  };
+  const click = (selector) => $(selector).click();
+  const type = (selector, value) => {
+    const el = $(selector);
+    el.value = value;
+    el.dispatchEvent(new window.Event("input", { bubbles: true }));
+  };
+  const pressEscape = () =>
+    document.activeElement.dispatchEvent(
+      new window.KeyboardEvent("keydown", { key: "Escape", bubbles: true, cancelable: true })
+    );
+  window.confirm = () => true;
+
+  const steps = [
+    ["By type view", () => {}],
+    ["By person view", () => click('.view-toggle-btn[data-view="person"]')],
+    ["Grid view", () => click('.view-toggle-btn[data-view="grid"]')],
+    ["Search results", () => {
+      click('.view-toggle-btn[data-view="category"]');
+      type("#searchInput", "Tw");
+    }],
+    ["Settings panel", () => {
+      type("#searchInput", "");
+      click("#settingsToggle");
+    }],
+    ["Random pick", () => click("#randomFavoriteBtn")],
+    ["Favorites over time dialog", () => click(".favorite-row-name"), true],
+    ["Random picks dialog", () => click("#randomPicksBtn"), true],
+    ["Dates & gift ideas dialog", () => click('#peopleList button[data-action="openOccasions"]'), true],
+    ["Data check dialog", () => click("#integrityReviewBtn"), true],
+    ["Backup dialog", () => click("#exportDataBtn"), true],
+    ["Import dialog", () => click("#importDataBtn"), true],
+    ["Import merge preview", () => {
+      click("#importDataBtn");
+      // Merging the widget's own backup still shows every section
+      $("#importModalTextarea").value = JSON.stringify(window.buildBackup());
+      document.querySelectorAll('input[name="importMode"]').forEach((radio) => {
+        radio.checked = radio.value === "merge";
+      });
+      click("#importModalContinueBtn");
+    }, true],
+    ["CSV import dialog", () => click("#importCsvBtn"), true],
+    ["CSV import columns", () => {
+      click("#importCsvBtn");
+      $("#csvImportTextarea").value = CSV_SAMPLE;
+      click("#csvImportContinueBtn");
+    }, true],
+    ["Copy for Notion dialog", () => click("#exportMarkdownBtn"), true],
+    ["Share dialog", () => click("#shareLinkBtn"), true]
+  ];
+
+  let failures = 0;
+  for (const [label, open, isDialog] of steps) {
+    open();
+    await settle();
+    if (isDialog && !document.querySelector(".backup-modal-backdrop.visible")) {
+      console.log(`✗ ${label}: the dialog didn't open`);
+      failures++;
+      continue;
+    }
+
+    const result = await window.axe.run(document, AXE_OPTIONS);
+    if (result.violations.length === 0) {
+      console.log(`✓ ${label}`);
+    } else {
+      console.log(`✗ ${label}`);
+      result.violations.forEach((v) => {
+        console.log(`    ${v.id} (${v.impact}): ${v.help}`);
+        v.nodes.forEach((node) => console.log(`      ${node.target.join(" ")}`));
+      });
+      failures += result.violations.length;
+    }
+
+    if (isDialog) {
+      while (document.querySelector(".backup-modal-backdrop.visible")) {
+        const before = document.querySelectorAll(".backup-modal-backdrop.visible").length;
+        pressEscape();
+        if (document.querySelectorAll(".backup-modal-backdrop.visible").length === before) {
+          console.log(`✗ ${label}: Escape doesn't close the dialog`);
+          failures++;
+          break;
+        }
+      }
+    }
+  }
+
+  errors.forEach((e) => console.log(`✗ Script error: ${e.message}`));
+  failures += errors.length;
+  window.close();
+
+  console.log(failures === 0 ? "No accessibility problems found." : `${failures} problem(s) found.`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
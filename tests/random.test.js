@@ -0,0 +1,140 @@
+// Fair random picks, driven by a scripted random source.
+//
+//   npm install --no-save jsdom
+//   node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { openWidget } = require("./widget.js");
+
+const PEOPLE = [
+  { id: "p1", name: "Mia", archived: false },
+  { id: "p2", name: "Leo", archived: false },
+  { id: "p3", name: "Ann", archived: false }
+];
+const CATEGORIES = [
+  { id: "c1", name: "Candy", archived: false },
+  { id: "c2", name: "Movie", archived: false },
+  { id: "c3", name: "Snack", archived: false }
+];
+const FAVORITES = {
+  c1: { p1: ["Twix"], p2: ["Mars"], p3: ["Skittles"] },
+  c2: { p1: ["Frozen"], p3: ["Cars"] },
+  c3: { p2: ["Chips"] }
+};
+
+function openFairWidget() {
+  return openWidget({
+    storage: {
+      familyFavorites_people: PEOPLE,
+      familyFavorites_categories: CATEGORIES,
+      familyFavorites_favorites: FAVORITES,
+      familyFavorites_settings: { fairRandom: true }
+    }
+  });
+}
+
+// Plays back `values` in order, then starts over
+function scriptedSource(values) {
+  let next = 0;
+  return () => values[next++ % values.length];
+}
+
+// A fixed but well-mixed stream of numbers in [0, 1)
+function seededSource(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const DRAWS = {
+  person: { run: "randomPerson", key: (pick) => pick.personId },
+  category: { run: "randomCategory", key: (pick) => pick.categoryId },
+  favorite: { run: "randomFavorite", key: (pick) => `${pick.categoryId}|${pick.personId}|${pick.value}` }
+};
+
+// Draws one pick of `kind` and returns its key, read back from the saved log
+function draw(window, kind) {
+  window[DRAWS[kind].run]();
+  const saved = JSON.parse(window.localStorage.getItem("familyFavorites_randomPicks"));
+  assert.strictEqual(saved.log[0].kind, kind);
+  return DRAWS[kind].key(saved.log[0]);
+}
+
+function drawRounds(window, kind, poolSize, rounds) {
+  const draws = [];
+  for (let i = 0; i < poolSize * rounds; i++) draws.push(draw(window, kind));
+  const result = [];
+  for (let i = 0; i < draws.length; i += poolSize) result.push(draws.slice(i, i + poolSize));
+  return result;
+}
+
+test("everyone in the pool is drawn exactly once per round", async () => {
+  const { window } = await openFairWidget();
+  window.setRandomSource(seededSource(7));
+
+  drawRounds(window, "person", 3, 6).forEach((round) => {
+    assert.deepStrictEqual(round.slice().sort(), ["p1", "p2", "p3"]);
+  });
+  drawRounds(window, "favorite", 6, 3).forEach((round) => {
+    assert.strictEqual(new Set(round).size, 6);
+  });
+});
+
+test("the last winner of a round doesn't open the next one", async () => {
+  const { window } = await openFairWidget();
+  // Round one ends on Leo (p2); 0.5 would pick him again from all three
+  window.setRandomSource(scriptedSource([0.99, 0, 0, 0.5]));
+  assert.deepStrictEqual(drawRounds(window, "person", 3, 1)[0], ["p3", "p1", "p2"]);
+  assert.strictEqual(draw(window, "person"), "p3");
+
+  window.setRandomSource(seededSource(11));
+  const rounds = drawRounds(window, "person", 3, 8);
+  for (let i = 1; i < rounds.length; i++) {
+    assert.notStrictEqual(rounds[i][0], rounds[i - 1][2]);
+  }
+});
+
+test("people and types excluded in the picks panel never come up", async () => {
+  const { window } = await openFairWidget();
+  const { document } = window;
+  window.openPicksModal();
+  ['input[name="picksPerson"][value="p2"]', 'input[name="picksCategory"][value="c1"]'].forEach(
+    (selector) => {
+      const box = document.querySelector(selector);
+      box.checked = false;
+      box.dispatchEvent(new window.Event("change", { bubbles: true }));
+    }
+  );
+  window.setRandomSource(seededSource(3));
+
+  for (let i = 0; i < 12; i++) {
+    assert.notStrictEqual(draw(window, "person"), "p2");
+    assert.notStrictEqual(draw(window, "category"), "c1");
+    const [categoryId, personId] = draw(window, "favorite").split("|");
+    assert.notStrictEqual(personId, "p2");
+    assert.notStrictEqual(categoryId, "c1");
+  }
+});
+
+test("people, types and favorites keep separate rounds", async () => {
+  const { window } = await openFairWidget();
+  window.setRandomSource(seededSource(5));
+
+  // Interleaved draws: each kind still deals its own full rounds
+  const drawn = { person: [], category: [], favorite: [] };
+  for (let i = 0; i < 6; i++) {
+    Object.keys(drawn).forEach((kind) => drawn[kind].push(draw(window, kind)));
+  }
+  assert.deepStrictEqual(drawn.person.slice(0, 3).sort(), ["p1", "p2", "p3"]);
+  assert.deepStrictEqual(drawn.person.slice(3).sort(), ["p1", "p2", "p3"]);
+  assert.deepStrictEqual(drawn.category.slice(0, 3).sort(), ["c1", "c2", "c3"]);
+  assert.deepStrictEqual(drawn.category.slice(3).sort(), ["c1", "c2", "c3"]);
+  assert.strictEqual(new Set(drawn.favorite).size, 6);
+
+  const { rounds } = JSON.parse(window.localStorage.getItem("familyFavorites_randomPicks"));
+  assert.deepStrictEqual(rounds.person, drawn.person.slice(3));
+  assert.deepStrictEqual(rounds.category, drawn.category.slice(3));
+  assert.deepStrictEqual(rounds.favorite, drawn.favorite);
+});
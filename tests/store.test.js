@@ -0,0 +1,137 @@
+// The data store on its own, as Node scripts use it.
+//
+//   node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { createFamilyFavoritesStore } = require("../store.js");
+
+// The widget's rules for typed values, cut down to what the tests need
+function normalizeValue(category, value) {
+  const text = String(value).trim();
+  if (!text || category.type !== "rating") return text;
+  return /^[1-5]$/.test(text) ? text : null;
+}
+
+function createStore(options) {
+  return createFamilyFavoritesStore(
+    Object.assign({ isFieldType: (type) => type === "rating", normalizeValue }, options)
+  );
+}
+
+// Collects every change event the store sends
+function recordChanges(store) {
+  const changes = [];
+  store.subscribe((change) => changes.push(change));
+  return changes;
+}
+
+test("adds, updates and removes people, types and groups", () => {
+  const store = createStore();
+  const changes = recordChanges(store);
+
+  const mia = store.addPerson(" Mia ");
+  const group = store.addGroup("Food");
+  const candy = store.addCategory("Candy", { groupId: group.id });
+  assert.strictEqual(mia.name, "Mia");
+  assert.strictEqual(store.findCategory("candy").groupId, group.id);
+
+  store.updatePerson(mia.id, { name: "Mia Rose", archived: true });
+  store.updateCategory(candy.id, { type: "rating", avoid: true });
+  store.updateGroup(group.id, { name: "Treats" });
+  assert.deepStrictEqual(store.listPeople(), []);
+  assert.strictEqual(store.listPeople({ includeArchived: true })[0].name, "Mia Rose");
+  assert.strictEqual(store.findCategory(candy.id).type, "rating");
+  assert.strictEqual(store.findGroup("treats").id, group.id);
+
+  store.setFavorites(candy.id, mia.id, ["5"]);
+  store.removeGroup(group.id);
+  assert.strictEqual(store.findCategory(candy.id).groupId, undefined);
+  store.removePerson(mia.id);
+  assert.strictEqual(store.findPerson(mia.id), null);
+  assert.deepStrictEqual(store.getFavorites(candy.id, mia.id), []);
+  store.removeCategory(candy.id);
+  assert.deepStrictEqual(store.listCategories({ includeArchived: true }), []);
+
+  assert.strictEqual(changes.length, 10);
+  assert.ok(changes.every((change) => change.source === "api"));
+  assert.deepStrictEqual(changes[8].keys, ["people", "favorites", "favoriteHistory"]);
+});
+
+test("refuses bad input without changing anything", () => {
+  const store = createStore();
+  const mia = store.addPerson("Mia");
+  const candy = store.addCategory("Candy");
+  const score = store.addCategory("Score", { type: "rating" });
+
+  assert.throws(() => store.addPerson("  "), /needs a name/);
+  assert.throws(() => store.updatePerson("nobody", { name: "X" }), /No person/);
+  assert.throws(() => store.addCategory("Odd", { type: "colour" }), /Unknown favorite type kind/);
+  assert.throws(() => store.updateCategory(candy.id, { name: "Sweets", type: "colour" }));
+  assert.strictEqual(store.findCategory(candy.id).name, "Candy");
+  assert.throws(() => store.setFavorites(score.id, mia.id, ["banana"]), /doesn’t fit/);
+  assert.deepStrictEqual(store.getFavorites(score.id, mia.id), []);
+
+  assert.deepStrictEqual(store.setFavorites(score.id, mia.id, [" 4 ", ""]), ["4"]);
+  assert.deepStrictEqual(store.setFavorites(candy.id, mia.id, ["Twix", 7, null]), ["Twix", "7"]);
+});
+
+test("batch sends one change for everything inside it", () => {
+  const store = createStore();
+  const changes = recordChanges(store);
+
+  store.batch(() => {
+    const mia = store.addPerson("Mia");
+    const candy = store.addCategory("Candy");
+    store.setFavorites(candy.id, mia.id, ["Twix"]);
+  });
+
+  assert.strictEqual(changes.length, 1);
+  assert.deepStrictEqual(changes[0].keys, ["people", "categories", "favorites"]);
+});
+
+test("a read-only host can show data but not change it", () => {
+  let readOnly = false;
+  const store = createStore({ isReadOnly: () => readOnly });
+  const mia = store.addPerson("Mia");
+  const candy = store.addCategory("Candy");
+  readOnly = true;
+
+  assert.throws(() => store.addPerson("Leo"), /read-only/);
+  assert.throws(() => store.updatePerson(mia.id, { name: "Leo" }), /read-only/);
+  assert.throws(() => store.removeCategory(candy.id), /read-only/);
+  assert.throws(() => store.setFavorites(candy.id, mia.id, ["Twix"]), /read-only/);
+  assert.throws(() => store.deserialize({ people: [] }), /read-only/);
+  assert.strictEqual(store.listPeople()[0].name, "Mia");
+
+  // The host's own hooks still work, e.g. to show a shared snapshot
+  store.replace({ people: [{ id: "p9", name: "Ann", archived: false }] }, "snapshot");
+  assert.strictEqual(store.findPerson("p9").name, "Ann");
+});
+
+test("deserialize runs validate and keeps the state when it throws", () => {
+  const seen = [];
+  const store = createStore({
+    validate: (data) => {
+      seen.push(data);
+      if (!Array.isArray(data.people)) throw new Error("people must be a list");
+      return Object.assign({}, data, {
+        people: data.people.map((p) => Object.assign({ archived: false }, p))
+      });
+    }
+  });
+  const changes = recordChanges(store);
+
+  store.deserialize(JSON.stringify({ people: [{ id: "p1", name: "Mia" }] }));
+  assert.strictEqual(seen.length, 1);
+  assert.deepStrictEqual(store.getState().people, [{ archived: false, id: "p1", name: "Mia" }]);
+  assert.strictEqual(changes.length, 1);
+
+  assert.throws(() => store.deserialize({ people: "Mia" }), /must be a list/);
+  assert.strictEqual(seen.length, 2);
+  assert.strictEqual(store.findPerson("p1").name, "Mia");
+  assert.strictEqual(changes.length, 1);
+
+  const copy = store.serialize();
+  copy.people[0].name = "Changed";
+  assert.strictEqual(store.findPerson("p1").name, "Mia");
+});
@@ -0,0 +1,53 @@
+/* ---------- Widget Loader ---------- */
+
+// Loads index.html and its scripts into jsdom the way a browser would, for
+// the tests and the accessibility check. Needs `npm install --no-save jsdom`.
+//
+//   const { window, errors } = await openWidget({ storage: { familyFavorites_settings: {...} } });
+//
+// `options.storage` seeds localStorage (objects are saved as JSON) and
+// `options.url` sets the page address, e.g. for ?readOnly=1. The widget's
+// functions are globals on `window`; uncaught script errors collect in
+// `errors`.
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+async function openWidget(options = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const scripts = [...html.matchAll(/<script src="([^"?]+)[^"]*"><\/script>/g)].map((m) => m[1]);
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (e) => errors.push(e));
+
+  const dom = new JSDOM(html.replace(/<script src="[^"]*"><\/script>/g, ""), {
+    url: options.url || "http://localhost/index.html",
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  // Share links are built with these; jsdom leaves them out
+  ["TextEncoder", "TextDecoder", "CompressionStream", "DecompressionStream"].forEach((name) => {
+    if (!window[name] && global[name]) window[name] = global[name];
+  });
+  Object.entries(options.storage || {}).forEach(([key, value]) => {
+    window.localStorage.setItem(key, typeof value === "string" ? value : JSON.stringify(value));
+  });
+
+  // One eval, so the scripts share their top-level consts the way page
+  // scripts do; run before jsdom fires DOMContentLoaded, so the widget
+  // starts as it would in a browser
+  const source = scripts.map((src) => fs.readFileSync(path.join(ROOT, src), "utf8"));
+  window.eval(source.join("\n;\n"));
+
+  // Startup waits for the storage backend
+  await settle();
+  return { window, errors };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+module.exports = { openWidget, settle, ROOT };